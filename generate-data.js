@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Gerador de Massa de Dados para Testes de Performance
+ * Popula o banco configurado (DB_ADAPTER) com usuários e tarefas sintéticos
+ * e, opcionalmente, grava o users.json usado pelo k6
+ *
+ * Exemplos:
+ *   DB_ADAPTER=sqlite node generate-data.js --users 500 --tasks-per-user 40 --seed 42 --k6-users
+ *   node generate-data.js --no-db --users 500 --seed 42 --k6-users   # apenas o users.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const { resolveOptions, generateDataset, populate, toK6Users } = require('./src/config/dataGenerator');
+
+const DEFAULT_K6_USERS_FILE = path.join(__dirname, 'test', 'k6', 'data', 'users.json');
+
+const HELP = `Uso: node generate-data.js [opções]
+
+  --users N                 Quantidade de usuários (padrão 100)
+  --tasks-per-user M        Tarefas por usuário (padrão 20)
+  --spread R                Variação relativa de tarefas por usuário, 0 a 1 (padrão 0)
+  --seed S                  Seed do gerador; mesmo seed, mesmos dados (padrão 1)
+  --password P              Senha de todos os usuários gerados (padrão password123)
+  --domain D                Domínio dos emails perfN@D (padrão perf.example.com)
+  --admin-ratio R           Fração de administradores (padrão 0)
+  --completion-rate R       Fração de tarefas concluídas (padrão 0.3)
+  --priorities L            Pesos, ex.: low=0.3,medium=0.5,high=0.2
+  --title-words MIN-MAX     Palavras no título (padrão 2-8)
+  --description-length MIN-MAX  Caracteres na descrição (padrão 0-300)
+  --days N                  Janela de createdAt em dias (padrão 90)
+  --skew K                  K > 1 concentra datas em dias recentes (padrão 1)
+  --now DATA                Data de referência das datas geradas, ISO 8601 (padrão 2025-01-01T00:00:00Z)
+  --append                  Mantém os dados existentes no banco
+  --no-db                   Não grava no banco
+  --k6-users                Grava as contas para o k6
+  --k6-file ARQUIVO         Destino das contas (padrão test/k6/data/users.json)
+  --k6-limit N              Máximo de contas no arquivo do k6
+  --help                    Exibe esta ajuda
+`;
+
+const parseRange = (value, name) => {
+  const match = /^(\d+)-(\d+)$/.exec(value);
+  if (!match) {
+    throw new Error(`--${name} deve estar no formato MIN-MAX`);
+  }
+  return { min: Number(match[1]), max: Number(match[2]) };
+};
+
+const parsePriorities = (value) => Object.fromEntries(value.split(',').map(pair => {
+  const [priority, weight] = pair.split('=');
+  return [priority.trim(), Number(weight)];
+}));
+
+function buildOptions(values) {
+  const options = {};
+  const numbers = {
+    users: 'users',
+    'tasks-per-user': 'tasksPerUser',
+    spread: 'tasksPerUserSpread',
+    'admin-ratio': 'adminRatio',
+    'completion-rate': 'completionRate'
+  };
+
+  Object.entries(numbers).forEach(([flag, option]) => {
+    if (values[flag] !== undefined) options[option] = Number(values[flag]);
+  });
+
+  if (values.seed !== undefined) options.seed = /^-?\d+$/.test(values.seed) ? Number(values.seed) : values.seed;
+  if (values.password !== undefined) options.password = values.password;
+  if (values.domain !== undefined) options.emailDomain = values.domain;
+  if (values.priorities !== undefined) options.priorities = parsePriorities(values.priorities);
+  if (values['title-words'] !== undefined) options.titleWords = parseRange(values['title-words'], 'title-words');
+  if (values['description-length'] !== undefined) options.descriptionLength = parseRange(values['description-length'], 'description-length');
+  if (values.days !== undefined || values.skew !== undefined) {
+    options.timestamps = {};
+    if (values.days !== undefined) options.timestamps.days = Number(values.days);
+    if (values.skew !== undefined) options.timestamps.skew = Number(values.skew);
+  }
+  if (values.now !== undefined) options.now = values.now;
+
+  return options;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      users: { type: 'string' },
+      'tasks-per-user': { type: 'string' },
+      spread: { type: 'string' },
+      seed: { type: 'string' },
+      password: { type: 'string' },
+      domain: { type: 'string' },
+      'admin-ratio': { type: 'string' },
+      'completion-rate': { type: 'string' },
+      priorities: { type: 'string' },
+      'title-words': { type: 'string' },
+      'description-length': { type: 'string' },
+      days: { type: 'string' },
+      skew: { type: 'string' },
+      now: { type: 'string' },
+      append: { type: 'boolean', default: false },
+      'no-db': { type: 'boolean', default: false },
+      'k6-users': { type: 'boolean', default: false },
+      'k6-file': { type: 'string' },
+      'k6-limit': { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(HELP);
+    return;
+  }
+
+  const options = resolveOptions(buildOptions(values));
+  const writeDatabase = !values['no-db'];
+
+  if (writeDatabase && (process.env.DB_ADAPTER || 'memory') === 'memory' && !process.env.DB_PERSISTENCE_DIR) {
+    throw new Error('DB_ADAPTER=memory sem DB_PERSISTENCE_DIR: os dados seriam perdidos ao final. ' +
+      'Use DB_ADAPTER=sqlite, defina DB_PERSISTENCE_DIR ou gere pelo servidor em POST /__test/generate');
+  }
+
+  console.log('🎲 Gerando dados...');
+  const dataset = generateDataset(options);
+  console.log(`  ✅ ${dataset.users.length} usuários e ${dataset.tasks.length} tarefas`);
+
+  if (writeDatabase) {
+    const database = require('./src/config/database');
+    populate(database, dataset, { append: values.append });
+    database.close();
+    console.log(`  ✅ Dados gravados no banco (${process.env.DB_ADAPTER || 'memory'})`);
+  }
+
+  if (values['k6-users']) {
+    const file = values['k6-file'] ? path.resolve(values['k6-file']) : DEFAULT_K6_USERS_FILE;
+    const limit = values['k6-limit'] !== undefined ? Number(values['k6-limit']) : undefined;
+    const accounts = toK6Users(dataset, options.password, limit);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(accounts, null, 2)}\n`);
+    console.log(`  ✅ ${accounts.length} contas gravadas em ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Migrações de Schema dos Dados Persistidos
+ * Aplica as migrações pendentes (src/config/migrations.js) no banco configurado
+ * por DB_ADAPTER, ou apenas mostra o que mudaria com --dry-run
+ *
+ * O servidor também aplica as migrações pendentes ao iniciar.
+ *
+ * Exemplos:
+ *   DB_ADAPTER=sqlite node migrate.js --dry-run
+ *   DB_PERSISTENCE_DIR=./data/memory node migrate.js
+ */
+
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const { createAdapter } = require('./src/config/adapters');
+
+function printReport(report) {
+  console.log(`📦 Versão de schema: ${report.fromVersion} → ${report.toVersion}`);
+
+  if (report.migrations.length === 0) {
+    console.log('  ✅ Nenhuma migração pendente');
+    return;
+  }
+
+  report.migrations.forEach(({ version, description, changes }) => {
+    console.log(`  ${report.dryRun ? '🔎' : '✅'} ${version}. ${description}`);
+    console.log(`     ${changes.users} usuários, ${changes.tasks} tarefas, ${changes.revisions} revisões alterados`);
+  });
+
+  if (report.dryRun) {
+    console.log('\nDry-run: nada foi gravado. Execute sem --dry-run para aplicar.');
+  }
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  if ((process.env.DB_ADAPTER || 'memory') === 'memory' && !process.env.DB_PERSISTENCE_DIR) {
+    throw new Error('DB_ADAPTER=memory sem DB_PERSISTENCE_DIR: não há dados persistidos para migrar');
+  }
+
+  const dryRun = values['dry-run'];
+  const database = createAdapter();
+  try {
+    const report = database.migrate({ dryRun });
+
+    if (values.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+  } finally {
+    // Em dry-run nem o snapshot de fechamento do adapter em memória é gravado
+    database.close({ persist: !dryRun });
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,21 @@
+// Valores de um campo indexado do registro
+// 'lista.campo' percorre os itens de uma lista (ex.: 'shares.userId'),
+// indexando o registro por cada valor encontrado
+
+const { isDeepStrictEqual } = require('util');
+
+function fieldValues(record, field) {
+  const [list, key] = field.split('.');
+  if (key) {
+    return (record[list] || []).map(item => item[key]).filter(value => value !== undefined);
+  }
+
+  return record[field] === undefined ? [] : [record[field]];
+}
+
+const sameFieldValues = (previous, record, field) => isDeepStrictEqual(fieldValues(previous, field), fieldValues(record, field));
+
+module.exports = {
+  fieldValues,
+  sameFieldValues
+};
@@ -0,0 +1,45 @@
+// Adapters de armazenamento disponíveis, escolhidos pela variável DB_ADAPTER
+// (ver src/config/database.js)
+
+const path = require('path');
+
+const adapters = {
+  memory: () => {
+    const MemoryAdapter = require('./memoryAdapter');
+    if (!process.env.DB_PERSISTENCE_DIR) {
+      return new MemoryAdapter();
+    }
+
+    const SnapshotJournal = require('./snapshotJournal');
+    return new MemoryAdapter({
+      persistence: new SnapshotJournal({
+        directory: process.env.DB_PERSISTENCE_DIR,
+        snapshotIntervalMs: parseInt(process.env.DB_SNAPSHOT_INTERVAL_MS || '60000')
+      })
+    });
+  },
+  sqlite: () => {
+    const SqliteAdapter = require('./sqliteAdapter');
+    return new SqliteAdapter({
+      filename: process.env.DB_FILE || path.join(process.cwd(), 'data', 'database.sqlite')
+    });
+  }
+};
+
+/**
+ * Cria o adapter configurado, sem inicializá-lo (ver StorageAdapter#init)
+ * @param {string} [adapterName] - memory ou sqlite; padrão DB_ADAPTER
+ * @returns {StorageAdapter}
+ */
+function createAdapter(adapterName = process.env.DB_ADAPTER || 'memory') {
+  const factory = adapters[adapterName.toLowerCase()];
+  if (!factory) {
+    throw new Error(`DB_ADAPTER inválido: "${adapterName}". Use: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return factory();
+}
+
+module.exports = {
+  createAdapter
+};
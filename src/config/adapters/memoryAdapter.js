@@ -0,0 +1,375 @@
+const StorageAdapter = require('./storageAdapter');
+const SecondaryIndex = require('./secondaryIndex');
+
+// Campos com índice secundário mantido a cada escrita
+const INDEXED_FIELDS = {
+  users: ['email'],
+  tasks: ['userId', 'assigneeId', 'shares.userId'],
+  revisions: ['taskId']
+};
+
+// Coleção afetada por cada operação registrada no journal
+// Entradas com record regravam o registro; entradas só com id o removem (purge)
+const JOURNAL_OPS = {
+  createUser: 'users',
+  updateUser: 'users',
+  deleteUser: 'users',
+  restoreUser: 'users',
+  purgeUser: 'users',
+  createTask: 'tasks',
+  updateTask: 'tasks',
+  deleteTask: 'tasks',
+  restoreTask: 'tasks',
+  purgeTask: 'tasks',
+  saveRevision: 'revisions',
+  deleteRevision: 'revisions'
+};
+
+// Banco de dados em memória para simplicidade da prova
+// Sem persistência os dados são perdidos a cada reinício do servidor;
+// com um SnapshotJournal o estado é restaurado no boot
+
+class MemoryAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {SnapshotJournal} [options.persistence] - Persistência opcional em disco
+   */
+  constructor({ persistence = null } = {}) {
+    super();
+    this.users = new Map();
+    this.tasks = new Map();
+    this.revisions = new Map();
+    this.indexes = {};
+    Object.entries(INDEXED_FIELDS).forEach(([collection, fields]) => {
+      this.indexes[collection] = {};
+      fields.forEach(field => {
+        this.indexes[collection][field] = new SecondaryIndex(field);
+      });
+    });
+    this.schemaVersion = null;
+    this.persistence = persistence;
+
+    // Pilha de transações abertas; cada nível guarda o que desfazer
+    // e as entradas de journal adiadas até o commit
+    this.transactions = [];
+
+    if (this.persistence) {
+      this.restore();
+      this.persistence.start(() => this.getState());
+    }
+  }
+
+  _get(collection, id) {
+    return this[collection].get(id);
+  }
+
+  _put(collection, record) {
+    const previous = this[collection].get(record.id);
+    this.trackUndo(collection, record.id, previous);
+    this[collection].set(record.id, record);
+    Object.values(this.indexes[collection]).forEach(index => index.update(previous, record));
+  }
+
+  _remove(collection, id) {
+    const previous = this[collection].get(id);
+    if (!previous) return false;
+
+    this.trackUndo(collection, id, previous);
+    this.trackOrder(collection);
+    this[collection].delete(id);
+    Object.values(this.indexes[collection]).forEach(index => index.remove(previous));
+    return true;
+  }
+
+  _all(collection) {
+    return Array.from(this[collection].values());
+  }
+
+  _find(collection, field, value) {
+    const index = this.indexes[collection][field];
+    if (!index) {
+      return super._find(collection, field, value);
+    }
+
+    return Array.from(index.lookup(value), id => this[collection].get(id));
+  }
+
+  _clear() {
+    Object.keys(INDEXED_FIELDS).forEach(collection => {
+      this.trackOrder(collection);
+      this[collection].forEach(record => this.trackUndo(collection, record.id, record));
+      this[collection].clear();
+    });
+    Object.values(this.indexes).forEach(indexes => {
+      Object.values(indexes).forEach(index => index.clear());
+    });
+  }
+
+  // Gravada fora do undo: migrate() só a altera como último passo da transação
+  _getSchemaVersion() {
+    return this.schemaVersion;
+  }
+
+  _setSchemaVersion(version) {
+    this.schemaVersion = version;
+  }
+
+  // Transações: desfeitas aplicando o estado anterior de cada registro tocado
+  currentTransaction() {
+    return this.transactions[this.transactions.length - 1];
+  }
+
+  trackUndo(collection, id, previous) {
+    const current = this.currentTransaction();
+    if (current) {
+      current.undo.push({ collection, id, previous });
+    }
+  }
+
+  // Remoções alteram a ordem de inserção dos Maps; guarda a ordem original
+  trackOrder(collection) {
+    const current = this.currentTransaction();
+    if (current && !current.order[collection]) {
+      current.order[collection] = Array.from(this[collection].keys());
+    }
+  }
+
+  _begin() {
+    this.transactions.push({ undo: [], journal: [], order: {} });
+  }
+
+  _commit() {
+    const current = this.transactions.pop();
+    if (!current) {
+      throw new Error('Nenhuma transação em andamento');
+    }
+
+    const parent = this.currentTransaction();
+    if (parent) {
+      parent.undo.push(...current.undo);
+      parent.journal.push(...current.journal);
+      parent.order = { ...current.order, ...parent.order };
+      return;
+    }
+
+    current.journal.forEach(({ op, payload }) => this.persistence.append(op, payload));
+  }
+
+  _rollback() {
+    const current = this.transactions.pop();
+    if (!current) {
+      throw new Error('Nenhuma transação em andamento');
+    }
+
+    // O nível desfeito não altera o estado visto por uma transação externa,
+    // então a restauração não é registrada nela
+    const parents = this.transactions;
+    this.transactions = [];
+
+    try {
+      current.undo.reverse().forEach(({ collection, id, previous }) => {
+        if (previous) {
+          this._put(collection, previous);
+        } else {
+          this._remove(collection, id);
+        }
+      });
+
+      Object.entries(current.order).forEach(([collection, ids]) => this.restoreOrder(collection, ids));
+    } finally {
+      this.transactions = parents;
+    }
+  }
+
+  restoreOrder(collection, ids) {
+    const records = ids.map(id => this[collection].get(id)).filter(Boolean);
+    const indexes = Object.values(this.indexes[collection]);
+
+    this[collection].clear();
+    indexes.forEach(index => index.clear());
+    records.forEach(record => {
+      this[collection].set(record.id, record);
+      indexes.forEach(index => index.add(record));
+    });
+  }
+
+  // Persistência: snapshot + journal
+  getState() {
+    return {
+      schemaVersion: this.schemaVersion,
+      users: this._all('users'),
+      tasks: this._all('tasks'),
+      revisions: this._all('revisions')
+    };
+  }
+
+  restore() {
+    const { snapshot, entries } = this.persistence.load();
+
+    if (snapshot) {
+      // Snapshots anteriores às migrações não têm schemaVersion
+      this.schemaVersion = snapshot.schemaVersion ?? null;
+      snapshot.users.forEach(user => this._put('users', user));
+      snapshot.tasks.forEach(task => this._put('tasks', task));
+      // Snapshots anteriores à migração 10 guardam as revisões nas tarefas
+      (snapshot.revisions || []).forEach(revision => this._put('revisions', revision));
+    }
+
+    entries.forEach(entry => this.replay(entry));
+  }
+
+  replay(entry) {
+    if (entry.op === 'clear') {
+      this._clear();
+      return;
+    }
+
+    const collection = JOURNAL_OPS[entry.op];
+    if (!collection) {
+      throw new Error(`Operação desconhecida no journal: ${entry.op}`);
+    }
+
+    if (entry.record) {
+      this._put(collection, entry.record);
+    } else {
+      this._remove(collection, entry.id);
+    }
+  }
+
+  journal(op, payload = {}) {
+    if (!this.persistence) return;
+
+    const current = this.currentTransaction();
+    if (current) {
+      current.journal.push({ op, payload });
+    } else {
+      this.persistence.append(op, payload);
+    }
+  }
+
+  snapshot() {
+    if (this.persistence) {
+      this.persistence.snapshot(this.getState());
+    }
+  }
+
+  // Sem persist o snapshot não é gravado e o journal fica como está
+  close({ persist = true } = {}) {
+    if (this.persistence) {
+      this.persistence.stop();
+      if (persist) {
+        this.snapshot();
+      }
+    }
+  }
+
+  // Operações de escrita registradas no journal
+  createUser(userData) {
+    const user = super.createUser(userData);
+    this.journal('createUser', { record: user });
+    return user;
+  }
+
+  updateUser(id, updateData) {
+    const updatedUser = super.updateUser(id, updateData);
+    if (updatedUser) {
+      this.journal('updateUser', { record: updatedUser });
+    }
+    return updatedUser;
+  }
+
+  deleteUser(id) {
+    const deleted = super.deleteUser(id);
+    if (deleted) {
+      this.journal('deleteUser', { record: this._get('users', id) });
+    }
+    return deleted;
+  }
+
+  restoreUser(id) {
+    const restoredUser = super.restoreUser(id);
+    if (restoredUser) {
+      this.journal('restoreUser', { record: restoredUser });
+    }
+    return restoredUser;
+  }
+
+  purgeUser(id) {
+    const purged = super.purgeUser(id);
+    if (purged) {
+      this.journal('purgeUser', { id });
+    }
+    return purged;
+  }
+
+  createTask(taskData) {
+    const task = super.createTask(taskData);
+    this.journal('createTask', { record: task });
+    return task;
+  }
+
+  updateTask(id, updateData, options) {
+    const updatedTask = super.updateTask(id, updateData, options);
+    if (updatedTask) {
+      this.journal('updateTask', { record: updatedTask });
+    }
+    return updatedTask;
+  }
+
+  deleteTask(id) {
+    const deleted = super.deleteTask(id);
+    if (deleted) {
+      this.journal('deleteTask', { record: this._get('tasks', id) });
+    }
+    return deleted;
+  }
+
+  restoreTask(id) {
+    const restoredTask = super.restoreTask(id);
+    if (restoredTask) {
+      this.journal('restoreTask', { record: restoredTask });
+    }
+    return restoredTask;
+  }
+
+  purgeTask(id) {
+    const purged = super.purgeTask(id);
+    if (purged) {
+      this.journal('purgeTask', { id });
+    }
+    return purged;
+  }
+
+  _saveRevision(revision) {
+    super._saveRevision(revision);
+    this.journal('saveRevision', { record: revision });
+  }
+
+  _deleteRevision(id) {
+    super._deleteRevision(id);
+    this.journal('deleteRevision', { id });
+  }
+
+  // Registros migrados e a nova versão não passam pelo journal: grava um snapshot completo
+  migrate(options) {
+    const previousVersion = this.schemaVersion;
+    const report = super.migrate(options);
+    if (this.schemaVersion !== previousVersion) {
+      this.snapshot();
+    }
+    return report;
+  }
+
+  // O estado importado não passa pelo journal: grava um snapshot completo
+  importState(state) {
+    super.importState(state);
+    this.snapshot();
+  }
+
+  clear() {
+    super.clear();
+    this.journal('clear');
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,57 @@
+const { fieldValues, sameFieldValues } = require('./fieldValues');
+
+/**
+ * Índice secundário em memória: valor de um campo -> ids dos registros
+ *
+ * Mantido pelo adapter a cada gravação/remoção, evita varrer todos os
+ * registros em buscas como getUserByEmail e getTasksByUserId.
+ * Os ids de cada valor preservam a ordem de inserção. Campos de lista
+ * ('shares.userId') indexam o registro por cada valor (ver fieldValues.js).
+ */
+class SecondaryIndex {
+  constructor(field) {
+    this.field = field;
+    this.entries = new Map();
+  }
+
+  lookup(value) {
+    return this.entries.get(value) || new Set();
+  }
+
+  add(record) {
+    fieldValues(record, this.field).forEach(value => {
+      if (!this.entries.has(value)) {
+        this.entries.set(value, new Set());
+      }
+      this.entries.get(value).add(record.id);
+    });
+  }
+
+  remove(record) {
+    fieldValues(record, this.field).forEach(value => {
+      const ids = this.entries.get(value);
+      if (!ids) return;
+
+      ids.delete(record.id);
+      if (ids.size === 0) {
+        this.entries.delete(value);
+      }
+    });
+  }
+
+  // Reindexa um registro apenas se o campo indexado mudou
+  update(previous, record) {
+    if (previous && sameFieldValues(previous, record, this.field)) return;
+
+    if (previous) {
+      this.remove(previous);
+    }
+    this.add(record);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = SecondaryIndex;
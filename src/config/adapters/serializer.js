@@ -0,0 +1,26 @@
+// Serialização de registros para armazenamento em texto (JSON)
+// Datas são gravadas como { $date: ISOString } para voltarem como Date,
+// já que o scalar DateTime do GraphQL só serializa instâncias de Date.
+
+function replacer(key, value) {
+  if (this[key] instanceof Date) {
+    return { $date: this[key].toISOString() };
+  }
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$date === 'string') {
+    return new Date(value.$date);
+  }
+  return value;
+}
+
+const serialize = (record) => JSON.stringify(record, replacer);
+
+const deserialize = (text) => JSON.parse(text, reviver);
+
+module.exports = {
+  serialize,
+  deserialize
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { serialize, deserialize } = require('./serializer');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+
+/**
+ * Persistência do banco em memória baseada em snapshot + journal
+ *
+ * Cada operação de escrita é anexada ao journal (uma linha JSON por operação).
+ * Periodicamente o estado completo é gravado em um snapshot e o journal é
+ * truncado. No boot, o snapshot é carregado e o journal é reaplicado sobre ele.
+ *
+ * As entradas do journal guardam o registro completo resultante da operação,
+ * então reaplicá-las é idempotente: se o processo cair entre a gravação do
+ * snapshot e o truncamento do journal, o estado recuperado é o mesmo.
+ */
+class SnapshotJournal {
+  constructor({ directory, snapshotIntervalMs = 60000 }) {
+    this.directory = directory;
+    this.snapshotIntervalMs = snapshotIntervalMs;
+    this.snapshotPath = path.join(directory, SNAPSHOT_FILE);
+    this.journalPath = path.join(directory, JOURNAL_FILE);
+    this.timer = null;
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Lê o último snapshot e as entradas do journal gravadas depois dele
+   * @returns {{snapshot: Object|null, entries: Array<Object>}}
+   */
+  load() {
+    const snapshot = fs.existsSync(this.snapshotPath)
+      ? deserialize(fs.readFileSync(this.snapshotPath, 'utf8'))
+      : null;
+
+    const entries = [];
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+
+      lines.forEach((line, index) => {
+        try {
+          entries.push(deserialize(line));
+        } catch (error) {
+          // Uma linha incompleta só é esperada no final (queda durante a escrita)
+          if (index !== lines.length - 1) {
+            throw new Error(`Journal corrompido na linha ${index + 1}: ${error.message}`);
+          }
+          console.warn('Journal: última entrada incompleta ignorada');
+        }
+      });
+    }
+
+    return { snapshot, entries };
+  }
+
+  append(op, payload) {
+    fs.appendFileSync(this.journalPath, serialize({ op, ...payload, at: new Date() }) + '\n');
+  }
+
+  /**
+   * Grava o estado completo de forma atômica e trunca o journal
+   * @param {{users: Array<Object>, tasks: Array<Object>, revisions: Array<Object>}} state
+   */
+  snapshot(state) {
+    const tempPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tempPath, serialize({ ...state, createdAt: new Date() }));
+    fs.renameSync(tempPath, this.snapshotPath);
+    fs.writeFileSync(this.journalPath, '');
+  }
+
+  // Agenda snapshots periódicos sem impedir o encerramento do processo
+  start(getState) {
+    if (this.timer || !this.snapshotIntervalMs) return;
+
+    this.timer = setInterval(() => {
+      try {
+        this.snapshot(getState());
+      } catch (error) {
+        console.error('Erro ao gravar snapshot:', error);
+      }
+    }, this.snapshotIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = SnapshotJournal;
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const BetterSqlite3 = require('better-sqlite3');
+const StorageAdapter = require('./storageAdapter');
+const { serialize, deserialize } = require('./serializer');
+const { fieldValues } = require('./fieldValues');
+
+// Campos consultados com frequência ganham coluna própria (com índice);
+// o registro completo fica serializado na coluna data
+const INDEXED_COLUMNS = {
+  users: { email: 'email' },
+  tasks: { userId: 'user_id', assigneeId: 'assignee_id' },
+  revisions: { taskId: 'task_id' }
+};
+
+// Campos de lista (ver fieldValues.js) ficam numa tabela à parte, com uma
+// linha por valor: <coleção>_<coluna> (id, value)
+const INDEXED_LISTS = {
+  users: {},
+  tasks: { 'shares.userId': 'share_user_id' },
+  revisions: {}
+};
+
+// Banco de dados SQLite em arquivo: os dados sobrevivem a reinícios do servidor
+//
+// As tabelas são criadas no primeiro acesso, e não ao abrir o arquivo, para que
+// migrate --dry-run não altere um banco novo ou de uma versão anterior
+
+class SqliteAdapter extends StorageAdapter {
+  constructor({ filename }) {
+    super();
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new BetterSqlite3(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.transactionDepth = 0;
+    this.schemaCreated = false;
+  }
+
+  createSchema() {
+    this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+
+    Object.entries(INDEXED_COLUMNS).forEach(([collection, columns]) => {
+      const extraColumns = Object.values(columns).map(column => `, ${column} TEXT`).join('');
+
+      this.db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (id TEXT PRIMARY KEY${extraColumns}, data TEXT NOT NULL)`);
+
+      // Colunas e listas indexadas que a tabela ainda não tem são preenchidas a partir de data
+      const existing = new Set(this.db.prepare(`PRAGMA table_info(${collection})`).all().map(({ name }) => name));
+      let reindex = false;
+
+      Object.values(columns).forEach(column => {
+        if (!existing.has(column)) {
+          this.db.exec(`ALTER TABLE ${collection} ADD COLUMN ${column} TEXT`);
+          reindex = true;
+        }
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${collection}_${column} ON ${collection} (${column})`);
+      });
+
+      Object.values(INDEXED_LISTS[collection]).forEach(column => {
+        const table = `${collection}_${column}`;
+        if (!this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table)) {
+          this.db.exec(`CREATE TABLE ${table} (id TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (value, id))`);
+          this.db.exec(`CREATE INDEX idx_${table}_id ON ${table} (id)`);
+          reindex = true;
+        }
+      });
+
+      if (reindex) this._reindex(collection);
+    });
+    this.schemaCreated = true;
+  }
+
+  _reindex(collection) {
+    const columns = Object.entries(INDEXED_COLUMNS[collection]);
+    const update = this.db.prepare(
+      `UPDATE ${collection} SET ${columns.map(([, column]) => `${column} = ?`).join(', ')} WHERE id = ?`
+    );
+
+    this.db.prepare(`SELECT data FROM ${collection}`).all().forEach(row => {
+      const record = deserialize(row.data);
+      update.run(...columns.map(([field]) => record[field] ?? null), record.id);
+      this._writeLists(collection, record);
+    });
+  }
+
+  // Regrava as linhas do registro nas tabelas de listas indexadas
+  _writeLists(collection, record) {
+    Object.entries(INDEXED_LISTS[collection]).forEach(([field, column]) => {
+      const table = `${collection}_${column}`;
+      const insert = this.db.prepare(`INSERT OR IGNORE INTO ${table} (id, value) VALUES (?, ?)`);
+
+      this.db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(record.id);
+      fieldValues(record, field).forEach(value => insert.run(record.id, value));
+    });
+  }
+
+  _removeLists(collection, id) {
+    Object.values(INDEXED_LISTS[collection]).forEach(column => {
+      this.db.prepare(`DELETE FROM ${collection}_${column} WHERE id = ?`).run(id);
+    });
+  }
+
+  // Prepara um comando sobre as tabelas, criando-as antes se necessário
+  _prepare(sql) {
+    if (!this.schemaCreated) this.createSchema();
+    return this.db.prepare(sql);
+  }
+
+  _get(collection, id) {
+    const row = this._prepare(`SELECT data FROM ${collection} WHERE id = ?`).get(id);
+    return row ? deserialize(row.data) : undefined;
+  }
+
+  _put(collection, record) {
+    const columns = Object.entries(INDEXED_COLUMNS[collection]);
+    const names = ['id', ...columns.map(([, column]) => column), 'data'];
+    const values = [record.id, ...columns.map(([field]) => record[field] ?? null), serialize(record)];
+    const updates = names.slice(1).map(name => `${name} = excluded.${name}`).join(', ');
+
+    // Upsert preserva o rowid, mantendo a ordem de inserção nas listagens
+    this._prepare(
+      `INSERT INTO ${collection} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+       ON CONFLICT(id) DO UPDATE SET ${updates}`
+    ).run(...values);
+    this._writeLists(collection, record);
+  }
+
+  _remove(collection, id) {
+    const removed = this._prepare(`DELETE FROM ${collection} WHERE id = ?`).run(id).changes > 0;
+    this._removeLists(collection, id);
+    return removed;
+  }
+
+  _all(collection) {
+    return this._prepare(`SELECT data FROM ${collection} ORDER BY rowid`).all()
+      .map(row => deserialize(row.data));
+  }
+
+  _find(collection, field, value) {
+    const column = INDEXED_COLUMNS[collection][field];
+    const listColumn = INDEXED_LISTS[collection][field];
+
+    if (listColumn) {
+      return this._prepare(
+        `SELECT data FROM ${collection} WHERE id IN (SELECT id FROM ${collection}_${listColumn} WHERE value = ?) ORDER BY rowid`
+      ).all(value).map(row => deserialize(row.data));
+    }
+    if (!column) {
+      return super._find(collection, field, value);
+    }
+
+    return this._prepare(`SELECT data FROM ${collection} WHERE ${column} = ? ORDER BY rowid`).all(value)
+      .map(row => deserialize(row.data));
+  }
+
+  _clear() {
+    if (!this.schemaCreated) this.createSchema();
+    Object.keys(INDEXED_COLUMNS).forEach(collection => {
+      this.db.exec(`DELETE FROM ${collection}`);
+      Object.values(INDEXED_LISTS[collection]).forEach(column => {
+        this.db.exec(`DELETE FROM ${collection}_${column}`);
+      });
+    });
+  }
+
+  _getSchemaVersion() {
+    const row = this._prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+    return row ? Number(row.value) : null;
+  }
+
+  _setSchemaVersion(version) {
+    this._prepare(
+      "INSERT INTO meta (key, value) VALUES ('schemaVersion', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    ).run(String(version));
+  }
+
+  // Transações aninhadas via savepoints: o primeiro abre a transação do SQLite
+  _begin() {
+    // Fora de qualquer transação, para que um rollback não desfaça as tabelas
+    if (!this.schemaCreated && this.transactionDepth === 0) this.createSchema();
+    this.transactionDepth += 1;
+    this.db.exec(`SAVEPOINT tx_${this.transactionDepth}`);
+  }
+
+  _commit() {
+    if (this.transactionDepth === 0) {
+      throw new Error('Nenhuma transação em andamento');
+    }
+
+    this.db.exec(`RELEASE tx_${this.transactionDepth}`);
+    this.transactionDepth -= 1;
+  }
+
+  _rollback() {
+    if (this.transactionDepth === 0) {
+      throw new Error('Nenhuma transação em andamento');
+    }
+
+    this.db.exec(`ROLLBACK TO tx_${this.transactionDepth}`);
+    this.db.exec(`RELEASE tx_${this.transactionDepth}`);
+    this.transactionDepth -= 1;
+  }
+
+  // Em dry-run também as tabelas criadas para a leitura são desfeitas
+  migrate(options = {}) {
+    if (!options.dryRun) return super.migrate(options);
+
+    const { schemaCreated } = this;
+    this.db.exec('SAVEPOINT dry_run');
+    try {
+      return super.migrate(options);
+    } finally {
+      this.db.exec('ROLLBACK TO dry_run');
+      this.db.exec('RELEASE dry_run');
+      this.schemaCreated = schemaCreated;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,907 @@
+const EventEmitter = require('events');
+const { isDeepStrictEqual } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { getActor } = require('../../middleware/requestContext');
+const { loadFixture, applyFixture } = require('../seeds');
+const { migrations: MIGRATIONS } = require('../migrations');
+const { isChecklistPermutation } = require('../../utils/checklist');
+const { MAX_REVISIONS, buildRevision, diffTask, getStateAtVersion } = require('../../utils/taskRevisions');
+const { initRecurrence, buildNextOccurrence } = require('../../utils/recurrence');
+const { applyStatus, checkStatusTransition } = require('../../utils/taskStatus');
+const { MAX_ATTACHMENTS_PER_TASK } = require('../../utils/attachments');
+const { workflow } = require('../workflow');
+const { fieldValues } = require('./fieldValues');
+
+/**
+ * Evento de domínio emitido a cada alteração em users e tasks
+ * @typedef {Object} DomainEvent
+ * @property {string} type - '<entidade>.<ação>', ex.: 'task.updated'
+ * @property {'user'|'task'} entity
+ * @property {string} id - Id do registro alterado
+ * @property {Object|null} before - Registro antes da alteração (null na criação)
+ * @property {Object|null} after - Registro depois da alteração (null no purge)
+ * @property {{id: string, email: string, role: string}|null} actor - Usuário da requisição
+ * @property {Date} timestamp
+ */
+const ENTITY_BY_COLLECTION = {
+  users: 'user',
+  tasks: 'task'
+};
+
+const EVENT_TYPES = Object.values(ENTITY_BY_COLLECTION).flatMap(entity =>
+  ['created', 'updated', 'deleted', 'restored', 'purged'].map(action => `${entity}.${action}`)
+);
+
+// revisions guarda o histórico das tarefas (ver src/utils/taskRevisions.js) e não gera eventos
+const COLLECTIONS = [...Object.keys(ENTITY_BY_COLLECTION), 'revisions'];
+
+// Campos que dão acesso a uma tarefa (ver src/utils/taskAccess.js); os adapters os indexam
+const TASK_ACCESS_FIELDS = ['userId', 'assigneeId', 'shares.userId'];
+
+// Marca o 'reset' na fila de eventos de uma transação aberta
+const RESET_EVENT = Symbol('reset');
+
+/**
+ * Resultado de migrate()
+ * @typedef {Object} MigrationReport
+ * @property {boolean} dryRun
+ * @property {number} fromVersion - Versão de schema antes da execução
+ * @property {number} toVersion - Versão de schema mais recente
+ * @property {Array<{version: number, description: string, changes: {users: number, tasks: number, revisions: number}}>} migrations
+ *   Migrações pendentes, com a quantidade de registros alterados por coleção
+ */
+
+// Snapshots de usuários nunca carregam o hash da senha
+const toSnapshot = (record) => {
+  if (!record) return null;
+  const { password, ...snapshot } = record;
+  return snapshot;
+};
+
+/**
+ * Contrato de armazenamento usado por controllers e resolvers
+ *
+ * Os métodos públicos (getUserById, createTask, getAllTasks...) concentram as
+ * regras de domínio: geração de ids, versões, timestamps e filtros. Cada adapter
+ * implementa apenas as primitivas de persistência abaixo:
+ *   - _get(collection, id)
+ *   - _put(collection, record)
+ *   - _remove(collection, id)
+ *   - _all(collection)
+ *   - _clear()
+ *   - _begin(), _commit(), _rollback()
+ *   - _getSchemaVersion(), _setSchemaVersion(version)
+ * onde collection é 'users', 'tasks' ou 'revisions'.
+ *
+ * Todo registro carrega um campo version, iniciado em 1 e incrementado a cada
+ * atualização, usado no controle de concorrência otimista (ETag / If-Match).
+ * Deleções são lógicas (deletedAt); apenas purge remove o registro de fato.
+ *
+ * Cada alteração emite um DomainEvent com o nome do seu tipo (ex.: 'task.updated')
+ * e também o evento 'change', ponto único para auditoria, webhooks e caches.
+ * Dentro de uma transação os eventos só são emitidos após o commit.
+ * Substituições em bloco (clear, importState) não geram eventos por registro:
+ * emitem 'reset', sinal para que caches sejam reconstruídos a partir do banco
+ * (também retido até o commit e descartado no rollback).
+ *
+ * O formato dos registros evolui por migrações (src/config/migrations.js),
+ * aplicadas no init() até a versão de schema mais recente.
+ */
+class StorageAdapter extends EventEmitter {
+  constructor() {
+    super();
+    // Eventos retidos por nível de transação aberta
+    this.pendingEvents = [];
+  }
+
+  // Primitivas de persistência (implementadas pelos adapters)
+  _get(collection, id) {
+    throw new Error(`${this.constructor.name} não implementa _get`);
+  }
+
+  _put(collection, record) {
+    throw new Error(`${this.constructor.name} não implementa _put`);
+  }
+
+  _remove(collection, id) {
+    throw new Error(`${this.constructor.name} não implementa _remove`);
+  }
+
+  _all(collection) {
+    throw new Error(`${this.constructor.name} não implementa _all`);
+  }
+
+  _clear() {
+    throw new Error(`${this.constructor.name} não implementa _clear`);
+  }
+
+  _begin() {
+    throw new Error(`${this.constructor.name} não implementa _begin`);
+  }
+
+  _commit() {
+    throw new Error(`${this.constructor.name} não implementa _commit`);
+  }
+
+  _rollback() {
+    throw new Error(`${this.constructor.name} não implementa _rollback`);
+  }
+
+  // Versão de schema gravada; null se nunca registrada
+  _getSchemaVersion() {
+    throw new Error(`${this.constructor.name} não implementa _getSchemaVersion`);
+  }
+
+  _setSchemaVersion(version) {
+    throw new Error(`${this.constructor.name} não implementa _setSchemaVersion`);
+  }
+
+  // Busca por igualdade de campo ('lista.campo' busca nos itens da lista, ver fieldValues.js);
+  // adapters podem sobrescrever com algo mais eficiente
+  _find(collection, field, value) {
+    return this._all(collection).filter(record => fieldValues(record, field).includes(value));
+  }
+
+  // Inicializa o armazenamento: migra dados existentes e popula dados padrão apenas se estiver vazio
+  init() {
+    const report = this.migrate();
+    report.migrations.forEach(({ version, description, changes }) => {
+      console.log(`Migração ${version} aplicada (${changes.users} usuários, ${changes.tasks} tarefas, ${changes.revisions} revisões): ${description}`);
+    });
+
+    if (this._all('users').length === 0) {
+      this.seedData();
+    }
+    return this;
+  }
+
+  getSchemaVersion() {
+    return this._getSchemaVersion();
+  }
+
+  /**
+   * Aplica, em ordem e numa única transação, as migrações posteriores à versão
+   * de schema gravada. Um banco vazio sem versão já nasce na mais recente;
+   * dados sem versão registrada são considerados anteriores à primeira migração.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Apenas calcula o relatório, sem gravar
+   * @param {Array<Object>} [options.migrations] - Lista de migrações (padrão: src/config/migrations.js)
+   * @returns {MigrationReport}
+   */
+  migrate({ dryRun = false, migrations = MIGRATIONS } = {}) {
+    const storedVersion = this._getSchemaVersion();
+    const latestVersion = migrations.length;
+    const records = {};
+    COLLECTIONS.forEach(collection => {
+      records[collection] = this._all(collection);
+    });
+
+    const isEmpty = COLLECTIONS.every(collection => records[collection].length === 0);
+    const currentVersion = storedVersion ?? (isEmpty ? latestVersion : 0);
+    if (currentVersion > latestVersion) {
+      throw new Error(`Versão de schema ${currentVersion} é mais nova que a suportada (${latestVersion})`);
+    }
+
+    const report = { dryRun, fromVersion: currentVersion, toVersion: latestVersion, migrations: [] };
+    const changed = {};
+    COLLECTIONS.forEach(collection => {
+      changed[collection] = new Map();
+    });
+
+    // Cada migração enxerga o resultado das anteriores
+    migrations.filter(migration => migration.version > currentVersion).forEach(migration => {
+      const changes = {};
+      COLLECTIONS.forEach(collection => {
+        changes[collection] = 0;
+      });
+
+      // Registros criados a partir dos dados anteriores à migração
+      Object.entries(migration.create || {}).forEach(([collection, build]) => {
+        const created = build(records);
+        const ids = new Set(created.map(record => record.id));
+
+        records[collection] = [...records[collection].filter(record => !ids.has(record.id)), ...created];
+        created.forEach(record => changed[collection].set(record.id, record));
+        changes[collection] += created.length;
+      });
+
+      COLLECTIONS.forEach(collection => {
+        if (!migration[collection]) return;
+
+        records[collection] = records[collection].map(record => {
+          const migrated = migration[collection](structuredClone(record));
+          if (isDeepStrictEqual(migrated, record)) return record;
+
+          changes[collection] += 1;
+          changed[collection].set(migrated.id, migrated);
+          return migrated;
+        });
+      });
+
+      report.migrations.push({ version: migration.version, description: migration.description, changes });
+    });
+
+    if (!dryRun && storedVersion !== latestVersion) {
+      this.transaction(() => {
+        COLLECTIONS.forEach(collection => {
+          changed[collection].forEach(record => this._put(collection, record));
+        });
+        this._setSchemaVersion(latestVersion);
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Libera recursos do adapter (conexões, arquivos abertos)
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - false fecha sem gravar nada (ex.: migrate --dry-run)
+   */
+  close() {}
+
+  // Controle explícito de transação (prefira transaction(fn))
+  begin() {
+    this._begin();
+    this.pendingEvents.push([]);
+  }
+
+  commit() {
+    this._commit();
+
+    const events = this.pendingEvents.pop();
+    const parent = this.pendingEvents[this.pendingEvents.length - 1];
+    if (parent) {
+      parent.push(...events);
+    } else {
+      events.forEach(event => (event === RESET_EVENT ? this._publishReset() : this._publish(event)));
+    }
+  }
+
+  rollback() {
+    this._rollback();
+    this.pendingEvents.pop();
+  }
+
+  // Eventos de domínio
+  _recordChange(collection, action, before, after) {
+    const entity = ENTITY_BY_COLLECTION[collection];
+    const event = {
+      type: `${entity}.${action}`,
+      entity,
+      id: (after || before).id,
+      before: toSnapshot(before),
+      after: toSnapshot(after),
+      actor: getActor(),
+      timestamp: new Date()
+    };
+
+    const pending = this.pendingEvents[this.pendingEvents.length - 1];
+    if (pending) {
+      pending.push(event);
+    } else {
+      this._publish(event);
+    }
+  }
+
+  _publishReset() {
+    const pending = this.pendingEvents[this.pendingEvents.length - 1];
+    if (pending) {
+      pending.push(RESET_EVENT);
+      return;
+    }
+
+    try {
+      this.emit('reset');
+    } catch (error) {
+      console.error('Erro em listener do evento reset:', error);
+    }
+  }
+
+  // Um listener com erro não deve desfazer uma escrita já concluída
+  _publish(event) {
+    try {
+      this.emit(event.type, event);
+      this.emit('change', event);
+    } catch (error) {
+      console.error(`Erro em listener do evento ${event.type}:`, error);
+    }
+  }
+
+  /**
+   * Executa fn como uma unidade de trabalho: todas as alterações em users e
+   * tasks feitas dentro dela são aplicadas juntas ou descartadas se fn lançar erro.
+   * Transações podem ser aninhadas; a mais externa decide o resultado final.
+   *
+   * fn deve ser síncrona: como todas as operações do banco são síncronas,
+   * nenhuma outra requisição intercala com a transação em andamento.
+   *
+   * @param {Function} fn - Recebe o próprio database
+   * @returns {*} Valor retornado por fn
+   */
+  transaction(fn) {
+    if (fn.constructor.name === 'AsyncFunction') {
+      throw new Error('Transações não suportam funções assíncronas');
+    }
+
+    this.begin();
+
+    let result;
+    try {
+      result = fn(this);
+      // Funções comuns que retornam uma promise só são detectadas depois de rodar
+      if (result && typeof result.then === 'function') {
+        throw new Error('Transações não suportam funções assíncronas');
+      }
+    } catch (error) {
+      this.rollback();
+      throw error;
+    }
+
+    this.commit();
+    return result;
+  }
+
+  // Cópia completa dos dados, independente do armazenamento (snapshots de teste)
+  exportState() {
+    return structuredClone({
+      users: this._all('users'),
+      tasks: this._all('tasks'),
+      revisions: this._all('revisions')
+    });
+  }
+
+  // Substitui todos os dados pelo estado informado (resultado de exportState)
+  importState(state) {
+    this.transaction(() => {
+      this._clear();
+      state.users.forEach(user => this._put('users', structuredClone(user)));
+      state.tasks.forEach(task => this._put('tasks', structuredClone(task)));
+      (state.revisions || []).forEach(revision => this._put('revisions', structuredClone(revision)));
+    });
+    this._publishReset();
+  }
+
+  // Popula com a fixture do ambiente (ver src/config/seeds.js) ou com o arquivo informado
+  seedData(file) {
+    applyFixture(this, loadFixture(file));
+  }
+
+  // Lixeira: registros com deletedAt ficam ocultos das buscas padrão
+  // até serem restaurados ou removidos definitivamente (purge)
+  _getActive(collection, id, { includeDeleted = false } = {}) {
+    const record = this._get(collection, id);
+    if (!record || (record.deletedAt && !includeDeleted)) return undefined;
+    return record;
+  }
+
+  _insert(collection, data) {
+    const record = {
+      id: uuidv4(),
+      ...data,
+      version: 1,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    this._put(collection, record);
+    this._recordChange(collection, 'created', null, record);
+    return record;
+  }
+
+  _modify(collection, record, changes, action = 'updated') {
+    const before = this._get(collection, record.id);
+    const updatedRecord = {
+      ...record,
+      ...changes,
+      version: record.version + 1,
+      updatedAt: new Date()
+    };
+    this._put(collection, updatedRecord);
+    this._recordChange(collection, action, before, updatedRecord);
+    return updatedRecord;
+  }
+
+  _softDelete(collection, id) {
+    const record = this._getActive(collection, id);
+    if (!record) return false;
+
+    this._modify(collection, record, { deletedAt: new Date() }, 'deleted');
+    return true;
+  }
+
+  _restore(collection, id) {
+    const record = this._get(collection, id);
+    if (!record || !record.deletedAt) return null;
+
+    const { deletedAt, ...restoredRecord } = record;
+    return this._modify(collection, restoredRecord, {}, 'restored');
+  }
+
+  _purge(collection, id) {
+    const record = this._get(collection, id);
+    if (!record || !record.deletedAt) return false;
+
+    this._remove(collection, id);
+    this._recordChange(collection, 'purged', record, null);
+    return true;
+  }
+
+  // Métodos para Users
+  getAllUsers() {
+    return this._all('users').filter(user => !user.deletedAt);
+  }
+
+  getUserById(id, options) {
+    return this._getActive('users', id, options);
+  }
+
+  getUserByEmail(email) {
+    return this._find('users', 'email', email).find(user => !user.deletedAt);
+  }
+
+  createUser(userData) {
+    return this._insert('users', userData);
+  }
+
+  updateUser(id, updateData) {
+    const user = this._getActive('users', id);
+    if (!user) return null;
+
+    return this._modify('users', user, updateData);
+  }
+
+  deleteUser(id) {
+    return this._softDelete('users', id);
+  }
+
+  /**
+   * Deleta o usuário aplicando uma política às suas tarefas, numa única transação
+   * @param {string} id - Id do usuário
+   * @param {Object} [options]
+   * @param {'cascade'|'reassign'} [options.taskPolicy='cascade'] - Deletar as tarefas ou transferi-las
+   * @param {string} [options.reassignTo] - Novo dono das tarefas (política reassign)
+   * @returns {number|null} Quantidade de tarefas afetadas, ou null se o usuário não existe
+   */
+  deleteUserWithTasks(id, { taskPolicy = 'cascade', reassignTo = null } = {}) {
+    return this.transaction(() => {
+      if (!this.getUserById(id)) return null;
+
+      const tasks = this.getTasksByUserId(id);
+      tasks.forEach(task => {
+        if (taskPolicy === 'reassign') {
+          this.updateTask(task.id, { userId: reassignTo });
+        } else {
+          this.deleteTask(task.id);
+        }
+      });
+
+      // O usuário deixa de ser responsável ou colaborador nas tarefas de outros
+      this.getAllTasks(id, { includeShared: true })
+        .filter(task => task.userId !== id)
+        .forEach(task => {
+          if (task.assigneeId === id) this.assignTask(task.id, null);
+          if ((task.shares || []).some(share => share.userId === id)) this.unshareTask(task.id, id);
+        });
+
+      this.deleteUser(id);
+      return tasks.length;
+    });
+  }
+
+  getDeletedUsers() {
+    return this._all('users').filter(user => user.deletedAt);
+  }
+
+  restoreUser(id) {
+    return this._restore('users', id);
+  }
+
+  // Remove também as tarefas do usuário que ficaram na lixeira
+  purgeUser(id) {
+    return this.transaction(() => {
+      if (!this._purge('users', id)) return false;
+
+      this.getDeletedTasks(id).forEach(task => this.purgeTask(task.id));
+      return true;
+    });
+  }
+
+  // Métodos para Tasks
+  /**
+   * @param {string|null} [userId] - Apenas tarefas deste dono (null: todas)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeShared=false] - Incluir também as tarefas
+   *   atribuídas ao usuário ou compartilhadas com ele
+   */
+  getAllTasks(userId = null, { includeShared = false } = {}) {
+    // União das buscas indexadas por dono, responsável e colaborador, na ordem de criação
+    if (userId && includeShared) {
+      const tasks = new Map();
+      TASK_ACCESS_FIELDS.forEach(field => {
+        this._find('tasks', field, userId).forEach(task => tasks.set(task.id, task));
+      });
+      return Array.from(tasks.values())
+        .filter(task => !task.deletedAt)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    const tasks = userId ? this._find('tasks', 'userId', userId) : this._all('tasks');
+    return tasks.filter(task => !task.deletedAt);
+  }
+
+  getTaskById(id, options) {
+    return this._getActive('tasks', id, options);
+  }
+
+  // status e completed são mantidos consistentes (ver src/utils/taskStatus.js)
+  createTask(taskData) {
+    const data = applyStatus(workflow, {}, {
+      tags: [],
+      checklist: [],
+      autoComplete: false,
+      comments: [],
+      assigneeId: null,
+      shares: [],
+      recurrence: null,
+      attachments: [],
+      ...taskData
+    });
+
+    // O id da primeira tarefa identifica a série
+    if (data.recurrence) {
+      data.id = uuidv4();
+      data.recurrence = initRecurrence(data.recurrence, { ...data, createdAt: new Date(), recurrence: null });
+    }
+
+    return this.transaction(() => {
+      const task = this._insert('tasks', data);
+      this._addRevision(task.id, buildRevision({}, data, { version: 1, actor: getActor() }));
+      return task;
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} updateData
+   * @param {Object} [options]
+   * @param {number} [options.revertedTo] - Marca a revisão gerada como revert para esta versão
+   */
+  updateTask(id, updateData, { revertedTo } = {}) {
+    const task = this._getActive('tasks', id);
+    if (!task) return null;
+
+    const changes = 'status' in updateData || 'completed' in updateData
+      ? applyStatus(workflow, task, updateData)
+      : { ...updateData };
+    if (changes.recurrence) {
+      changes.recurrence = initRecurrence(changes.recurrence, { ...task, ...changes, recurrence: task.recurrence });
+    }
+
+    // Concluir uma tarefa recorrente gera a próxima ocorrência (uma única vez)
+    const recurrence = 'recurrence' in changes ? changes.recurrence : task.recurrence;
+    if (changes.completed === true && !task.completed && recurrence && !recurrence.nextTaskId) {
+      return this.transaction(() => {
+        const next = buildNextOccurrence({ ...task, ...changes, recurrence });
+        if (next) {
+          changes.recurrence = { ...recurrence, nextTaskId: this.createTask(next).id };
+        }
+        return this._modifyTask(task, changes, revertedTo);
+      });
+    }
+
+    return this._modifyTask(task, changes, revertedTo);
+  }
+
+  // Alterações nos campos rastreados geram uma revisão (ver src/utils/taskRevisions.js)
+  _modifyTask(task, changes, revertedTo) {
+    return this.transaction(() => {
+      const updatedTask = this._modify('tasks', task, changes);
+      this._addRevision(task.id, buildRevision(task, changes, { version: updatedTask.version, actor: getActor(), revertedTo }));
+      return updatedTask;
+    });
+  }
+
+  // Grava a revisão (se houver) e descarta as que passam de MAX_REVISIONS
+  _addRevision(taskId, revision) {
+    if (!revision) return;
+
+    this._saveRevision({ ...revision, taskId });
+    this.getTaskRevisions(taskId)
+      .slice(0, -MAX_REVISIONS)
+      .forEach(old => this._deleteRevision(old.id));
+  }
+
+  // Pontos de escrita das revisões; o MemoryAdapter os registra no journal
+  _saveRevision(revision) {
+    this._put('revisions', revision);
+  }
+
+  _deleteRevision(id) {
+    this._remove('revisions', id);
+  }
+
+  /**
+   * Histórico de revisões da tarefa, em ordem cronológica
+   * @param {string} taskId
+   * @returns {Array<Object>}
+   */
+  getTaskRevisions(taskId) {
+    return this._find('revisions', 'taskId', taskId).sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Restaura os campos rastreados da tarefa como estavam na versão informada,
+   * gerando uma nova revisão. Retorna null se a tarefa ou a versão não existe.
+   */
+  revertTask(id, version) {
+    const task = this._getActive('tasks', id);
+    if (!task) return null;
+
+    const state = getStateAtVersion(task, this.getTaskRevisions(id), version);
+    if (!state) return null;
+
+    // A regra de recorrência volta como era, mas a posição na série e a próxima
+    // ocorrência já gerada são mantidas, para que ela não seja gerada de novo
+    if (state.recurrence && task.recurrence) {
+      const { nextTaskId, ...rule } = state.recurrence;
+      state.recurrence = {
+        ...rule,
+        seriesId: task.recurrence.seriesId,
+        occurrence: task.recurrence.occurrence,
+        ...(task.recurrence.nextTaskId && { nextTaskId: task.recurrence.nextTaskId })
+      };
+    }
+
+    // A tarefa já está como na versão pedida
+    if (diffTask(task, state).length === 0) return task;
+
+    return this.updateTask(id, state, { revertedTo: version });
+  }
+
+  deleteTask(id) {
+    return this._softDelete('tasks', id);
+  }
+
+  getTasksByUserId(userId) {
+    return this.getAllTasks(userId);
+  }
+
+  getDeletedTasks(userId = null) {
+    const tasks = userId ? this._find('tasks', 'userId', userId) : this._all('tasks');
+    return tasks.filter(task => task.deletedAt);
+  }
+
+  restoreTask(id) {
+    return this._restore('tasks', id);
+  }
+
+  purgeTask(id) {
+    return this.transaction(() => {
+      if (!this._purge('tasks', id)) return false;
+
+      this.getTaskRevisions(id).forEach(revision => this._deleteRevision(revision.id));
+      return true;
+    });
+  }
+
+  // Checklist: itens ordenados da tarefa. Os métodos retornam a tarefa
+  // atualizada, ou null se a tarefa (ou o item) não existe
+
+  /**
+   * @param {string} taskId
+   * @param {{title: string, done?: boolean}} itemData
+   * @param {number} [position] - Índice de inserção (padrão: fim da lista)
+   */
+  addChecklistItem(taskId, { title, done = false }, position) {
+    const task = this._getActive('tasks', taskId);
+    if (!task) return null;
+
+    const item = { id: uuidv4(), title, done, createdAt: new Date() };
+    const checklist = [...(task.checklist || [])];
+    checklist.splice(position ?? checklist.length, 0, item);
+    return this._modifyChecklist(task, checklist);
+  }
+
+  updateChecklistItem(taskId, itemId, changes) {
+    const task = this._getActive('tasks', taskId);
+    if (!task || !(task.checklist || []).some(item => item.id === itemId)) return null;
+
+    const checklist = task.checklist.map(item => (item.id === itemId ? { ...item, ...changes } : item));
+    return this._modifyChecklist(task, checklist);
+  }
+
+  // itemIds deve conter todos os itens atuais, na nova ordem
+  reorderChecklist(taskId, itemIds) {
+    const task = this._getActive('tasks', taskId);
+    if (!task || !isChecklistPermutation(task, itemIds)) return null;
+
+    const checklist = itemIds.map(id => task.checklist.find(item => item.id === id));
+    return this._modifyChecklist(task, checklist);
+  }
+
+  removeChecklistItem(taskId, itemId) {
+    const task = this._getActive('tasks', taskId);
+    if (!task || !(task.checklist || []).some(item => item.id === itemId)) return null;
+
+    return this._modifyChecklist(task, task.checklist.filter(item => item.id !== itemId));
+  }
+
+  // Com autoComplete, concluir o último item pendente conclui a tarefa, se o
+  // fluxo de status permitir a transição a partir do status atual
+  _modifyChecklist(task, checklist) {
+    const changes = { checklist };
+    if (task.autoComplete && checklist.length > 0 && checklist.every(item => item.done) &&
+      !checkStatusTransition(workflow, task, { completed: true })) {
+      changes.completed = true;
+    }
+    return this.updateTask(task.id, changes);
+  }
+
+  // Atribuição e compartilhamento (ver src/utils/taskAccess.js)
+
+  // userId null remove o responsável
+  assignTask(taskId, userId) {
+    const task = this._getActive('tasks', taskId);
+    if (!task) return null;
+
+    return this.updateTask(task.id, { assigneeId: userId });
+  }
+
+  /**
+   * Compartilha a tarefa ou altera o nível de um compartilhamento existente
+   * @param {string} taskId
+   * @param {string} userId - Colaborador
+   * @param {'viewer'|'editor'} role
+   */
+  shareTask(taskId, userId, role) {
+    const task = this._getActive('tasks', taskId);
+    if (!task) return null;
+
+    const shares = (task.shares || []).filter(share => share.userId !== userId);
+    const existing = (task.shares || []).find(share => share.userId === userId);
+    shares.push({ userId, role, sharedAt: existing ? existing.sharedAt : new Date() });
+    return this.updateTask(task.id, { shares });
+  }
+
+  // Retorna null também se a tarefa não estava compartilhada com o usuário
+  unshareTask(taskId, userId) {
+    const task = this._getActive('tasks', taskId);
+    if (!task || !(task.shares || []).some(share => share.userId === userId)) return null;
+
+    return this.updateTask(task.id, { shares: task.shares.filter(share => share.userId !== userId) });
+  }
+
+  // Comentários: guardados na tarefa, em ordem de criação. Os métodos retornam
+  // a tarefa atualizada, ou null se a tarefa (ou o comentário) não existe
+
+  /**
+   * @param {string} taskId
+   * @param {{userId: string, text: string}} commentData - userId é o autor
+   */
+  addComment(taskId, { userId, text }) {
+    const task = this._getActive('tasks', taskId);
+    if (!task) return null;
+
+    const now = new Date();
+    const comment = { id: uuidv4(), userId, text, createdAt: now, updatedAt: now };
+    return this.updateTask(task.id, { comments: [...(task.comments || []), comment] });
+  }
+
+  editComment(taskId, commentId, text) {
+    const task = this._getActive('tasks', taskId);
+    if (!task || !(task.comments || []).some(comment => comment.id === commentId)) return null;
+
+    const comments = task.comments.map(comment => (
+      comment.id === commentId ? { ...comment, text, updatedAt: new Date() } : comment
+    ));
+    return this.updateTask(task.id, { comments });
+  }
+
+  deleteComment(taskId, commentId) {
+    const task = this._getActive('tasks', taskId);
+    if (!task || !(task.comments || []).some(comment => comment.id === commentId)) return null;
+
+    return this.updateTask(task.id, { comments: task.comments.filter(comment => comment.id !== commentId) });
+  }
+
+  // Anexos: apenas os metadados, na tarefa; os arquivos ficam em disco
+  // (ver src/config/attachmentStore.js). Os métodos retornam a tarefa
+  // atualizada, ou null se a tarefa (ou o anexo) não existe
+
+  /**
+   * O limite de anexos é conferido na mesma transação que grava o anexo, já
+   * que outro upload da tarefa pode ter terminado durante este
+   * @param {string} taskId
+   * @param {{userId: string, filename: string, mimeType: string, size: number}} attachmentData - userId é quem enviou
+   * @returns {?Object|false} false se a tarefa já tem MAX_ATTACHMENTS_PER_TASK anexos
+   */
+  addAttachment(taskId, { userId, filename, mimeType, size }) {
+    return this.transaction(() => {
+      const task = this._getActive('tasks', taskId);
+      if (!task) return null;
+      if ((task.attachments || []).length >= MAX_ATTACHMENTS_PER_TASK) return false;
+
+      const attachment = { id: uuidv4(), userId, filename, mimeType, size, createdAt: new Date() };
+      return this.updateTask(task.id, { attachments: [...(task.attachments || []), attachment] });
+    });
+  }
+
+  deleteAttachment(taskId, attachmentId) {
+    const task = this._getActive('tasks', taskId);
+    if (!task || !(task.attachments || []).some(attachment => attachment.id === attachmentId)) return null;
+
+    return this.updateTask(task.id, { attachments: task.attachments.filter(attachment => attachment.id !== attachmentId) });
+  }
+
+  // Tags: gerenciadas por usuário, sobre as tarefas ativas dele
+
+  /**
+   * Tags em uso nas tarefas do usuário
+   * @param {string} userId
+   * @returns {Array<{name: string, count: number}>} Ordenadas por nome
+   */
+  getTagsByUserId(userId) {
+    const counts = new Map();
+    this.getTasksByUserId(userId).forEach(task => {
+      (task.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  renameTag(userId, from, to) {
+    return this.mergeTags(userId, [from], to);
+  }
+
+  /**
+   * Substitui as tags de origem pela tag de destino em todas as tarefas do usuário
+   * @returns {number} Quantidade de tarefas alteradas
+   */
+  mergeTags(userId, sources, target) {
+    return this._replaceTags(userId, sources, target);
+  }
+
+  /**
+   * Remove a tag de todas as tarefas do usuário
+   * @returns {number} Quantidade de tarefas alteradas
+   */
+  deleteTag(userId, tag) {
+    return this._replaceTags(userId, [tag], null);
+  }
+
+  _replaceTags(userId, sources, replacement) {
+    return this.transaction(() => {
+      const tasks = this.getTasksByUserId(userId)
+        .filter(task => (task.tags || []).some(tag => sources.includes(tag)));
+
+      tasks.forEach(task => {
+        const tags = task.tags.flatMap(tag => (sources.includes(tag) ? [replacement] : [tag]));
+        const updated = [...new Set(tags)].filter(Boolean);
+        if (!isDeepStrictEqual(updated, task.tags)) {
+          this.updateTask(task.id, { tags: updated });
+        }
+      });
+
+      return tasks.length;
+    });
+  }
+
+  // Método para limpar dados (útil para testes)
+  clear() {
+    this._clear();
+    this._publishReset();
+  }
+
+  // Método para resetar com dados padrão
+  reset() {
+    this.clear();
+    this.seedData();
+  }
+}
+
+StorageAdapter.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = StorageAdapter;
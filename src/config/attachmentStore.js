@@ -0,0 +1,86 @@
+// Arquivos dos anexos em disco, em <ATTACHMENTS_DIR>/<taskId>/<attachmentId>
+// (padrão: data/attachments). Os metadados ficam na própria tarefa
+// (task.attachments); os arquivos de uma tarefa removida definitivamente são
+// apagados junto com ela, e os que ficam sem anexo após uma substituição em
+// bloco do banco (clear, reset, importState) são apagados no evento 'reset'.
+
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+
+const UPLOADS_DIR = '.uploads';
+
+class AttachmentStore {
+  /**
+   * @param {StorageAdapter} database - Fonte dos eventos de remoção de tarefas
+   * @param {string} directory
+   */
+  constructor(database, directory) {
+    this.database = database;
+    this.directory = directory;
+
+    database.on('task.purged', event => this.removeTask(event.id));
+    database.on('reset', () => this.prune());
+  }
+
+  // Uploads em andamento ficam no mesmo disco, para que save seja um rename
+  getUploadDir() {
+    const uploadDir = path.join(this.directory, UPLOADS_DIR);
+    fs.mkdirSync(uploadDir, { recursive: true });
+    return uploadDir;
+  }
+
+  getPath(taskId, attachmentId) {
+    return path.join(this.directory, taskId, attachmentId);
+  }
+
+  /**
+   * Move o arquivo recebido para o lugar definitivo do anexo
+   * @param {string} taskId
+   * @param {string} attachmentId
+   * @param {string} uploadedPath - Arquivo em getUploadDir()
+   */
+  save(taskId, attachmentId, uploadedPath) {
+    fs.mkdirSync(path.join(this.directory, taskId), { recursive: true });
+    fs.renameSync(uploadedPath, this.getPath(taskId, attachmentId));
+  }
+
+  exists(taskId, attachmentId) {
+    return fs.existsSync(this.getPath(taskId, attachmentId));
+  }
+
+  remove(taskId, attachmentId) {
+    fs.rmSync(this.getPath(taskId, attachmentId), { force: true });
+  }
+
+  removeTask(taskId) {
+    fs.rmSync(path.join(this.directory, taskId), { recursive: true, force: true });
+  }
+
+  // Apaga os arquivos sem anexo correspondente no banco (tarefas na lixeira mantêm os seus)
+  prune() {
+    if (!fs.existsSync(this.directory)) return;
+
+    fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== UPLOADS_DIR)
+      .forEach(({ name: taskId }) => {
+        const task = this.database.getTaskById(taskId, { includeDeleted: true });
+        const attachmentIds = new Set(((task && task.attachments) || []).map(attachment => attachment.id));
+        if (attachmentIds.size === 0) {
+          this.removeTask(taskId);
+          return;
+        }
+
+        fs.readdirSync(path.join(this.directory, taskId))
+          .filter(attachmentId => !attachmentIds.has(attachmentId))
+          .forEach(attachmentId => this.remove(taskId, attachmentId));
+      });
+  }
+}
+
+const attachmentStore = new AttachmentStore(
+  database,
+  path.resolve(process.env.ATTACHMENTS_DIR || path.join(process.cwd(), 'data', 'attachments'))
+);
+
+module.exports = attachmentStore;
@@ -0,0 +1,235 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { hashPassword } = require('./seeds');
+const { workflow } = require('./workflow');
+
+// Gerador de massa de dados sintética para testes de performance
+// O mesmo seed (e as mesmas opções) produz sempre os mesmos usuários, tarefas e ids,
+// o que permite gerar o users.json do k6 separadamente do banco
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Referência fixa das datas geradas: com o relógio atual, o mesmo seed geraria
+// datas diferentes a cada execução
+const DEFAULT_NOW = new Date('2025-01-01T00:00:00.000Z');
+
+const rangeSchema = (min, max, floor, limit) => Joi.object({
+  min: Joi.number().integer().min(floor).max(limit).default(min),
+  max: Joi.number().integer().min(Joi.ref('min')).max(limit).default(max)
+}).default();
+
+const optionsSchema = Joi.object({
+  seed: Joi.alternatives(Joi.number().integer(), Joi.string()).default(1),
+  users: Joi.number().integer().min(0).default(100),
+  tasksPerUser: Joi.number().integer().min(0).default(20),
+  // Variação relativa de tarefas por usuário: 0.5 com tasksPerUser=20 gera entre 10 e 30
+  tasksPerUserSpread: Joi.number().min(0).max(1).default(0),
+  password: Joi.string().min(6).default('password123'),
+  emailDomain: Joi.string().hostname().default('perf.example.com'),
+  adminRatio: Joi.number().min(0).max(1).default(0),
+  // Pesos relativos de cada prioridade
+  priorities: Joi.object({
+    low: Joi.number().min(0).default(0.3),
+    medium: Joi.number().min(0).default(0.5),
+    high: Joi.number().min(0).default(0.2)
+  }).default(),
+  completionRate: Joi.number().min(0).max(1).default(0.3),
+  // Limites compatíveis com a validação de tarefas da API (título até 200, descrição até 1000)
+  titleWords: rangeSchema(2, 8, 1, 15),
+  descriptionLength: rangeSchema(0, 300, 0, 1000),
+  // createdAt distribuído nos últimos `days` dias; skew > 1 concentra em datas recentes
+  timestamps: Joi.object({
+    days: Joi.number().min(0).default(90),
+    skew: Joi.number().min(0.1).default(1)
+  }).default(),
+  now: Joi.date().default(() => new Date(DEFAULT_NOW))
+});
+
+const FIRST_NAMES = ['Ana', 'Bruno', 'Carla', 'Diego', 'Elisa', 'Felipe', 'Gabriela', 'Heitor', 'Isabela', 'João', 'Larissa', 'Marcos', 'Natália', 'Otávio', 'Paula', 'Rafael', 'Sofia', 'Tiago', 'Vitória', 'William'];
+const LAST_NAMES = ['Almeida', 'Barbosa', 'Costa', 'Dias', 'Ferreira', 'Gomes', 'Lima', 'Martins', 'Nunes', 'Oliveira', 'Pereira', 'Ribeiro', 'Santos', 'Souza', 'Teixeira'];
+const WORDS = ['revisar', 'relatório', 'enviar', 'proposta', 'cliente', 'reunião', 'planejar', 'sprint', 'corrigir', 'bug', 'deploy', 'produção', 'atualizar', 'documentação', 'testar', 'integração', 'pagamento', 'contrato', 'orçamento', 'equipe', 'backlog', 'migrar', 'banco', 'dados', 'configurar', 'servidor', 'agendar', 'entrevista', 'validar', 'requisitos', 'preparar', 'apresentação', 'analisar', 'métricas', 'otimizar', 'consulta', 'responder', 'email', 'fornecedor', 'treinamento'];
+
+// PRNG determinístico (mulberry32)
+function createRandom(seed) {
+  let state = typeof seed === 'number'
+    ? seed >>> 0
+    : [...String(seed)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  random.pick = (items) => items[Math.floor(random() * items.length)];
+  random.weighted = (weights) => {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let target = random() * total;
+    for (const [value, weight] of entries) {
+      target -= weight;
+      if (target < 0) return value;
+    }
+    return entries[entries.length - 1][0];
+  };
+  random.uuid = () => uuidv4({ random: Array.from({ length: 16 }, () => Math.floor(random() * 256)) });
+
+  return random;
+}
+
+function words(random, count) {
+  return Array.from({ length: count }, () => random.pick(WORDS)).join(' ');
+}
+
+function text(random, length) {
+  let result = '';
+  while (result.length < length) {
+    result += (result ? ' ' : '') + random.pick(WORDS);
+  }
+  return result.slice(0, length).trim();
+}
+
+// Data entre `from` e `now`, com o expoente skew deslocando para perto de `now`
+function timestamp(random, from, now, skew) {
+  const age = Math.pow(random(), skew) * (now - from);
+  return new Date(now - age);
+}
+
+/**
+ * Valida as opções do gerador, aplicando valores padrão
+ * @param {Object} [options]
+ * @returns {Object} Opções completas
+ */
+function resolveOptions(options = {}) {
+  const { error, value } = optionsSchema.validate(options);
+  if (error) {
+    throw new Error(`Opções do gerador inválidas: ${error.message}`);
+  }
+  if (Object.values(value.priorities).every(weight => weight === 0)) {
+    throw new Error('Opções do gerador inválidas: ao menos uma prioridade deve ter peso maior que zero');
+  }
+  return value;
+}
+
+/**
+ * Gera usuários e tarefas completos (id, version, createdAt, updatedAt),
+ * prontos para StorageAdapter#importState
+ * @param {Object} [options] - Ver optionsSchema
+ * @returns {{users: Object[], tasks: Object[]}}
+ */
+function generateDataset(options = {}) {
+  const config = resolveOptions(options);
+  const random = createRandom(config.seed);
+  const now = config.now.getTime();
+  const oldest = now - config.timestamps.days * DAY_MS;
+  const password = hashPassword(config.password);
+
+  const users = [];
+  const tasks = [];
+
+  for (let n = 1; n <= config.users; n++) {
+    const createdAt = timestamp(random, oldest, now, config.timestamps.skew);
+    const user = {
+      id: random.uuid(),
+      name: `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+      email: `perf${n}@${config.emailDomain}`,
+      password,
+      role: random() < config.adminRatio ? 'admin' : 'user',
+      version: 1,
+      createdAt,
+      updatedAt: createdAt
+    };
+    users.push(user);
+
+    const spread = Math.round(config.tasksPerUser * config.tasksPerUserSpread);
+    const taskCount = random.int(config.tasksPerUser - spread, config.tasksPerUser + spread);
+
+    for (let i = 0; i < taskCount; i++) {
+      const taskCreatedAt = timestamp(random, createdAt.getTime(), now, config.timestamps.skew);
+      const completed = random() < config.completionRate;
+      // Tarefas concluídas sempre foram alteradas após a criação
+      const updatedAt = completed || random() < 0.5
+        ? timestamp(random, taskCreatedAt.getTime(), now, 1)
+        : taskCreatedAt;
+
+      tasks.push({
+        id: random.uuid(),
+        title: words(random, random.int(config.titleWords.min, config.titleWords.max)),
+        description: text(random, random.int(config.descriptionLength.min, config.descriptionLength.max)),
+        priority: random.weighted(config.priorities),
+        completed,
+        status: completed ? workflow.done : workflow.initial,
+        tags: [],
+        checklist: [],
+        autoComplete: false,
+        comments: [],
+        assigneeId: null,
+        shares: [],
+        recurrence: null,
+        attachments: [],
+        userId: user.id,
+        version: updatedAt === taskCreatedAt ? 1 : 2,
+        createdAt: taskCreatedAt,
+        updatedAt
+      });
+    }
+  }
+
+  // Ordem de inserção cronológica, como nos dados criados pela API
+  const byCreatedAt = (a, b) => a.createdAt - b.createdAt;
+  return {
+    users: users.sort(byCreatedAt),
+    tasks: tasks.sort(byCreatedAt)
+  };
+}
+
+/**
+ * Grava o dataset no banco, substituindo os dados atuais ou somando a eles
+ * @param {StorageAdapter} database
+ * @param {{users: Object[], tasks: Object[]}} dataset - Resultado de generateDataset
+ * @param {Object} [options]
+ * @param {boolean} [options.append=false] - Mantém os dados existentes
+ */
+function populate(database, dataset, { append = false } = {}) {
+  if (!append) {
+    database.importState(dataset);
+    return;
+  }
+
+  const current = database.exportState();
+  const emails = new Set(current.users.map(user => user.email));
+  const duplicated = dataset.users.find(user => emails.has(user.email));
+  if (duplicated) {
+    throw new Error(`Email já cadastrado no banco: ${duplicated.email}`);
+  }
+
+  database.importState({
+    users: [...current.users, ...dataset.users],
+    tasks: [...current.tasks, ...dataset.tasks],
+    revisions: current.revisions
+  });
+}
+
+/**
+ * Contas no formato de test/k6/data/users.json
+ * @param {{users: Object[]}} dataset
+ * @param {string} password - Senha em texto puro usada na geração
+ * @param {number} [limit] - Quantidade máxima de contas
+ * @returns {Array<{email: string, password: string, name: string}>}
+ */
+function toK6Users(dataset, password, limit = dataset.users.length) {
+  return dataset.users
+    .filter(user => user.role === 'user')
+    .slice(0, limit)
+    .map(user => ({ email: user.email, password, name: user.name }));
+}
+
+module.exports = {
+  resolveOptions,
+  generateDataset,
+  populate,
+  toK6Users
+};
@@ -0,0 +1,86 @@
+// Migrações do formato dos registros persistidos (users, tasks e revisions)
+//
+// Cada migração leva os dados da versão de schema anterior para a sua `version`.
+// Para cada coleção, uma função recebe uma cópia do registro e retorna o
+// registro migrado; retornar o registro sem alterações o mantém intacto.
+// Em `create`, uma função por coleção recebe os registros de todas as coleções
+// (antes das funções por registro da mesma migração) e retorna novos registros.
+//
+// Regras:
+//   - nunca altere ou remova uma migração já publicada; crie uma nova
+//   - versões são inteiros consecutivos a partir de 1
+//   - migrações devem ser idempotentes (reaplicar não muda o resultado)
+//   - registros na lixeira (deletedAt) também são migrados
+
+const { workflow } = require('./workflow');
+const { getStatus } = require('../utils/taskStatus');
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Adicionar version aos registros anteriores ao controle de concorrência',
+    users: (user) => ({ version: 1, ...user }),
+    tasks: (task) => ({ version: 1, ...task })
+  },
+  {
+    version: 2,
+    description: 'Adicionar lista de tags vazia às tarefas',
+    tasks: (task) => ({ ...task, tags: task.tags || [] })
+  },
+  {
+    version: 3,
+    description: 'Adicionar checklist vazia e autoComplete desligado às tarefas',
+    tasks: (task) => ({ ...task, checklist: task.checklist || [], autoComplete: task.autoComplete ?? false })
+  },
+  {
+    version: 4,
+    description: 'Adicionar lista de comentários vazia às tarefas',
+    tasks: (task) => ({ ...task, comments: task.comments || [] })
+  },
+  {
+    version: 5,
+    description: 'Adicionar responsável e compartilhamentos às tarefas',
+    tasks: (task) => ({ ...task, assigneeId: task.assigneeId ?? null, shares: task.shares || [] })
+  },
+  {
+    version: 6,
+    description: 'Adicionar histórico de revisões vazio às tarefas',
+    tasks: (task) => ({ ...task, revisions: task.revisions || [] })
+  },
+  {
+    version: 7,
+    description: 'Adicionar recorrência vazia às tarefas',
+    tasks: (task) => ({ ...task, recurrence: task.recurrence ?? null })
+  },
+  {
+    version: 8,
+    description: 'Adicionar status às tarefas a partir de completed',
+    tasks: (task) => ({ ...task, status: getStatus(workflow, task) })
+  },
+  {
+    version: 9,
+    description: 'Adicionar lista de anexos vazia às tarefas',
+    tasks: (task) => ({ ...task, attachments: task.attachments || [] })
+  },
+  {
+    version: 10,
+    description: 'Mover o histórico de revisões das tarefas para a coleção revisions',
+    create: {
+      revisions: ({ tasks }) => tasks.flatMap(task => (task.revisions || []).map(revision => ({ ...revision, taskId: task.id })))
+    },
+    tasks: ({ revisions, ...task }) => task
+  }
+];
+
+migrations.forEach((migration, index) => {
+  if (migration.version !== index + 1) {
+    throw new Error(`Migração fora de ordem: esperada versão ${index + 1}, encontrada ${migration.version}`);
+  }
+});
+
+const LATEST_SCHEMA_VERSION = migrations.length;
+
+module.exports = {
+  migrations,
+  LATEST_SCHEMA_VERSION
+};
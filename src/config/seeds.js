@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const { tagsSchema } = require('../utils/tags');
+
+// Fixtures de seed em JSON, escolhidas por ambiente:
+//   1. SEED_FILE, se definido
+//   2. seeds/<NODE_ENV>.json, se existir
+//   3. seeds/default.json
+const SEEDS_DIR = path.join(__dirname, '..', '..', 'seeds');
+
+const fixtureSchema = Joi.object({
+  users: Joi.array().items(Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    email: Joi.string().email().required(),
+    password: Joi.string().min(6).required(),
+    role: Joi.string().valid('user', 'admin').default('user')
+  })).default([]),
+  tasks: Joi.array().items(Joi.object({
+    title: Joi.string().min(1).max(200).required(),
+    description: Joi.string().max(1000).optional().allow(''),
+    priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
+    completed: Joi.boolean().default(false),
+    tags: tagsSchema.default([]),
+    owner: Joi.string().email().required()
+  })).default([]),
+  generate: Joi.object({
+    users: Joi.number().integer().min(0).default(0),
+    tasksPerUser: Joi.number().integer().min(0).default(0),
+    password: Joi.string().min(6).default('password123'),
+    emailDomain: Joi.string().hostname().default('seed.example.com')
+  }).optional()
+});
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Hash de senhas em texto puro, reaproveitado entre resets (bcrypt é caro)
+const hashCache = new Map();
+const hashPassword = (password) => {
+  if (!hashCache.has(password)) {
+    hashCache.set(password, bcrypt.hashSync(password, 10));
+  }
+  return hashCache.get(password);
+};
+
+function resolveSeedFile() {
+  if (process.env.SEED_FILE) {
+    return path.resolve(process.env.SEED_FILE);
+  }
+
+  const environmentFile = path.join(SEEDS_DIR, `${process.env.NODE_ENV || 'development'}.json`);
+  return fs.existsSync(environmentFile) ? environmentFile : path.join(SEEDS_DIR, 'default.json');
+}
+
+/**
+ * Valida uma fixture de seed já carregada
+ * @param {Object} data - Conteúdo da fixture
+ * @param {string} [source] - Origem, usada na mensagem de erro
+ * @returns {Object} Fixture validada, com valores padrão aplicados
+ */
+function validateFixture(data, source = 'inline') {
+  const { error, value } = fixtureSchema.validate(data);
+  if (error) {
+    throw new Error(`Fixture de seed inválida (${source}): ${error.message}`);
+  }
+  return value;
+}
+
+/**
+ * Lê e valida uma fixture de seed
+ * @param {string} [file] - Caminho do arquivo; padrão definido por resolveSeedFile
+ * @returns {Object} Fixture validada, com valores padrão aplicados
+ */
+function loadFixture(file = resolveSeedFile()) {
+  return validateFixture(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+// Registros gerados são determinísticos: o mesmo arquivo produz sempre os mesmos dados
+function generateRecords({ users, tasksPerUser, password, emailDomain }) {
+  const generated = { users: [], tasks: [] };
+
+  for (let n = 1; n <= users; n++) {
+    const email = `seed${n}@${emailDomain}`;
+    generated.users.push({ name: `Seed User ${n}`, email, password, role: 'user' });
+
+    for (let i = 1; i <= tasksPerUser; i++) {
+      generated.tasks.push({
+        title: `Tarefa ${i} de Seed User ${n}`,
+        description: '',
+        priority: PRIORITIES[(n + i) % PRIORITIES.length],
+        completed: i % 4 === 0,
+        owner: email
+      });
+    }
+  }
+
+  return generated;
+}
+
+/**
+ * Popula o database com a fixture, numa única transação
+ * Um email que já existe no banco (ou se repete na fixture) desfaz a transação,
+ * como em populate com append
+ * @param {StorageAdapter} database
+ * @param {Object} fixture - Resultado de loadFixture
+ */
+function applyFixture(database, fixture) {
+  const generated = fixture.generate ? generateRecords(fixture.generate) : { users: [], tasks: [] };
+  const users = [...fixture.users, ...generated.users];
+  const tasks = [...fixture.tasks, ...generated.tasks];
+
+  database.transaction(db => {
+    const userIdsByEmail = new Map();
+
+    users.forEach(({ password, ...userData }) => {
+      if (db.getUserByEmail(userData.email)) {
+        throw new Error(`Email já cadastrado no banco: ${userData.email}`);
+      }
+      const user = db.createUser({ ...userData, password: hashPassword(password) });
+      userIdsByEmail.set(user.email, user.id);
+    });
+
+    tasks.forEach(({ owner, ...taskData }) => {
+      const userId = userIdsByEmail.get(owner);
+      if (!userId) {
+        throw new Error(`Fixture de seed inválida: tarefa "${taskData.title}" referencia usuário inexistente ${owner}`);
+      }
+      db.createTask({ ...taskData, userId });
+    });
+  });
+}
+
+module.exports = {
+  SEEDS_DIR,
+  resolveSeedFile,
+  hashPassword,
+  validateFixture,
+  loadFixture,
+  applyFixture
+};
@@ -0,0 +1,8 @@
+// Índice de busca textual da aplicação, mantido pelos eventos do banco singleton
+
+const database = require('./database');
+const { TaskSearchIndex } = require('../utils/taskSearchIndex');
+
+const taskSearch = new TaskSearchIndex(database);
+
+module.exports = taskSearch;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+// Fluxo de status das tarefas: estados, estado inicial, estado final (done) e
+// transições permitidas a partir de cada estado. O padrão pode ser substituído
+// por um arquivo JSON no mesmo formato indicado por TASK_WORKFLOW_FILE.
+//
+// completed é derivado do status (concluída = estado final). todo -> done é
+// permitido para que clientes que só enviam completed continuem funcionando.
+const DEFAULT_WORKFLOW = {
+  states: ['todo', 'in_progress', 'review', 'blocked', 'done'],
+  initial: 'todo',
+  done: 'done',
+  transitions: {
+    todo: ['in_progress', 'blocked', 'done'],
+    in_progress: ['todo', 'review', 'blocked', 'done'],
+    review: ['in_progress', 'done'],
+    blocked: ['todo', 'in_progress'],
+    done: ['todo']
+  }
+};
+
+const workflowSchema = Joi.object({
+  states: Joi.array().items(Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(30)).min(2).unique().required(),
+  initial: Joi.string().valid(Joi.in('states')).required(),
+  done: Joi.string().valid(Joi.in('states')).required(),
+  transitions: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string()).unique()).required()
+}).custom((workflow, helpers) => {
+  if (workflow.done === workflow.initial) {
+    return helpers.message('O estado final deve ser diferente do inicial');
+  }
+
+  const unknown = Object.entries(workflow.transitions)
+    .flatMap(([from, targets]) => [from, ...targets])
+    .find(state => !workflow.states.includes(state));
+  return unknown ? helpers.message(`Estado desconhecido nas transições: ${unknown}`) : workflow;
+});
+
+/**
+ * Valida um fluxo de status já carregado
+ * @param {Object} data
+ * @param {string} [source] - Origem, usada na mensagem de erro
+ * @returns {Object} Fluxo validado
+ */
+function validateWorkflow(data, source = 'inline') {
+  const { error, value } = workflowSchema.validate(data);
+  if (error) {
+    throw new Error(`Fluxo de status inválido (${source}): ${error.message}`);
+  }
+  return value;
+}
+
+/**
+ * Lê o fluxo de TASK_WORKFLOW_FILE, ou o padrão se a variável não está definida
+ * @param {string} [file]
+ * @returns {Object}
+ */
+function loadWorkflow(file = process.env.TASK_WORKFLOW_FILE) {
+  if (!file) return DEFAULT_WORKFLOW;
+
+  const resolved = path.resolve(file);
+  return validateWorkflow(JSON.parse(fs.readFileSync(resolved, 'utf8')), resolved);
+}
+
+// Fluxo da aplicação, carregado uma vez na inicialização
+const workflow = loadWorkflow();
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  validateWorkflow,
+  loadWorkflow,
+  workflow
+};
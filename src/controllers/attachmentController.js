@@ -0,0 +1,174 @@
+const fs = require('fs');
+const database = require('../config/database');
+const attachmentStore = require('../config/attachmentStore');
+const { MAX_ATTACHMENTS_PER_TASK, getAttachmentLimits, receiveUpload } = require('../utils/attachments');
+
+const limitReachedError = {
+  message: `A tarefa já tem o máximo de ${MAX_ATTACHMENTS_PER_TASK} anexos`,
+  code: 'ATTACHMENT_LIMIT_REACHED'
+};
+
+// A tarefa chega em req.task (middleware loadTask), já com o acesso verificado
+// Anexos seguem a regra de dono ou admin da tarefa
+class AttachmentController {
+
+  async getAttachments(req, res) {
+    try {
+      res.status(200).json({
+        message: 'Anexos recuperados com sucesso',
+        data: {
+          attachments: req.task.attachments || []
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar anexos:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async uploadAttachment(req, res) {
+    try {
+      // Verificação antecipada, para não receber o arquivo à toa; addAttachment confere de novo
+      if ((req.task.attachments || []).length >= MAX_ATTACHMENTS_PER_TASK) {
+        return res.status(400).json({ error: limitReachedError });
+      }
+
+      const { file, error } = await receiveUpload(req, {
+        uploadDir: attachmentStore.getUploadDir(),
+        ...getAttachmentLimits()
+      });
+      if (error) {
+        return res.status(error.status).json({
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        });
+      }
+
+      const task = database.addAttachment(req.task.id, {
+        userId: req.user.id,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size
+      });
+      if (task === false) {
+        fs.rmSync(file.filepath, { force: true });
+        return res.status(400).json({ error: limitReachedError });
+      }
+      if (!task) {
+        fs.rmSync(file.filepath, { force: true });
+        return res.status(404).json({
+          error: {
+            message: 'Tarefa não encontrada',
+            code: 'TASK_NOT_FOUND'
+          }
+        });
+      }
+
+      const attachment = task.attachments[task.attachments.length - 1];
+      try {
+        attachmentStore.save(task.id, attachment.id, file.filepath);
+      } catch (saveError) {
+        // Sem o arquivo, o anexo não é mantido
+        database.deleteAttachment(task.id, attachment.id);
+        fs.rmSync(file.filepath, { force: true });
+        throw saveError;
+      }
+
+      res.status(201).json({
+        message: 'Anexo enviado com sucesso',
+        data: {
+          attachment
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao enviar anexo:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async downloadAttachment(req, res) {
+    try {
+      const { attachmentId } = req.params;
+
+      const attachment = (req.task.attachments || []).find(a => a.id === attachmentId);
+      if (!attachment || !attachmentStore.exists(req.task.id, attachment.id)) {
+        return res.status(404).json({
+          error: {
+            message: 'Anexo não encontrado',
+            code: 'ATTACHMENT_NOT_FOUND'
+          }
+        });
+      }
+
+      res.attachment(attachment.filename);
+      res.type(attachment.mimeType);
+      res.sendFile(attachmentStore.getPath(req.task.id, attachment.id), (error) => {
+        if (error && !res.headersSent) {
+          console.error('Erro ao baixar anexo:', error);
+          res.status(500).json({
+            error: {
+              message: 'Erro interno do servidor',
+              code: 'INTERNAL_ERROR'
+            }
+          });
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao baixar anexo:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async deleteAttachment(req, res) {
+    try {
+      const { attachmentId } = req.params;
+
+      const task = database.deleteAttachment(req.task.id, attachmentId);
+      if (!task) {
+        return res.status(404).json({
+          error: {
+            message: 'Anexo não encontrado',
+            code: 'ATTACHMENT_NOT_FOUND'
+          }
+        });
+      }
+
+      attachmentStore.remove(task.id, attachmentId);
+
+      res.status(200).json({
+        message: 'Anexo removido com sucesso'
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover anexo:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new AttachmentController();
@@ -0,0 +1,219 @@
+const Joi = require('joi');
+const database = require('../config/database');
+const { setETag } = require('../middleware/etag');
+const { toTaskView } = require('../utils/taskAccess');
+const { itemTitleSchema, getChecklistProgress, isChecklistPermutation } = require('../utils/checklist');
+
+// Schemas de validação
+const addItemSchema = Joi.object({
+  title: itemTitleSchema.required(),
+  done: Joi.boolean().default(false),
+  position: Joi.number().integer().min(0).optional()
+});
+
+const updateItemSchema = Joi.object({
+  title: itemTitleSchema.optional(),
+  done: Joi.boolean().optional()
+}).min(1);
+
+const reorderSchema = Joi.object({
+  itemIds: Joi.array().items(Joi.string()).required()
+});
+
+// A tarefa chega em req.task (middleware loadTask), já com o acesso verificado
+// Itens da checklist são alterados pela tarefa, que ganha nova versão (ETag) a cada mudança
+class ChecklistController {
+
+  async getChecklist(req, res) {
+    try {
+      const { task } = req;
+
+      setETag(res, task);
+      res.status(200).json({
+        message: 'Checklist recuperada com sucesso',
+        data: {
+          checklist: task.checklist || [],
+          progress: getChecklistProgress(task)
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar checklist:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async addItem(req, res) {
+    try {
+      const { error, value } = addItemSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const { task } = req;
+
+      const { position, ...itemData } = value;
+      const updatedTask = database.addChecklistItem(task.id, itemData, position);
+      // Posições além do fim inserem no fim da lista
+      const index = Math.min(position ?? Infinity, updatedTask.checklist.length - 1);
+
+      setETag(res, updatedTask);
+      res.status(201).json({
+        message: 'Item adicionado à checklist com sucesso',
+        data: {
+          item: updatedTask.checklist[index],
+          task: toTaskView(updatedTask, req.user),
+          progress: getChecklistProgress(updatedTask)
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao adicionar item à checklist:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async updateItem(req, res) {
+    try {
+      const { error, value } = updateItemSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const { task } = req;
+
+      const updatedTask = database.updateChecklistItem(task.id, req.params.itemId, value);
+      if (!updatedTask) {
+        return res.status(404).json({
+          error: {
+            message: 'Item da checklist não encontrado',
+            code: 'CHECKLIST_ITEM_NOT_FOUND'
+          }
+        });
+      }
+
+      setETag(res, updatedTask);
+      res.status(200).json({
+        message: 'Item da checklist atualizado com sucesso',
+        data: {
+          item: updatedTask.checklist.find(item => item.id === req.params.itemId),
+          task: toTaskView(updatedTask, req.user),
+          progress: getChecklistProgress(updatedTask)
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar item da checklist:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async reorder(req, res) {
+    try {
+      const { error, value } = reorderSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const { task } = req;
+
+      if (!isChecklistPermutation(task, value.itemIds)) {
+        return res.status(400).json({
+          error: {
+            message: 'A nova ordem deve conter cada item da checklist exatamente uma vez',
+            code: 'INVALID_CHECKLIST_ORDER'
+          }
+        });
+      }
+
+      const updatedTask = database.reorderChecklist(task.id, value.itemIds);
+
+      setETag(res, updatedTask);
+      res.status(200).json({
+        message: 'Checklist reordenada com sucesso',
+        data: {
+          task: toTaskView(updatedTask, req.user),
+          progress: getChecklistProgress(updatedTask)
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao reordenar checklist:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async removeItem(req, res) {
+    try {
+      const { task } = req;
+
+      const updatedTask = database.removeChecklistItem(task.id, req.params.itemId);
+      if (!updatedTask) {
+        return res.status(404).json({
+          error: {
+            message: 'Item da checklist não encontrado',
+            code: 'CHECKLIST_ITEM_NOT_FOUND'
+          }
+        });
+      }
+
+      setETag(res, updatedTask);
+      res.status(200).json({
+        message: 'Item removido da checklist com sucesso',
+        data: {
+          task: toTaskView(updatedTask, req.user),
+          progress: getChecklistProgress(updatedTask)
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover item da checklist:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new ChecklistController();
@@ -0,0 +1,162 @@
+const Joi = require('joi');
+const database = require('../config/database');
+const { commentTextSchema } = require('../utils/comments');
+
+// Schemas de validação
+const commentSchema = Joi.object({
+  text: commentTextSchema.required()
+});
+
+// A tarefa chega em req.task (middleware loadTask), já com o acesso verificado
+// Apenas o autor edita um comentário; o autor ou um admin pode removê-lo
+class CommentController {
+
+  async getComments(req, res) {
+    try {
+      res.status(200).json({
+        message: 'Comentários recuperados com sucesso',
+        data: {
+          comments: req.task.comments || []
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar comentários:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async addComment(req, res) {
+    try {
+      const { error, value } = commentSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const task = database.addComment(req.task.id, { userId: req.user.id, text: value.text });
+
+      res.status(201).json({
+        message: 'Comentário adicionado com sucesso',
+        data: {
+          comment: task.comments[task.comments.length - 1]
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao adicionar comentário:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async editComment(req, res) {
+    try {
+      const { commentId } = req.params;
+
+      const { error, value } = commentSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const comment = (req.task.comments || []).find(c => c.id === commentId);
+      if (!comment) {
+        return res.status(404).json({
+          error: {
+            message: 'Comentário não encontrado',
+            code: 'COMMENT_NOT_FOUND'
+          }
+        });
+      }
+
+      if (comment.userId !== req.user.id) {
+        return res.status(403).json({
+          error: {
+            message: 'Apenas o autor pode editar este comentário',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+
+      const task = database.editComment(req.task.id, commentId, value.text);
+
+      res.status(200).json({
+        message: 'Comentário atualizado com sucesso',
+        data: {
+          comment: task.comments.find(c => c.id === commentId)
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar comentário:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async deleteComment(req, res) {
+    try {
+      const { commentId } = req.params;
+
+      const comment = (req.task.comments || []).find(c => c.id === commentId);
+      if (!comment) {
+        return res.status(404).json({
+          error: {
+            message: 'Comentário não encontrado',
+            code: 'COMMENT_NOT_FOUND'
+          }
+        });
+      }
+
+      if (req.user.role !== 'admin' && comment.userId !== req.user.id) {
+        return res.status(403).json({
+          error: {
+            message: 'Acesso negado para remover este comentário',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+
+      database.deleteComment(req.task.id, commentId);
+
+      res.status(200).json({
+        message: 'Comentário removido com sucesso'
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover comentário:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new CommentController();
@@ -0,0 +1,97 @@
+const Joi = require('joi');
+const database = require('../config/database');
+const { setETag } = require('../middleware/etag');
+const { getStateAtVersion } = require('../utils/taskRevisions');
+const { checkStatusTransition } = require('../utils/taskStatus');
+const { workflow } = require('../config/workflow');
+
+// Schemas de validação
+const versionParamSchema = Joi.number().integer().min(1).required();
+
+// A tarefa chega em req.task (middleware loadTask), já com o acesso verificado
+class HistoryController {
+
+  async getHistory(req, res) {
+    try {
+      // Mais recente primeiro
+      const revisions = database.getTaskRevisions(req.task.id).reverse();
+
+      res.status(200).json({
+        message: 'Histórico recuperado com sucesso',
+        data: {
+          revisions,
+          count: revisions.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar histórico:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async revertTask(req, res) {
+    try {
+      const { error, value: version } = versionParamSchema.validate(req.params.version);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const state = getStateAtVersion(req.task, database.getTaskRevisions(req.task.id), version);
+      if (!state) {
+        return res.status(404).json({
+          error: {
+            message: 'Revisão não encontrada no histórico da tarefa',
+            code: 'REVISION_NOT_FOUND'
+          }
+        });
+      }
+
+      // O status restaurado também segue as transições do fluxo configurado
+      const transitionError = checkStatusTransition(workflow, req.task, state);
+      if (transitionError) {
+        return res.status(409).json({
+          error: {
+            message: transitionError.message,
+            code: 'INVALID_STATUS_TRANSITION',
+            from: transitionError.from,
+            to: transitionError.to,
+            allowed: transitionError.allowed
+          }
+        });
+      }
+
+      const task = database.revertTask(req.task.id, version);
+
+      setETag(res, task);
+      res.status(200).json({
+        message: 'Tarefa revertida com sucesso',
+        data: {
+          task
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao reverter tarefa:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new HistoryController();
@@ -0,0 +1,171 @@
+const Joi = require('joi');
+const database = require('../config/database');
+const { setETag } = require('../middleware/etag');
+const { SHARE_ROLES, hasTaskRole } = require('../utils/taskAccess');
+
+// Schemas de validação
+const assignSchema = Joi.object({
+  userId: Joi.string().allow(null).required()
+});
+
+const shareSchema = Joi.object({
+  role: Joi.string().valid(...SHARE_ROLES).required()
+});
+
+// A tarefa chega em req.task (middleware loadTask), já com o acesso verificado
+class ShareController {
+
+  async assignTask(req, res) {
+    try {
+      const { error, value } = assignSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      if (value.userId && !database.getUserById(value.userId)) {
+        return res.status(400).json({
+          error: {
+            message: 'Usuário responsável inválido',
+            code: 'INVALID_ASSIGNEE'
+          }
+        });
+      }
+
+      const task = database.assignTask(req.task.id, value.userId);
+
+      setETag(res, task);
+      res.status(200).json({
+        message: value.userId ? 'Tarefa atribuída com sucesso' : 'Responsável removido com sucesso',
+        data: {
+          task
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao atribuir tarefa:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async getShares(req, res) {
+    try {
+      res.status(200).json({
+        message: 'Compartilhamentos recuperados com sucesso',
+        data: {
+          shares: req.task.shares || []
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar compartilhamentos:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async shareTask(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const { error, value } = shareSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      // O dono já tem acesso total; compartilhar só faz sentido com outros usuários
+      if (userId === req.task.userId || !database.getUserById(userId)) {
+        return res.status(400).json({
+          error: {
+            message: 'Usuário inválido para compartilhamento',
+            code: 'INVALID_SHARE_TARGET'
+          }
+        });
+      }
+
+      const task = database.shareTask(req.task.id, userId, value.role);
+
+      setETag(res, task);
+      res.status(200).json({
+        message: 'Tarefa compartilhada com sucesso',
+        data: {
+          task
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao compartilhar tarefa:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  // O dono (ou admin) remove qualquer colaborador; o colaborador pode sair da tarefa
+  async unshareTask(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (userId !== req.user.id && !hasTaskRole(req.task, req.user, 'owner')) {
+        return res.status(403).json({
+          error: {
+            message: 'Acesso negado para gerenciar esta tarefa',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+
+      const task = database.unshareTask(req.task.id, userId);
+      if (!task) {
+        return res.status(404).json({
+          error: {
+            message: 'Compartilhamento não encontrado',
+            code: 'SHARE_NOT_FOUND'
+          }
+        });
+      }
+
+      setETag(res, task);
+      res.status(200).json({
+        message: 'Compartilhamento removido com sucesso',
+        data: {
+          task
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover compartilhamento:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new ShareController();
@@ -0,0 +1,169 @@
+const Joi = require('joi');
+const database = require('../config/database');
+const { tagSchema } = require('../utils/tags');
+
+// Schemas de validação
+// tag vem da URL (nome atual) e name do corpo (novo nome)
+const renameTagSchema = Joi.object({
+  tag: tagSchema.required(),
+  name: tagSchema.required()
+});
+
+const mergeTagsSchema = Joi.object({
+  sources: Joi.array().items(tagSchema).min(1).required(),
+  target: tagSchema.required()
+});
+
+// Tags são sempre do usuário autenticado: as operações afetam apenas as tarefas dele
+class TagController {
+
+  async getMyTags(req, res) {
+    try {
+      const tags = database.getTagsByUserId(req.user.id);
+
+      res.status(200).json({
+        message: 'Tags recuperadas com sucesso',
+        data: {
+          tags
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar tags:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async renameTag(req, res) {
+    try {
+      const { error, value } = renameTagSchema.validate({ ...req.body, tag: req.params.tag });
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const affectedTasks = database.renameTag(req.user.id, value.tag, value.name);
+      if (affectedTasks === 0) {
+        return res.status(404).json({
+          error: {
+            message: 'Tag não encontrada nas suas tarefas',
+            code: 'TAG_NOT_FOUND'
+          }
+        });
+      }
+
+      res.status(200).json({
+        message: 'Tag renomeada com sucesso',
+        data: {
+          tag: value.name,
+          affectedTasks
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao renomear tag:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async mergeTags(req, res) {
+    try {
+      const { error, value } = mergeTagsSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const affectedTasks = database.mergeTags(req.user.id, value.sources, value.target);
+      if (affectedTasks === 0) {
+        return res.status(404).json({
+          error: {
+            message: 'Tag não encontrada nas suas tarefas',
+            code: 'TAG_NOT_FOUND'
+          }
+        });
+      }
+
+      res.status(200).json({
+        message: 'Tags mescladas com sucesso',
+        data: {
+          tag: value.target,
+          affectedTasks
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao mesclar tags:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async deleteTag(req, res) {
+    try {
+      const { error, value: tag } = tagSchema.validate(req.params.tag);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const affectedTasks = database.deleteTag(req.user.id, tag);
+      if (affectedTasks === 0) {
+        return res.status(404).json({
+          error: {
+            message: 'Tag não encontrada nas suas tarefas',
+            code: 'TAG_NOT_FOUND'
+          }
+        });
+      }
+
+      res.status(200).json({
+        message: 'Tag removida das tarefas com sucesso',
+        data: {
+          tag,
+          affectedTasks
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover tag:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new TagController();
@@ -1,57 +1,91 @@
 const Joi = require('joi');
 const database = require('../config/database');
-
-// Schemas de validação
-const createTaskSchema = Joi.object({
-  title: Joi.string().min(1).max(200).required(),
-  description: Joi.string().max(1000).optional().allow(''),
-  priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
-  completed: Joi.boolean().default(false)
+const taskSearch = require('../config/taskSearch');
+const { setETag, matchesIfMatch } = require('../middleware/etag');
+const { filterTasks } = require('../utils/taskFilters');
+const { parseTagList } = require('../utils/tags');
+const { statusListSchema, createTaskSchema, updateTaskSchema } = require('../utils/taskSchemas');
+const { bulkRequestSchema, runBulkOperations } = require('../utils/bulkTasks');
+const { hasTaskRole, toTaskView } = require('../utils/taskAccess');
+const { TASK_SORT_FIELDS, parseSortQuery, sortRecords } = require('../utils/sorting');
+const { hasPaginationParams, parsePaginationQuery, paginate, toPaginationMeta } = require('../utils/pagination');
+const { occurrenceRangeSchema, listUpcomingOccurrences } = require('../utils/recurrence');
+const { checkStatusTransition } = require('../utils/taskStatus');
+const { workflow } = require('../config/workflow');
+
+// Filtros de status, prazo e tags na query string das listagens
+const listFilterSchema = Joi.object({
+  status: statusListSchema,
+  dueBefore: Joi.date().iso(),
+  dueAfter: Joi.date().iso(),
+  overdue: Joi.boolean(),
+  tags: Joi.string(),
+  tagMatch: Joi.string().valid('any', 'all').default('any')
+}).unknown(true);
+
+// Busca textual
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
-const updateTaskSchema = Joi.object({
-  title: Joi.string().min(1).max(200).optional(),
-  description: Joi.string().max(1000).optional().allow(''),
-  priority: Joi.string().valid('low', 'medium', 'high').optional(),
-  completed: Joi.boolean().optional()
+// Converte a query string validada nos filtros aceitos por filterTasks
+const parseTaskFilters = (query) => ({
+  completed: query.completed !== undefined ? query.completed === 'true' : undefined,
+  status: query.status,
+  priority: query.priority,
+  dueBefore: query.dueBefore,
+  dueAfter: query.dueAfter,
+  overdue: query.overdue,
+  tags: query.tags ? parseTagList(query.tags) : undefined,
+  tagMatch: query.tagMatch
 });
 
 class TaskController {
 
   async getAllTasks(req, res) {
     try {
-      const { page = 1, limit = 10, completed, priority } = req.query;
-      
-      // Para usuários normais, mostrar apenas suas tarefas
+      const { error: filterError, value: filters } = listFilterSchema.validate(req.query);
+      const { error: sortError, value: sort } = parseSortQuery(req.query, TASK_SORT_FIELDS);
+      const { error: paginationError, value: paginationOptions } = parsePaginationQuery(req.query);
+      const error = filterError || sortError || paginationError;
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      // Para usuários normais, mostrar suas tarefas e as atribuídas ou compartilhadas com eles
       // Para admins, mostrar todas as tarefas
       const userId = req.user.role === 'admin' ? null : req.user.id;
-      let tasks = database.getAllTasks(userId);
 
-      // Aplicar filtros
-      if (completed !== undefined) {
-        const isCompleted = completed === 'true';
-        tasks = tasks.filter(task => task.completed === isCompleted);
-      }
+      // Aplicar filtros e ordenação antes da paginação
+      const tasks = sortRecords(
+        filterTasks(database.getAllTasks(userId, { includeShared: true }), parseTaskFilters(filters)),
+        sort,
+        TASK_SORT_FIELDS
+      );
 
-      if (priority) {
-        tasks = tasks.filter(task => task.priority === priority);
+      // Paginação por página (page/limit) ou por cursor (first/after, last/before)
+      const result = paginate(tasks, paginationOptions, { criteria: sort, fields: TASK_SORT_FIELDS });
+      if (!result) {
+        return res.status(400).json({
+          error: {
+            message: 'Cursor não pertence a esta listagem',
+            code: 'INVALID_CURSOR'
+          }
+        });
       }
 
-      // Paginação
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedTasks = tasks.slice(startIndex, endIndex);
-
       res.status(200).json({
         message: 'Tarefas recuperadas com sucesso',
         data: {
-          tasks: paginatedTasks,
-          pagination: {
-            current: parseInt(page),
-            total: Math.ceil(tasks.length / limit),
-            count: paginatedTasks.length,
-            totalItems: tasks.length
-          }
+          tasks: result.items.map(task => toTaskView(task, req.user)),
+          ...toPaginationMeta(result)
         }
       });
 
@@ -80,8 +114,8 @@ class TaskController {
         });
       }
 
-      // Verificar se o usuário pode acessar esta tarefa
-      if (req.user.role !== 'admin' && task.userId !== req.user.id) {
+      // Verificar se o usuário pode acessar esta tarefa (dono, admin, responsável ou colaborador)
+      if (!hasTaskRole(task, req.user, 'viewer')) {
         return res.status(403).json({
           error: {
             message: 'Acesso negado a esta tarefa',
@@ -90,10 +124,11 @@ class TaskController {
         });
       }
 
+      setETag(res, task);
       res.status(200).json({
         message: 'Tarefa recuperada com sucesso',
         data: {
-          task
+          task: toTaskView(task, req.user)
         }
       });
 
@@ -130,6 +165,7 @@ class TaskController {
 
       const task = database.createTask(taskData);
 
+      setETag(res, task);
       res.status(201).json({
         message: 'Tarefa criada com sucesso',
         data: {
@@ -148,6 +184,55 @@ class TaskController {
     }
   }
 
+  async bulkTasks(req, res) {
+    try {
+      const { error, value } = bulkRequestSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const { applied, results, succeeded, failed } = runBulkOperations(database, req.user, value.operations, { atomic: value.atomic });
+
+      // Lote atômico com falha: nada foi aplicado
+      if (!applied) {
+        return res.status(400).json({
+          error: {
+            message: 'Nenhuma operação foi aplicada: o lote atômico contém operações inválidas',
+            code: 'BULK_ABORTED',
+            results
+          }
+        });
+      }
+
+      res.status(200).json({
+        message: 'Operações em lote processadas',
+        data: {
+          results,
+          summary: {
+            total: results.length,
+            succeeded,
+            failed
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao processar operações em lote:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
   async updateTask(req, res) {
     try {
       const { id } = req.params;
@@ -174,8 +259,8 @@ class TaskController {
         });
       }
 
-      // Verificar se o usuário pode editar esta tarefa
-      if (req.user.role !== 'admin' && existingTask.userId !== req.user.id) {
+      // Verificar se o usuário pode editar esta tarefa (dono, admin, responsável ou editor)
+      if (!hasTaskRole(existingTask, req.user, 'editor')) {
         return res.status(403).json({
           error: {
             message: 'Acesso negado para editar esta tarefa',
@@ -184,12 +269,45 @@ class TaskController {
         });
       }
 
+      // Controle de concorrência otimista: If-Match deve refletir a versão atual
+      if (!matchesIfMatch(req, existingTask)) {
+        return res.status(412).json({
+          error: {
+            message: 'A tarefa foi modificada por outra requisição',
+            code: 'VERSION_CONFLICT',
+            currentVersion: existingTask.version
+          }
+        });
+      }
+
+      // O status só muda pelas transições do fluxo configurado
+      const transitionError = checkStatusTransition(workflow, existingTask, value);
+      if (transitionError) {
+        return res.status(409).json({
+          error: {
+            message: transitionError.message,
+            code: 'INVALID_STATUS_TRANSITION',
+            from: transitionError.from,
+            to: transitionError.to,
+            allowed: transitionError.allowed
+          }
+        });
+      }
+
       const updatedTask = database.updateTask(id, value);
 
+      // Concluir uma tarefa recorrente gera a próxima ocorrência da série
+      const nextTaskId = updatedTask.recurrence && updatedTask.recurrence.nextTaskId;
+      const nextOccurrence = nextTaskId && nextTaskId !== (existingTask.recurrence && existingTask.recurrence.nextTaskId)
+        ? database.getTaskById(nextTaskId)
+        : null;
+
+      setETag(res, updatedTask);
       res.status(200).json({
         message: 'Tarefa atualizada com sucesso',
         data: {
-          task: updatedTask
+          task: toTaskView(updatedTask, req.user),
+          ...(nextOccurrence && { nextOccurrence: toTaskView(nextOccurrence, req.user) })
         }
       });
 
@@ -219,7 +337,7 @@ class TaskController {
       }
 
       // Verificar se o usuário pode deletar esta tarefa
-      if (req.user.role !== 'admin' && existingTask.userId !== req.user.id) {
+      if (!hasTaskRole(existingTask, req.user, 'owner')) {
         return res.status(403).json({
           error: {
             message: 'Acesso negado para deletar esta tarefa',
@@ -228,6 +346,16 @@ class TaskController {
         });
       }
 
+      if (!matchesIfMatch(req, existingTask)) {
+        return res.status(412).json({
+          error: {
+            message: 'A tarefa foi modificada por outra requisição',
+            code: 'VERSION_CONFLICT',
+            currentVersion: existingTask.version
+          }
+        });
+      }
+
       const deleted = database.deleteTask(id);
       
       if (!deleted) {
@@ -240,7 +368,7 @@ class TaskController {
       }
 
       res.status(200).json({
-        message: 'Tarefa deletada com sucesso'
+        message: 'Tarefa movida para a lixeira'
       });
 
     } catch (error) {
@@ -254,26 +382,245 @@ class TaskController {
     }
   }
 
-  async getMyTasks(req, res) {
+  async getTrash(req, res) {
+    try {
+      // Usuários veem apenas suas tarefas deletadas; admins veem todas
+      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const tasks = database.getDeletedTasks(userId);
+
+      res.status(200).json({
+        message: 'Lixeira recuperada com sucesso',
+        data: {
+          tasks,
+          count: tasks.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar lixeira:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async restoreTask(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingTask = database.getTaskById(id, { includeDeleted: true });
+      if (!existingTask || !existingTask.deletedAt) {
+        return res.status(404).json({
+          error: {
+            message: 'Tarefa não encontrada na lixeira',
+            code: 'TASK_NOT_IN_TRASH'
+          }
+        });
+      }
+
+      // Verificar se o usuário pode restaurar esta tarefa
+      if (!hasTaskRole(existingTask, req.user, 'owner')) {
+        return res.status(403).json({
+          error: {
+            message: 'Acesso negado para restaurar esta tarefa',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+
+      const task = database.restoreTask(id);
+
+      setETag(res, task);
+      res.status(200).json({
+        message: 'Tarefa restaurada com sucesso',
+        data: {
+          task
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao restaurar tarefa:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async purgeTask(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingTask = database.getTaskById(id, { includeDeleted: true });
+      if (!existingTask || !existingTask.deletedAt) {
+        return res.status(404).json({
+          error: {
+            message: 'Tarefa não encontrada na lixeira',
+            code: 'TASK_NOT_IN_TRASH'
+          }
+        });
+      }
+
+      // Verificar se o usuário pode remover esta tarefa definitivamente
+      if (!hasTaskRole(existingTask, req.user, 'owner')) {
+        return res.status(403).json({
+          error: {
+            message: 'Acesso negado para remover esta tarefa',
+            code: 'ACCESS_DENIED'
+          }
+        });
+      }
+
+      database.purgeTask(id);
+
+      res.status(200).json({
+        message: 'Tarefa removida definitivamente'
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover tarefa definitivamente:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async searchTasks(req, res) {
+    try {
+      const { error, value } = searchQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      // Mesma visibilidade das listagens: admins veem tudo; usuários, as próprias,
+      // as atribuídas e as compartilhadas com eles
+      const matches = taskSearch.search(value.q)
+        .map(({ id, score }) => ({ task: database.getTaskById(id), score }))
+        .filter(({ task }) => task && hasTaskRole(task, req.user, 'viewer'))
+        .map(({ task, score }) => ({ task: toTaskView(task, req.user), score }));
+      const results = matches.slice(0, value.limit);
+
+      res.status(200).json({
+        message: 'Busca realizada com sucesso',
+        data: {
+          query: value.q,
+          results,
+          count: results.length,
+          totalItems: matches.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar tarefas:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async getWorkflow(req, res) {
+    res.status(200).json({
+      message: 'Fluxo de status recuperado com sucesso',
+      data: {
+        workflow
+      }
+    });
+  }
+
+  async getOccurrences(req, res) {
     try {
-      const { completed, priority } = req.query;
-      let tasks = database.getTasksByUserId(req.user.id);
+      const { error, value } = occurrenceRangeSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      // Mesma visibilidade das listagens
+      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const result = listUpcomingOccurrences(database.getAllTasks(userId, { includeShared: true }), value.from, value.to);
+      const occurrences = result.occurrences
+        .map(({ task, date, occurrence }) => ({ taskId: task.id, title: task.title, date, occurrence }));
 
-      // Aplicar filtros
-      if (completed !== undefined) {
-        const isCompleted = completed === 'true';
-        tasks = tasks.filter(task => task.completed === isCompleted);
+      res.status(200).json({
+        message: 'Ocorrências recuperadas com sucesso',
+        data: {
+          from: value.from,
+          to: value.to,
+          occurrences,
+          count: occurrences.length,
+          truncated: result.truncated
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao listar ocorrências:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async getMyTasks(req, res) {
+    try {
+      const { error: filterError, value: filters } = listFilterSchema.validate(req.query);
+      const { error: sortError, value: sort } = parseSortQuery(req.query, TASK_SORT_FIELDS);
+      const { error: paginationError, value: paginationOptions } = parsePaginationQuery(req.query);
+      const error = filterError || sortError || paginationError;
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
       }
 
-      if (priority) {
-        tasks = tasks.filter(task => task.priority === priority);
+      // Aplicar filtros e ordenação
+      const tasks = sortRecords(filterTasks(database.getTasksByUserId(req.user.id), parseTaskFilters(filters)), sort, TASK_SORT_FIELDS);
+
+      // Sem parâmetros de paginação a listagem continua completa
+      const result = hasPaginationParams(paginationOptions) ? paginate(tasks, paginationOptions, { criteria: sort, fields: TASK_SORT_FIELDS }) : { items: tasks };
+      if (!result) {
+        return res.status(400).json({
+          error: {
+            message: 'Cursor não pertence a esta listagem',
+            code: 'INVALID_CURSOR'
+          }
+        });
       }
 
       res.status(200).json({
         message: 'Suas tarefas recuperadas com sucesso',
         data: {
-          tasks,
-          count: tasks.length
+          tasks: result.items,
+          count: result.items.length,
+          ...(result.pageInfo && toPaginationMeta(result))
         }
       });
 
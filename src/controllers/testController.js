@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const { SEEDS_DIR, validateFixture, loadFixture, applyFixture } = require('../config/seeds');
+const { generateDataset, populate } = require('../config/dataGenerator');
+
+// Schemas de validação
+// Fixture pelo nome de um arquivo em seeds/ ou enviada diretamente no corpo
+const seedSchema = Joi.object({
+  fixture: Joi.string().pattern(/^[\w-]+$/),
+  data: Joi.object(),
+  clear: Joi.boolean().default(true)
+}).xor('fixture', 'data');
+
+// Snapshots ficam na memória do processo, identificados por id
+const snapshots = new Map();
+
+/**
+ * Controle do estado do banco para suítes E2E e testes de carga
+ * Disponível apenas quando as rotas /__test estão montadas (ver server.js)
+ */
+class TestController {
+  reset(req, res) {
+    try {
+      database.reset();
+
+      res.status(200).json({
+        message: 'Banco de dados resetado com sucesso',
+        data: {
+          users: database.getAllUsers().length,
+          tasks: database.getAllTasks().length
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao resetar banco:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  clear(req, res) {
+    try {
+      database.clear();
+
+      res.status(200).json({
+        message: 'Banco de dados limpo com sucesso'
+      });
+
+    } catch (error) {
+      console.error('Erro ao limpar banco:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  seed(req, res) {
+    try {
+      // Validar dados de entrada
+      const { error, value } = seedSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      let fixture;
+      if (value.fixture) {
+        const file = path.join(SEEDS_DIR, `${value.fixture}.json`);
+        if (!fs.existsSync(file)) {
+          return res.status(404).json({
+            error: {
+              message: 'Fixture não encontrada',
+              code: 'FIXTURE_NOT_FOUND'
+            }
+          });
+        }
+        fixture = loadFixture(file);
+      } else {
+        fixture = validateFixture(value.data);
+      }
+
+      database.transaction(db => {
+        if (value.clear) {
+          db.clear();
+        }
+        applyFixture(db, fixture);
+      });
+
+      res.status(200).json({
+        message: 'Fixture aplicada com sucesso',
+        data: {
+          users: database.getAllUsers().length,
+          tasks: database.getAllTasks().length
+        }
+      });
+
+    } catch (error) {
+      if (error.message.startsWith('Fixture de seed inválida')) {
+        return res.status(400).json({
+          error: {
+            message: error.message,
+            code: 'INVALID_FIXTURE'
+          }
+        });
+      }
+
+      if (error.message.startsWith('Email já cadastrado')) {
+        return res.status(409).json({
+          error: {
+            message: error.message,
+            code: 'EMAIL_ALREADY_EXISTS'
+          }
+        });
+      }
+
+      console.error('Erro ao aplicar fixture:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  generate(req, res) {
+    try {
+      const { append = false, ...options } = req.body;
+      const dataset = generateDataset(options);
+
+      populate(database, dataset, { append: append === true });
+
+      res.status(200).json({
+        message: 'Dados gerados com sucesso',
+        data: {
+          users: database.getAllUsers().length,
+          tasks: database.getAllTasks().length
+        }
+      });
+
+    } catch (error) {
+      if (error.message.startsWith('Opções do gerador inválidas')) {
+        return res.status(400).json({
+          error: {
+            message: error.message,
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      if (error.message.startsWith('Email já cadastrado')) {
+        return res.status(409).json({
+          error: {
+            message: error.message,
+            code: 'EMAIL_ALREADY_EXISTS'
+          }
+        });
+      }
+
+      console.error('Erro ao gerar dados:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  snapshot(req, res) {
+    try {
+      const id = uuidv4();
+      snapshots.set(id, database.exportState());
+
+      res.status(201).json({
+        message: 'Snapshot criado com sucesso',
+        data: {
+          snapshotId: id
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao criar snapshot:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  restore(req, res) {
+    try {
+      const { id } = req.params;
+      const state = snapshots.get(id);
+
+      if (!state) {
+        return res.status(404).json({
+          error: {
+            message: 'Snapshot não encontrado',
+            code: 'SNAPSHOT_NOT_FOUND'
+          }
+        });
+      }
+
+      database.importState(state);
+
+      res.status(200).json({
+        message: 'Snapshot restaurado com sucesso',
+        data: {
+          users: database.getAllUsers().length,
+          tasks: database.getAllTasks().length
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao restaurar snapshot:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new TestController();
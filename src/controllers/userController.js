@@ -1,6 +1,9 @@
 const Joi = require('joi');
 const bcrypt = require('bcryptjs');
 const database = require('../config/database');
+const { setETag, matchesIfMatch } = require('../middleware/etag');
+const { USER_SORT_FIELDS, parseSortQuery, sortRecords } = require('../utils/sorting');
+const { hasPaginationParams, parsePaginationQuery, paginate, toPaginationMeta } = require('../utils/pagination');
 
 // Schemas de validação
 const updateUserSchema = Joi.object({
@@ -9,6 +12,16 @@ const updateUserSchema = Joi.object({
   role: Joi.string().valid('user', 'admin').optional()
 });
 
+// Política aplicada às tarefas do usuário deletado
+const deleteUserQuerySchema = Joi.object({
+  taskPolicy: Joi.string().valid('cascade', 'reassign').default('cascade'),
+  reassignTo: Joi.string().when('taskPolicy', {
+    is: 'reassign',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string().required(),
   newPassword: Joi.string().min(6).required(),
@@ -19,10 +32,34 @@ class UserController {
 
   async getAllUsers(req, res) {
     try {
-      const users = database.getAllUsers();
+      const { error: sortError, value: sort } = parseSortQuery(req.query, USER_SORT_FIELDS);
+      const { error: paginationError, value: paginationOptions } = parsePaginationQuery(req.query);
+      const error = sortError || paginationError;
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const users = sortRecords(database.getAllUsers(), sort, USER_SORT_FIELDS);
       
+      // Sem parâmetros de paginação a listagem continua completa
+      const result = hasPaginationParams(paginationOptions) ? paginate(users, paginationOptions, { criteria: sort, fields: USER_SORT_FIELDS }) : { items: users };
+      if (!result) {
+        return res.status(400).json({
+          error: {
+            message: 'Cursor não pertence a esta listagem',
+            code: 'INVALID_CURSOR'
+          }
+        });
+      }
+
       // Remover senhas da resposta
-      const usersWithoutPasswords = users.map(user => {
+      const usersWithoutPasswords = result.items.map(user => {
         const { password, ...userWithoutPassword } = user;
         return userWithoutPassword;
       });
@@ -31,7 +68,8 @@ class UserController {
         message: 'Usuários recuperados com sucesso',
         data: {
           users: usersWithoutPasswords,
-          count: usersWithoutPasswords.length
+          count: usersWithoutPasswords.length,
+          ...(result.pageInfo && toPaginationMeta(result))
         }
       });
 
@@ -63,6 +101,7 @@ class UserController {
       // Remover senha da resposta
       const { password, ...userWithoutPassword } = user;
 
+      setETag(res, user);
       res.status(200).json({
         message: 'Usuário recuperado com sucesso',
         data: {
@@ -118,6 +157,17 @@ class UserController {
         });
       }
 
+      // Controle de concorrência otimista: If-Match deve refletir a versão atual
+      if (!matchesIfMatch(req, existingUser)) {
+        return res.status(412).json({
+          error: {
+            message: 'O usuário foi modificado por outra requisição',
+            code: 'VERSION_CONFLICT',
+            currentVersion: existingUser.version
+          }
+        });
+      }
+
       // Se tentando alterar email, verificar se já existe
       if (value.email && value.email !== existingUser.email) {
         const userWithEmail = database.getUserByEmail(value.email);
@@ -146,6 +196,7 @@ class UserController {
       // Remover senha da resposta
       const { password, ...userWithoutPassword } = updatedUser;
 
+      setETag(res, updatedUser);
       res.status(200).json({
         message: 'Usuário atualizado com sucesso',
         data: {
@@ -167,6 +218,20 @@ class UserController {
   async deleteUser(req, res) {
     try {
       const { id } = req.params;
+
+      // Validar política de tarefas
+      const { error, value } = deleteUserQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: {
+            message: 'Dados inválidos',
+            details: error.details.map(detail => detail.message),
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const { taskPolicy, reassignTo } = value;
       
       const existingUser = database.getUserById(id);
       if (!existingUser) {
@@ -189,6 +254,16 @@ class UserController {
         });
       }
 
+      if (!matchesIfMatch(req, existingUser)) {
+        return res.status(412).json({
+          error: {
+            message: 'O usuário foi modificado por outra requisição',
+            code: 'VERSION_CONFLICT',
+            currentVersion: existingUser.version
+          }
+        });
+      }
+
       // Não permitir que o usuário delete a si mesmo se for o único admin
       if (existingUser.role === 'admin') {
         const allUsers = database.getAllUsers();
@@ -204,9 +279,30 @@ class UserController {
         }
       }
 
-      const deleted = database.deleteUser(id);
+      if (taskPolicy === 'reassign') {
+        // Apenas admins podem transferir tarefas para outro usuário
+        if (req.user.role !== 'admin') {
+          return res.status(403).json({
+            error: {
+              message: 'Apenas administradores podem transferir tarefas',
+              code: 'INSUFFICIENT_PERMISSIONS'
+            }
+          });
+        }
+
+        if (reassignTo === id || !database.getUserById(reassignTo)) {
+          return res.status(400).json({
+            error: {
+              message: 'Usuário de destino das tarefas inválido',
+              code: 'INVALID_REASSIGN_TARGET'
+            }
+          });
+        }
+      }
+
+      const affectedTasks = database.deleteUserWithTasks(id, { taskPolicy, reassignTo });
       
-      if (!deleted) {
+      if (affectedTasks === null) {
         return res.status(500).json({
           error: {
             message: 'Erro ao deletar usuário',
@@ -216,7 +312,11 @@ class UserController {
       }
 
       res.status(200).json({
-        message: 'Usuário deletado com sucesso'
+        message: 'Usuário movido para a lixeira',
+        data: {
+          taskPolicy,
+          affectedTasks
+        }
       });
 
     } catch (error) {
@@ -230,6 +330,114 @@ class UserController {
     }
   }
 
+  async getTrash(req, res) {
+    try {
+      const users = database.getDeletedUsers();
+
+      // Remover senhas da resposta
+      const usersWithoutPasswords = users.map(user => {
+        const { password, ...userWithoutPassword } = user;
+        return userWithoutPassword;
+      });
+
+      res.status(200).json({
+        message: 'Lixeira recuperada com sucesso',
+        data: {
+          users: usersWithoutPasswords,
+          count: usersWithoutPasswords.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar lixeira de usuários:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async restoreUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingUser = database.getUserById(id, { includeDeleted: true });
+      if (!existingUser || !existingUser.deletedAt) {
+        return res.status(404).json({
+          error: {
+            message: 'Usuário não encontrado na lixeira',
+            code: 'USER_NOT_IN_TRASH'
+          }
+        });
+      }
+
+      // O email pode ter sido reutilizado enquanto o usuário estava na lixeira
+      if (database.getUserByEmail(existingUser.email)) {
+        return res.status(409).json({
+          error: {
+            message: 'Email já está em uso',
+            code: 'EMAIL_ALREADY_EXISTS'
+          }
+        });
+      }
+
+      const user = database.restoreUser(id);
+
+      // Remover senha da resposta
+      const { password, ...userWithoutPassword } = user;
+
+      setETag(res, user);
+      res.status(200).json({
+        message: 'Usuário restaurado com sucesso',
+        data: {
+          user: userWithoutPassword
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao restaurar usuário:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
+  async purgeUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingUser = database.getUserById(id, { includeDeleted: true });
+      if (!existingUser || !existingUser.deletedAt) {
+        return res.status(404).json({
+          error: {
+            message: 'Usuário não encontrado na lixeira',
+            code: 'USER_NOT_IN_TRASH'
+          }
+        });
+      }
+
+      database.purgeUser(id);
+
+      res.status(200).json({
+        message: 'Usuário removido definitivamente'
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover usuário definitivamente:', error);
+      res.status(500).json({
+        error: {
+          message: 'Erro interno do servidor',
+          code: 'INTERNAL_ERROR'
+        }
+      });
+    }
+  }
+
   async changePassword(req, res) {
     try {
       // Validar dados de entrada
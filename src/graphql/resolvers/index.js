@@ -2,9 +2,32 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { GraphQLScalarType } = require('graphql');
 const { Kind } = require('graphql/language');
-const { AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
+const { ApolloError, AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
 const database = require('../../config/database');
+const taskSearch = require('../../config/taskSearch');
 const { getUser } = require('../../middleware/auth');
+const { filterTasks, isOverdue } = require('../../utils/taskFilters');
+const { tagSchema, tagsSchema } = require('../../utils/tags');
+const { itemTitleSchema, getChecklistProgress, isChecklistPermutation } = require('../../utils/checklist');
+const { commentTextSchema } = require('../../utils/comments');
+const { getTaskRole, hasTaskRole } = require('../../utils/taskAccess');
+const { TASK_SORT_FIELDS, USER_SORT_FIELDS, sortRecords } = require('../../utils/sorting');
+const { parsePaginationQuery, paginate } = require('../../utils/pagination');
+const { bulkRequestSchema, runBulkOperations } = require('../../utils/bulkTasks');
+const { occurrenceRangeSchema, listUpcomingOccurrences } = require('../../utils/recurrence');
+const { statusSchema, createTaskSchema, updateTaskSchema } = require('../../utils/taskSchemas');
+const { getStateAtVersion } = require('../../utils/taskRevisions');
+const { getStatus, getAllowedTransitions, checkStatusTransition } = require('../../utils/taskStatus');
+const { workflow } = require('../../config/workflow');
+
+// Datas inválidas viram erro de validação em vez de Invalid Date
+const parseDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new TypeError(`DateTime inválido: ${value}`);
+  }
+  return date;
+};
 
 // Scalar personalizado para DateTime
 const DateTimeScalar = new GraphQLScalarType({
@@ -14,11 +37,11 @@ const DateTimeScalar = new GraphQLScalarType({
     return value instanceof Date ? value.toISOString() : null;
   },
   parseValue(value) {
-    return new Date(value);
+    return parseDate(value);
   },
   parseLiteral(ast) {
     if (ast.kind === Kind.STRING) {
-      return new Date(ast.value);
+      return parseDate(ast.value);
     }
     return null;
   },
@@ -41,6 +64,135 @@ const requireAdmin = (user) => {
   return user;
 };
 
+// Função para verificar a versão esperada (controle de concorrência otimista)
+const requireVersion = (record, expectedVersion, message) => {
+  if (expectedVersion !== undefined && expectedVersion !== null && record.version !== expectedVersion) {
+    throw new ApolloError(message, 'VERSION_CONFLICT', { currentVersion: record.version });
+  }
+};
+
+// Usuário sem o hash da senha, para campos que referenciam outro usuário
+const findPublicUser = (id) => {
+  const user = id && database.getUserById(id);
+  if (!user) return null;
+
+  const { password, ...userWithoutPassword } = user;
+  return userWithoutPassword;
+};
+
+// Busca uma tarefa em que o usuário tem ao menos o nível de acesso informado
+const TASK_ROLE_DENIED_MESSAGES = {
+  viewer: 'Acesso negado a esta tarefa',
+  editor: 'Acesso negado para editar esta tarefa',
+  owner: 'Acesso negado para gerenciar esta tarefa'
+};
+
+const requireTaskRole = (user, id, role) => {
+  const task = database.getTaskById(id);
+  if (!task) {
+    throw new UserInputError('Tarefa não encontrada');
+  }
+
+  if (!hasTaskRole(task, user, role)) {
+    throw new ForbiddenError(TASK_ROLE_DENIED_MESSAGES[role]);
+  }
+  return task;
+};
+
+// Valida um valor com um schema Joi compartilhado com a API REST
+const validateInput = (schema, value) => {
+  const { error, value: validated } = schema.validate(value);
+  if (error) {
+    throw new UserInputError(error.message);
+  }
+  return validated;
+};
+
+// Converte os argumentos de listagem nos filtros aceitos por filterTasks
+const toTaskFilters = ({ completed, status, priority, dueBefore, dueAfter, overdue, tags, tagMatch }) => ({
+  completed,
+  status: status ? status.map(value => validateInput(statusSchema, value)) : undefined,
+  priority: priority ? priority.toLowerCase() : undefined,
+  dueBefore,
+  dueAfter,
+  overdue,
+  tags: tags ? validateInput(tagsSchema, tags) : undefined,
+  tagMatch: tagMatch ? tagMatch.toLowerCase() : undefined
+});
+
+// Converte o argumento sort nos critérios de sortRecords (CREATED_AT -> createdAt)
+const toSortCriteria = (sort) => (sort || []).map(({ field, order }) => ({
+  field: field.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+  order: order.toLowerCase()
+}));
+
+// Converte o input de recorrência (frequency em maiúsculas) no formato das rotas REST
+const toRecurrenceRule = (recurrence) => (recurrence
+  ? { ...recurrence, frequency: recurrence.frequency.toLowerCase() }
+  : recurrence);
+
+// Converte o input de tarefa do GraphQL no formato validado pelas rotas REST
+const toTaskData = (input) => ({
+  ...input,
+  ...(input.priority && { priority: input.priority.toLowerCase() }),
+  ...(input.recurrence && { recurrence: toRecurrenceRule(input.recurrence) })
+});
+
+// Remoção de usuário com a política para as tarefas dele, mesmas regras de DELETE /api/users/:id
+const deleteUserWithPolicy = async (context, { id, taskPolicy = 'CASCADE', reassignTo }) => {
+  const user = await getUser(context.token);
+  requireAuth(user);
+
+  const existingUser = database.getUserById(id);
+  if (!existingUser) {
+    throw new UserInputError('Usuário não encontrado');
+  }
+
+  // Verificar permissões
+  if (user.role !== 'admin' && user.id !== id) {
+    throw new ForbiddenError('Acesso negado para deletar este usuário');
+  }
+
+  // Não permitir que delete o último admin
+  if (existingUser.role === 'admin') {
+    const allUsers = database.getAllUsers();
+    const adminCount = allUsers.filter(user => user.role === 'admin').length;
+    
+    if (adminCount === 1) {
+      throw new UserInputError('Não é possível deletar o último administrador');
+    }
+  }
+
+  const policy = taskPolicy.toLowerCase();
+  if (policy === 'reassign') {
+    // Apenas admins podem transferir tarefas para outro usuário
+    if (user.role !== 'admin') {
+      throw new ForbiddenError('Apenas administradores podem transferir tarefas');
+    }
+
+    if (!reassignTo || reassignTo === id || !database.getUserById(reassignTo)) {
+      throw new UserInputError('Usuário de destino das tarefas inválido');
+    }
+  }
+
+  const affectedTasks = database.deleteUserWithTasks(id, { taskPolicy: policy, reassignTo });
+
+  return {
+    success: affectedTasks !== null,
+    taskPolicy,
+    affectedTasks: affectedTasks || 0
+  };
+};
+
+// Mutations em lote: mesmas validações e verificações de acesso de POST /api/tasks/bulk
+const runBulkMutation = async (context, operations, atomic) => {
+  const user = await getUser(context.token);
+  requireAuth(user);
+
+  const validated = validateInput(bulkRequestSchema, { operations, atomic });
+  return runBulkOperations(database, user, validated.operations, { atomic: validated.atomic });
+};
+
 const resolvers = {
   DateTime: DateTimeScalar,
 
@@ -53,9 +205,60 @@ const resolvers = {
         return userWithoutPassword;
       }
       return null;
+    },
+    status: (task) => getStatus(workflow, task),
+    nextStatuses: (task) => getAllowedTransitions(workflow, getStatus(workflow, task)),
+    overdue: (task) => isOverdue(task),
+    tags: (task) => task.tags || [],
+    checklist: (task) => task.checklist || [],
+    progress: (task) => getChecklistProgress(task),
+    autoComplete: (task) => Boolean(task.autoComplete),
+    comments: (task) => task.comments || [],
+    assigneeId: (task) => task.assigneeId || null,
+    assignee: (task) => findPublicUser(task.assigneeId),
+    shares: (task) => task.shares || [],
+    access: (task, args, context) => {
+      const role = context.user && getTaskRole(task, context.user);
+      return role ? role.toUpperCase() : null;
+    },
+    history: (task) => database.getTaskRevisions(task.id).reverse(),
+    recurrence: (task) => task.recurrence || null,
+    // Anexos seguem a regra de dono ou admin da tarefa
+    attachments: (task, args, context) => {
+      if (!context.user || !hasTaskRole(task, context.user, 'owner')) return null;
+      return (task.attachments || []).map(attachment => ({ ...attachment, taskId: task.id }));
     }
   },
 
+  Attachment: {
+    uploadedBy: (attachment) => findPublicUser(attachment.userId),
+    url: (attachment) => `/api/tasks/${attachment.taskId}/attachments/${attachment.id}`
+  },
+
+  Recurrence: {
+    frequency: (recurrence) => recurrence.frequency.toUpperCase(),
+    nextTaskId: (recurrence) => recurrence.nextTaskId || null,
+    nextTask: (recurrence) => (recurrence.nextTaskId && database.getTaskById(recurrence.nextTaskId)) || null
+  },
+
+  TaskRevision: {
+    actor: (revision) => findPublicUser(revision.actorId)
+  },
+
+  FieldChange: {
+    from: (change) => (change.from === null ? null : JSON.stringify(change.from)),
+    to: (change) => (change.to === null ? null : JSON.stringify(change.to))
+  },
+
+  TaskShare: {
+    user: (share) => findPublicUser(share.userId),
+    role: (share) => share.role.toUpperCase()
+  },
+
+  Comment: {
+    author: (comment) => findPublicUser(comment.userId)
+  },
+
   Query: {
     // Auth
     me: async (parent, args, context) => {
@@ -70,11 +273,11 @@ const resolvers = {
     },
 
     // Users
-    users: async (parent, args, context) => {
+    users: async (parent, { sort }, context) => {
       const user = await getUser(context.token);
       requireAdmin(user);
       
-      const users = database.getAllUsers();
+      const users = sortRecords(database.getAllUsers(), toSortCriteria(sort), USER_SORT_FIELDS);
       return users.map(user => {
         const { password, ...userWithoutPassword } = user;
         return userWithoutPassword;
@@ -94,38 +297,50 @@ const resolvers = {
       return userWithoutPassword;
     },
 
+    deletedUsers: async (parent, args, context) => {
+      const user = await getUser(context.token);
+      requireAdmin(user);
+
+      return database.getDeletedUsers().map(user => {
+        const { password, ...userWithoutPassword } = user;
+        return userWithoutPassword;
+      });
+    },
+
     // Tasks
-    tasks: async (parent, { completed, priority, page = 1, limit = 10 }, context) => {
+    tasks: async (parent, { page, limit, first, after, last, before, sort, ...filters }, context) => {
       const user = await getUser(context.token);
       requireAuth(user);
 
-      // Para usuários normais, mostrar apenas suas tarefas
+      // Para usuários normais, mostrar suas tarefas e as atribuídas ou compartilhadas com eles
       // Para admins, mostrar todas as tarefas
       const userId = user.role === 'admin' ? null : user.id;
-      let tasks = database.getAllTasks(userId);
 
-      // Aplicar filtros
-      if (completed !== undefined) {
-        tasks = tasks.filter(task => task.completed === completed);
-      }
+      // Aplicar filtros e ordenação antes da paginação
+      const criteria = toSortCriteria(sort);
+      const tasks = sortRecords(
+        filterTasks(database.getAllTasks(userId, { includeShared: true }), toTaskFilters(filters)),
+        criteria,
+        TASK_SORT_FIELDS
+      );
 
-      if (priority) {
-        tasks = tasks.filter(task => task.priority.toLowerCase() === priority.toLowerCase());
+      // Paginação por página (page/limit) ou por cursor (first/after, last/before)
+      const { error, value: paginationOptions } = parsePaginationQuery({ page, limit, first, after, last, before });
+      if (error) {
+        throw new UserInputError(error.message);
       }
 
-      // Paginação
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      const paginatedTasks = tasks.slice(startIndex, endIndex);
+      const result = paginate(tasks, paginationOptions, { criteria, fields: TASK_SORT_FIELDS });
+      if (!result) {
+        throw new UserInputError('Cursor não pertence a esta listagem');
+      }
 
       return {
-        tasks: paginatedTasks,
-        pagination: {
-          current: page,
-          total: Math.ceil(tasks.length / limit),
-          count: paginatedTasks.length,
-          totalItems: tasks.length
-        }
+        edges: result.edges,
+        pageInfo: result.pageInfo,
+        totalCount: result.totalCount,
+        tasks: result.items,
+        pagination: result.pagination
       };
     },
 
@@ -138,30 +353,76 @@ const resolvers = {
         throw new UserInputError('Tarefa não encontrada');
       }
 
-      // Verificar se o usuário pode acessar esta tarefa
-      if (user.role !== 'admin' && task.userId !== user.id) {
+      // Verificar se o usuário pode acessar esta tarefa (dono, admin, responsável ou colaborador)
+      if (!hasTaskRole(task, user, 'viewer')) {
         throw new ForbiddenError('Acesso negado a esta tarefa');
       }
 
       return task;
     },
 
-    myTasks: async (parent, { completed, priority }, context) => {
+    myTasks: async (parent, { sort, ...filters }, context) => {
       const user = await getUser(context.token);
       requireAuth(user);
 
-      let tasks = database.getTasksByUserId(user.id);
+      // Aplicar filtros e ordenação
+      return sortRecords(filterTasks(database.getTasksByUserId(user.id), toTaskFilters(filters)), toSortCriteria(sort), TASK_SORT_FIELDS);
+    },
+
+    deletedTasks: async (parent, args, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
 
-      // Aplicar filtros
-      if (completed !== undefined) {
-        tasks = tasks.filter(task => task.completed === completed);
-      }
+      // Usuários veem apenas suas tarefas deletadas; admins veem todas
+      const userId = user.role === 'admin' ? null : user.id;
+      return database.getDeletedTasks(userId);
+    },
 
-      if (priority) {
-        tasks = tasks.filter(task => task.priority.toLowerCase() === priority.toLowerCase());
+    searchTasks: async (parent, { query, limit = 20 }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      if (!query.trim() || query.length > 200) {
+        throw new UserInputError('A busca deve ter entre 1 e 200 caracteres');
+      }
+      if (limit < 1 || limit > 100) {
+        throw new UserInputError('limit deve estar entre 1 e 100');
       }
 
-      return tasks;
+      // Mesma visibilidade da query tasks
+      return taskSearch.search(query)
+        .map(({ id, score }) => ({ task: database.getTaskById(id), score }))
+        .filter(({ task }) => task && hasTaskRole(task, user, 'viewer'))
+        .slice(0, limit);
+    },
+
+    taskWorkflow: async (parent, args, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      return {
+        ...workflow,
+        transitions: Object.entries(workflow.transitions).map(([from, to]) => ({ from, to }))
+      };
+    },
+
+    upcomingOccurrences: async (parent, { from, to }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      const range = validateInput(occurrenceRangeSchema, { from, to });
+
+      // Mesma visibilidade da query tasks
+      const userId = user.role === 'admin' ? null : user.id;
+      return listUpcomingOccurrences(database.getAllTasks(userId, { includeShared: true }), range.from, range.to).occurrences;
+    },
+
+    // Tags
+    tags: async (parent, args, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      return database.getTagsByUserId(user.id);
     }
   },
 
@@ -270,7 +531,7 @@ const resolvers = {
     },
 
     // Users
-    updateUser: async (parent, { id, input }, context) => {
+    updateUser: async (parent, { id, input, expectedVersion }, context) => {
       const user = await getUser(context.token);
       requireAuth(user);
 
@@ -284,6 +545,8 @@ const resolvers = {
         throw new ForbiddenError('Acesso negado para editar este usuário');
       }
 
+      requireVersion(existingUser, expectedVersion, 'O usuário foi modificado por outra requisição');
+
       // Se tentando alterar email, verificar se já existe
       if (input.email && input.email !== existingUser.email) {
         const userWithEmail = database.getUserByEmail(input.email);
@@ -307,31 +570,39 @@ const resolvers = {
       return userWithoutPassword;
     },
 
-    deleteUser: async (parent, { id }, context) => {
+    // Mantém o retorno Boolean!; deleteUserWithTasks expõe a política e as tarefas afetadas
+    deleteUser: async (parent, { id }, context) => (await deleteUserWithPolicy(context, { id })).success,
+
+    deleteUserWithTasks: (parent, args, context) => deleteUserWithPolicy(context, args),
+
+    restoreUser: async (parent, { id }, context) => {
       const user = await getUser(context.token);
-      requireAuth(user);
+      requireAdmin(user);
 
-      const existingUser = database.getUserById(id);
-      if (!existingUser) {
-        throw new UserInputError('Usuário não encontrado');
+      const existingUser = database.getUserById(id, { includeDeleted: true });
+      if (!existingUser || !existingUser.deletedAt) {
+        throw new UserInputError('Usuário não encontrado na lixeira');
       }
 
-      // Verificar permissões
-      if (user.role !== 'admin' && user.id !== id) {
-        throw new ForbiddenError('Acesso negado para deletar este usuário');
+      // O email pode ter sido reutilizado enquanto o usuário estava na lixeira
+      if (database.getUserByEmail(existingUser.email)) {
+        throw new UserInputError('Email já está em uso');
       }
 
-      // Não permitir que delete o último admin
-      if (existingUser.role === 'admin') {
-        const allUsers = database.getAllUsers();
-        const adminCount = allUsers.filter(user => user.role === 'admin').length;
-        
-        if (adminCount === 1) {
-          throw new UserInputError('Não é possível deletar o último administrador');
-        }
+      const { password, ...userWithoutPassword } = database.restoreUser(id);
+      return userWithoutPassword;
+    },
+
+    purgeUser: async (parent, { id }, context) => {
+      const user = await getUser(context.token);
+      requireAdmin(user);
+
+      const existingUser = database.getUserById(id, { includeDeleted: true });
+      if (!existingUser || !existingUser.deletedAt) {
+        throw new UserInputError('Usuário não encontrado na lixeira');
       }
 
-      return database.deleteUser(id);
+      return database.purgeUser(id);
     },
 
     changePassword: async (parent, { input }, context) => {
@@ -369,17 +640,13 @@ const resolvers = {
       const user = await getUser(context.token);
       requireAuth(user);
 
-      const taskData = {
-        ...input,
-        userId: user.id,
-        priority: input.priority ? input.priority.toLowerCase() : 'medium',
-        completed: input.completed || false
-      };
+      // Mesmas validações e valores padrão de POST /api/tasks
+      const taskData = validateInput(createTaskSchema, toTaskData(input));
 
-      return database.createTask(taskData);
+      return database.createTask({ ...taskData, userId: user.id });
     },
 
-    updateTask: async (parent, { id, input }, context) => {
+    updateTask: async (parent, { id, input, expectedVersion }, context) => {
       const user = await getUser(context.token);
       requireAuth(user);
 
@@ -388,14 +655,21 @@ const resolvers = {
         throw new UserInputError('Tarefa não encontrada');
       }
 
-      // Verificar se o usuário pode editar esta tarefa
-      if (user.role !== 'admin' && existingTask.userId !== user.id) {
+      // Verificar se o usuário pode editar esta tarefa (dono, admin, responsável ou editor)
+      if (!hasTaskRole(existingTask, user, 'editor')) {
         throw new ForbiddenError('Acesso negado para editar esta tarefa');
       }
 
-      const updateData = { ...input };
-      if (updateData.priority) {
-        updateData.priority = updateData.priority.toLowerCase();
+      requireVersion(existingTask, expectedVersion, 'A tarefa foi modificada por outra requisição');
+
+      // Mesmas validações de PUT /api/tasks/:id
+      const updateData = validateInput(updateTaskSchema, toTaskData(input));
+
+      // O status só muda pelas transições do fluxo configurado
+      const transitionError = checkStatusTransition(workflow, existingTask, updateData);
+      if (transitionError) {
+        const { message, ...transition } = transitionError;
+        throw new ApolloError(message, 'INVALID_STATUS_TRANSITION', transition);
       }
 
       return database.updateTask(id, updateData);
@@ -411,11 +685,267 @@ const resolvers = {
       }
 
       // Verificar se o usuário pode deletar esta tarefa
-      if (user.role !== 'admin' && existingTask.userId !== user.id) {
+      if (!hasTaskRole(existingTask, user, 'owner')) {
         throw new ForbiddenError('Acesso negado para deletar esta tarefa');
       }
 
       return database.deleteTask(id);
+    },
+
+    restoreTask: async (parent, { id }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      const existingTask = database.getTaskById(id, { includeDeleted: true });
+      if (!existingTask || !existingTask.deletedAt) {
+        throw new UserInputError('Tarefa não encontrada na lixeira');
+      }
+
+      // Verificar se o usuário pode restaurar esta tarefa
+      if (!hasTaskRole(existingTask, user, 'owner')) {
+        throw new ForbiddenError('Acesso negado para restaurar esta tarefa');
+      }
+
+      return database.restoreTask(id);
+    },
+
+    purgeTask: async (parent, { id }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      const existingTask = database.getTaskById(id, { includeDeleted: true });
+      if (!existingTask || !existingTask.deletedAt) {
+        throw new UserInputError('Tarefa não encontrada na lixeira');
+      }
+
+      // Verificar se o usuário pode remover esta tarefa definitivamente
+      if (!hasTaskRole(existingTask, user, 'owner')) {
+        throw new ForbiddenError('Acesso negado para remover esta tarefa');
+      }
+
+      return database.purgeTask(id);
+    },
+
+    bulkCreateTasks: (parent, { inputs, atomic }, context) => runBulkMutation(
+      context,
+      inputs.map(input => ({ op: 'create', data: toTaskData(input) })),
+      atomic
+    ),
+
+    bulkUpdateTasks: (parent, { updates, atomic }, context) => runBulkMutation(
+      context,
+      updates.map(({ id, input, expectedVersion }) => ({
+        op: 'update',
+        id,
+        data: toTaskData(input),
+        ...(expectedVersion !== undefined && expectedVersion !== null && { expectedVersion })
+      })),
+      atomic
+    ),
+
+    bulkDeleteTasks: (parent, { ids, atomic }, context) => runBulkMutation(
+      context,
+      ids.map(id => ({ op: 'delete', id })),
+      atomic
+    ),
+
+    revertTask: async (parent, { id, version }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      const existingTask = requireTaskRole(user, id, 'editor');
+
+      const state = getStateAtVersion(existingTask, database.getTaskRevisions(id), version);
+      if (!state) {
+        throw new UserInputError('Revisão não encontrada no histórico da tarefa');
+      }
+
+      // O status restaurado também segue as transições do fluxo configurado
+      const transitionError = checkStatusTransition(workflow, existingTask, state);
+      if (transitionError) {
+        const { message, ...transition } = transitionError;
+        throw new ApolloError(message, 'INVALID_STATUS_TRANSITION', transition);
+      }
+
+      return database.revertTask(id, version);
+    },
+
+    // Atribuição e compartilhamento (apenas dono ou admin; o colaborador pode sair)
+    assignTask: async (parent, { taskId, userId }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      requireTaskRole(user, taskId, 'owner');
+
+      if (userId && !database.getUserById(userId)) {
+        throw new UserInputError('Usuário responsável inválido');
+      }
+
+      return database.assignTask(taskId, userId || null);
+    },
+
+    shareTask: async (parent, { taskId, userId, role }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      const task = requireTaskRole(user, taskId, 'owner');
+
+      if (userId === task.userId || !database.getUserById(userId)) {
+        throw new UserInputError('Usuário inválido para compartilhamento');
+      }
+
+      return database.shareTask(taskId, userId, role.toLowerCase());
+    },
+
+    unshareTask: async (parent, { taskId, userId }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      requireTaskRole(user, taskId, userId === user.id ? 'viewer' : 'owner');
+
+      const task = database.unshareTask(taskId, userId);
+      if (!task) {
+        throw new UserInputError('Compartilhamento não encontrado');
+      }
+      return task;
+    },
+
+    // Checklist
+    addChecklistItem: async (parent, { taskId, title, done, position }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      requireTaskRole(user, taskId, 'editor');
+
+      if (position !== undefined && position !== null && position < 0) {
+        throw new UserInputError('Posição inválida');
+      }
+
+      const itemData = { title: validateInput(itemTitleSchema, title), done };
+      return database.addChecklistItem(taskId, itemData, position ?? undefined);
+    },
+
+    updateChecklistItem: async (parent, { taskId, itemId, title, done }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      requireTaskRole(user, taskId, 'editor');
+
+      const changes = {};
+      if (title !== undefined && title !== null) {
+        changes.title = validateInput(itemTitleSchema, title);
+      }
+      if (done !== undefined && done !== null) {
+        changes.done = done;
+      }
+
+      const task = database.updateChecklistItem(taskId, itemId, changes);
+      if (!task) {
+        throw new UserInputError('Item da checklist não encontrado');
+      }
+      return task;
+    },
+
+    reorderChecklist: async (parent, { taskId, itemIds }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      const task = requireTaskRole(user, taskId, 'editor');
+
+      if (!isChecklistPermutation(task, itemIds)) {
+        throw new UserInputError('A nova ordem deve conter cada item da checklist exatamente uma vez');
+      }
+
+      return database.reorderChecklist(taskId, itemIds);
+    },
+
+    removeChecklistItem: async (parent, { taskId, itemId }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      requireTaskRole(user, taskId, 'editor');
+
+      const task = database.removeChecklistItem(taskId, itemId);
+      if (!task) {
+        throw new UserInputError('Item da checklist não encontrado');
+      }
+      return task;
+    },
+
+    // Comentários: apenas o autor edita; o autor ou um admin remove
+    addComment: async (parent, { taskId, text }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      requireTaskRole(user, taskId, 'viewer');
+
+      const task = database.addComment(taskId, { userId: user.id, text: validateInput(commentTextSchema, text) });
+      return task.comments[task.comments.length - 1];
+    },
+
+    editComment: async (parent, { taskId, commentId, text }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      const task = requireTaskRole(user, taskId, 'viewer');
+
+      const comment = (task.comments || []).find(c => c.id === commentId);
+      if (!comment) {
+        throw new UserInputError('Comentário não encontrado');
+      }
+      if (comment.userId !== user.id) {
+        throw new ForbiddenError('Apenas o autor pode editar este comentário');
+      }
+
+      const updatedTask = database.editComment(taskId, commentId, validateInput(commentTextSchema, text));
+      return updatedTask.comments.find(c => c.id === commentId);
+    },
+
+    deleteComment: async (parent, { taskId, commentId }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+      const task = requireTaskRole(user, taskId, 'viewer');
+
+      const comment = (task.comments || []).find(c => c.id === commentId);
+      if (!comment) {
+        throw new UserInputError('Comentário não encontrado');
+      }
+      if (user.role !== 'admin' && comment.userId !== user.id) {
+        throw new ForbiddenError('Acesso negado para remover este comentário');
+      }
+
+      database.deleteComment(taskId, commentId);
+      return true;
+    },
+
+    // Tags (sempre sobre as tarefas do usuário autenticado)
+    renameTag: async (parent, { from, to }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      const tag = validateInput(tagSchema, to);
+      const affectedTasks = database.renameTag(user.id, validateInput(tagSchema, from), tag);
+      if (affectedTasks === 0) {
+        throw new UserInputError('Tag não encontrada nas suas tarefas');
+      }
+
+      return { tag, affectedTasks };
+    },
+
+    mergeTags: async (parent, { sources, target }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      const tag = validateInput(tagSchema, target);
+      const affectedTasks = database.mergeTags(user.id, validateInput(tagsSchema.min(1), sources), tag);
+      if (affectedTasks === 0) {
+        throw new UserInputError('Tag não encontrada nas suas tarefas');
+      }
+
+      return { tag, affectedTasks };
+    },
+
+    deleteTag: async (parent, { name }, context) => {
+      const user = await getUser(context.token);
+      requireAuth(user);
+
+      const tag = validateInput(tagSchema, name);
+      const affectedTasks = database.deleteTag(user.id, tag);
+      if (affectedTasks === 0) {
+        throw new UserInputError('Tag não encontrada nas suas tarefas');
+      }
+
+      return { tag, affectedTasks };
     }
   }
 };
@@ -8,20 +8,146 @@ const typeDefs = gql`
     name: String!
     email: String!
     role: Role!
+    version: Int!
     createdAt: DateTime!
     updatedAt: DateTime!
+    deletedAt: DateTime
   }
 
   type Task {
     id: ID!
     title: String!
     description: String
+    # Derivado do status: true no estado final do fluxo
     completed: Boolean!
+    status: String!
+    # Estados para os quais a tarefa pode ir a partir do status atual
+    nextStatuses: [String!]!
     priority: Priority!
     userId: ID!
     user: User
+    dueDate: DateTime
+    reminderAt: DateTime
+    overdue: Boolean!
+    tags: [String!]!
+    checklist: [ChecklistItem!]!
+    progress: ChecklistProgress!
+    autoComplete: Boolean!
+    comments: [Comment!]!
+    assigneeId: ID
+    assignee: User
+    shares: [TaskShare!]!
+    # Nível de acesso do usuário autenticado
+    access: TaskAccess
+    # Revisões, da mais recente para a mais antiga
+    history: [TaskRevision!]!
+    recurrence: Recurrence
+    # Apenas para o dono da tarefa ou admin (null para os demais)
+    attachments: [Attachment!]
+    version: Int!
     createdAt: DateTime!
     updatedAt: DateTime!
+    deletedAt: DateTime
+  }
+
+  # Fluxo de status configurado (ver TASK_WORKFLOW_FILE)
+  type TaskWorkflow {
+    states: [String!]!
+    initial: String!
+    done: String!
+    transitions: [StatusTransition!]!
+  }
+
+  type StatusTransition {
+    from: String!
+    to: [String!]!
+  }
+
+  type TaskRevision {
+    id: ID!
+    # Versão da tarefa produzida por esta revisão
+    version: Int!
+    actorId: ID
+    actor: User
+    timestamp: DateTime!
+    changes: [FieldChange!]!
+    # Presente quando a revisão reverteu a tarefa para outra versão
+    revertedTo: Int
+  }
+
+  # Valores antigo e novo codificados em JSON (null quando ausentes)
+  type FieldChange {
+    field: String!
+    from: String
+    to: String
+  }
+
+  type Recurrence {
+    frequency: RecurrenceFrequency!
+    # A cada N dias, semanas ou meses
+    interval: Int!
+    # Dias da semana das séries semanais: 0 (domingo) a 6 (sábado)
+    weekdays: [Int!]
+    until: DateTime
+    count: Int
+    seriesId: ID!
+    # Posição desta tarefa na série
+    occurrence: Int!
+    # Próxima ocorrência, gerada quando esta tarefa é concluída
+    nextTaskId: ID
+    nextTask: Task
+  }
+
+  type TaskOccurrence {
+    task: Task!
+    date: DateTime!
+    occurrence: Int!
+  }
+
+  type TaskShare {
+    userId: ID!
+    user: User
+    role: ShareRole!
+    sharedAt: DateTime!
+  }
+
+  # Metadados de um anexo; o arquivo é baixado pela API REST em url
+  type Attachment {
+    id: ID!
+    filename: String!
+    mimeType: String!
+    # Tamanho em bytes
+    size: Int!
+    userId: ID!
+    uploadedBy: User
+    url: String!
+    createdAt: DateTime!
+  }
+
+  type Comment {
+    id: ID!
+    text: String!
+    userId: ID!
+    author: User
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+
+  type ChecklistItem {
+    id: ID!
+    title: String!
+    done: Boolean!
+    createdAt: DateTime!
+  }
+
+  type ChecklistProgress {
+    done: Int!
+    total: Int!
+  }
+
+  type Tag {
+    name: String!
+    count: Int!
   }
 
   type AuthPayload {
@@ -35,12 +161,70 @@ const typeDefs = gql`
     ADMIN
   }
 
+  enum TaskPolicy {
+    CASCADE
+    REASSIGN
+  }
+
   enum Priority {
     LOW
     MEDIUM
     HIGH
   }
 
+  enum RecurrenceFrequency {
+    DAILY
+    WEEKLY
+    MONTHLY
+  }
+
+  enum ShareRole {
+    VIEWER
+    EDITOR
+  }
+
+  enum TaskAccess {
+    OWNER
+    EDITOR
+    VIEWER
+  }
+
+  enum TagMatch {
+    ANY
+    ALL
+  }
+
+  enum SortOrder {
+    ASC
+    DESC
+  }
+
+  enum TaskSortField {
+    CREATED_AT
+    UPDATED_AT
+    PRIORITY
+    TITLE
+    DUE_DATE
+  }
+
+  enum UserSortField {
+    CREATED_AT
+    UPDATED_AT
+    NAME
+    EMAIL
+  }
+
+  # Critérios aplicados em sequência; os seguintes desempatam os anteriores
+  input TaskSort {
+    field: TaskSortField!
+    order: SortOrder = ASC
+  }
+
+  input UserSort {
+    field: UserSortField!
+    order: SortOrder = ASC
+  }
+
   input RegisterInput {
     name: String!
     email: String!
@@ -53,11 +237,27 @@ const typeDefs = gql`
     password: String!
   }
 
+  # weekdays é obrigatório nas séries semanais; until e count encerram a série
+  input RecurrenceInput {
+    frequency: RecurrenceFrequency!
+    interval: Int = 1
+    weekdays: [Int!]
+    until: DateTime
+    count: Int
+  }
+
   input CreateTaskInput {
     title: String!
     description: String
     priority: Priority = MEDIUM
     completed: Boolean = false
+    # Prevalece sobre completed
+    status: String
+    dueDate: DateTime
+    reminderAt: DateTime
+    tags: [String!]
+    autoComplete: Boolean
+    recurrence: RecurrenceInput
   }
 
   input UpdateTaskInput {
@@ -65,6 +265,19 @@ const typeDefs = gql`
     description: String
     priority: Priority
     completed: Boolean
+    status: String
+    dueDate: DateTime
+    reminderAt: DateTime
+    tags: [String!]
+    autoComplete: Boolean
+    # null remove a recorrência
+    recurrence: RecurrenceInput
+  }
+
+  input BulkUpdateTaskInput {
+    id: ID!
+    input: UpdateTaskInput!
+    expectedVersion: Int
   }
 
   input UpdateUserInput {
@@ -84,13 +297,53 @@ const typeDefs = gql`
     me: User
 
     # Users
-    users: [User!]!
+    users(sort: [UserSort!]): [User!]!
     user(id: ID!): User
+    deletedUsers: [User!]!
 
     # Tasks
-    tasks(completed: Boolean, priority: Priority, page: Int = 1, limit: Int = 10): TaskConnection!
+    tasks(
+      completed: Boolean
+      # Algum dos estados informados
+      status: [String!]
+      priority: Priority
+      dueBefore: DateTime
+      dueAfter: DateTime
+      overdue: Boolean
+      tags: [String!]
+      tagMatch: TagMatch = ANY
+      sort: [TaskSort!]
+      # Paginação por página (padrão: page 1, limit 10)
+      page: Int
+      limit: Int
+      # Paginação por cursor (Relay); não combina com page/limit
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): TaskConnection!
     task(id: ID!): Task
-    myTasks(completed: Boolean, priority: Priority): [Task!]!
+    myTasks(
+      completed: Boolean
+      # Algum dos estados informados
+      status: [String!]
+      priority: Priority
+      dueBefore: DateTime
+      dueAfter: DateTime
+      overdue: Boolean
+      tags: [String!]
+      tagMatch: TagMatch = ANY
+      sort: [TaskSort!]
+    ): [Task!]!
+    deletedTasks: [Task!]!
+    searchTasks(query: String!, limit: Int = 20): [TaskSearchResult!]!
+    taskWorkflow: TaskWorkflow!
+    # Próximas ocorrências das tarefas recorrentes pendentes (intervalo de até 366 dias;
+    # até 400 por tarefa e 1000 no total)
+    upcomingOccurrences(from: DateTime!, to: DateTime!): [TaskOccurrence!]!
+
+    # Tags
+    tags: [Tag!]!
   }
 
   type Mutation {
@@ -100,19 +353,109 @@ const typeDefs = gql`
     refreshToken: AuthPayload!
 
     # Users
-    updateUser(id: ID!, input: UpdateUserInput!): User!
+    updateUser(id: ID!, input: UpdateUserInput!, expectedVersion: Int): User!
+    # Leva as tarefas do usuário para a lixeira junto (política CASCADE)
     deleteUser(id: ID!): Boolean!
+    deleteUserWithTasks(id: ID!, taskPolicy: TaskPolicy = CASCADE, reassignTo: ID): DeleteUserPayload!
+    restoreUser(id: ID!): User!
+    purgeUser(id: ID!): Boolean!
     changePassword(input: ChangePasswordInput!): Boolean!
 
     # Tasks
     createTask(input: CreateTaskInput!): Task!
-    updateTask(id: ID!, input: UpdateTaskInput!): Task!
+    updateTask(id: ID!, input: UpdateTaskInput!, expectedVersion: Int): Task!
     deleteTask(id: ID!): Boolean!
+    restoreTask(id: ID!): Task!
+    purgeTask(id: ID!): Boolean!
+    revertTask(id: ID!, version: Int!): Task!
+
+    # Operações em lote (até 500); atomic aplica tudo ou nada
+    bulkCreateTasks(inputs: [CreateTaskInput!]!, atomic: Boolean = false): BulkTaskPayload!
+    bulkUpdateTasks(updates: [BulkUpdateTaskInput!]!, atomic: Boolean = false): BulkTaskPayload!
+    bulkDeleteTasks(ids: [ID!]!, atomic: Boolean = false): BulkTaskPayload!
+
+    # Atribuição e compartilhamento
+    assignTask(taskId: ID!, userId: ID): Task!
+    shareTask(taskId: ID!, userId: ID!, role: ShareRole!): Task!
+    unshareTask(taskId: ID!, userId: ID!): Task!
+
+    # Checklist
+    addChecklistItem(taskId: ID!, title: String!, done: Boolean = false, position: Int): Task!
+    updateChecklistItem(taskId: ID!, itemId: ID!, title: String, done: Boolean): Task!
+    reorderChecklist(taskId: ID!, itemIds: [ID!]!): Task!
+    removeChecklistItem(taskId: ID!, itemId: ID!): Task!
+
+    # Comentários
+    addComment(taskId: ID!, text: String!): Comment!
+    editComment(taskId: ID!, commentId: ID!, text: String!): Comment!
+    deleteComment(taskId: ID!, commentId: ID!): Boolean!
+
+    # Tags
+    renameTag(from: String!, to: String!): TagOperationPayload!
+    mergeTags(sources: [String!]!, target: String!): TagOperationPayload!
+    deleteTag(name: String!): TagOperationPayload!
+  }
+
+  type DeleteUserPayload {
+    success: Boolean!
+    taskPolicy: TaskPolicy!
+    affectedTasks: Int!
+  }
+
+  type BulkTaskPayload {
+    # false quando um lote atômico foi desfeito
+    applied: Boolean!
+    succeeded: Int!
+    failed: Int!
+    results: [BulkTaskResult!]!
+  }
+
+  type BulkTaskResult {
+    index: Int!
+    success: Boolean!
+    id: ID
+    task: Task
+    error: BulkTaskError
+  }
+
+  type BulkTaskError {
+    message: String!
+    code: String!
+    details: [String!]
+    currentVersion: Int
+    # Estados permitidos, em INVALID_STATUS_TRANSITION
+    allowed: [String!]
+  }
+
+  type TaskSearchResult {
+    task: Task!
+    score: Float!
+  }
+
+  type TagOperationPayload {
+    tag: String!
+    affectedTasks: Int!
   }
 
   type TaskConnection {
+    edges: [TaskEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
     tasks: [Task!]!
-    pagination: Pagination!
+    # Apenas na paginação por página (page/limit)
+    pagination: Pagination
+  }
+
+  type TaskEdge {
+    cursor: String!
+    node: Task!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
   }
 
   type Pagination {
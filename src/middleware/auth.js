@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const database = require('../config/database');
+const { setActor } = require('./requestContext');
 
 const authMiddleware = (req, res, next) => {
   try {
@@ -45,6 +46,7 @@ const authMiddleware = (req, res, next) => {
       name: user.name,
       role: user.role
     };
+    setActor(req.user);
 
     next();
   } catch (error) {
@@ -85,12 +87,16 @@ const getUser = async (token) => {
     const decoded = jwt.verify(cleanToken, process.env.JWT_SECRET || 'default_secret');
     
     const user = database.getUserById(decoded.userId);
-    return user ? {
+    if (!user) return null;
+
+    const authenticatedUser = {
       id: user.id,
       email: user.email,
       name: user.name,
       role: user.role
-    } : null;
+    };
+    setActor(authenticatedUser);
+    return authenticatedUser;
   } catch (error) {
     return null;
   }
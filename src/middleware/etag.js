@@ -0,0 +1,29 @@
+// Controle de concorrência otimista via ETag / If-Match
+// O ETag de um registro é derivado do seu campo version
+
+const getETag = (record) => `"${record.version}"`;
+
+const setETag = (res, record) => {
+  res.set('ETag', getETag(record));
+};
+
+// Verifica o header If-Match contra a versão atual do registro
+// Sem o header a escrita é incondicional (compatível com clientes antigos)
+// If-Match usa comparação forte (RFC 7232): ETags fracos (W/"...") nunca correspondem
+const matchesIfMatch = (req, record) => {
+  const ifMatch = req.headers['if-match'];
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return true;
+  }
+
+  return ifMatch
+    .split(',')
+    .map(tag => tag.trim())
+    .includes(getETag(record));
+};
+
+module.exports = {
+  getETag,
+  setETag,
+  matchesIfMatch
+};
@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Contexto por requisição, propagado por toda a cadeia assíncrona
+// Permite que camadas sem acesso ao req (como o database) saibam quem é o ator
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+  storage.run({ actor: null }, next);
+};
+
+// Registra o usuário autenticado da requisição atual
+const setActor = (user) => {
+  const store = storage.getStore();
+  if (store) {
+    store.actor = user ? { id: user.id, email: user.email, role: user.role } : null;
+  }
+};
+
+const getActor = () => {
+  const store = storage.getStore();
+  return store ? store.actor : null;
+};
+
+module.exports = {
+  requestContext,
+  setActor,
+  getActor
+};
@@ -0,0 +1,41 @@
+const database = require('../config/database');
+const { hasTaskRole } = require('../utils/taskAccess');
+
+const DENIED_MESSAGES = {
+  viewer: 'Acesso negado a esta tarefa',
+  editor: 'Acesso negado para editar esta tarefa',
+  owner: 'Acesso negado para gerenciar esta tarefa'
+};
+
+// Carrega a tarefa de req.params.id em req.task, se o usuário tiver ao menos
+// o nível de acesso informado (ver src/utils/taskAccess.js). Usado pelas rotas
+// aninhadas em /api/tasks/:id
+const loadTask = (role) => {
+  return (req, res, next) => {
+    const task = database.getTaskById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Tarefa não encontrada',
+          code: 'TASK_NOT_FOUND'
+        }
+      });
+    }
+
+    if (!hasTaskRole(task, req.user, role)) {
+      return res.status(403).json({
+        error: {
+          message: DENIED_MESSAGES[role],
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    req.task = task;
+    next();
+  };
+};
+
+module.exports = {
+  loadTask
+};
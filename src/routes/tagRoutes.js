@@ -0,0 +1,34 @@
+const express = require('express');
+const tagController = require('../controllers/tagController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/tags
+ * @desc    Listar as tags usadas nas tarefas do usuário, com a quantidade de tarefas
+ * @access  Private
+ */
+router.get('/', tagController.getMyTags);
+
+/**
+ * @route   POST /api/tags/merge
+ * @desc    Substituir várias tags por uma única em todas as tarefas do usuário
+ * @access  Private
+ */
+router.post('/merge', tagController.mergeTags);
+
+/**
+ * @route   PUT /api/tags/:tag
+ * @desc    Renomear uma tag em todas as tarefas do usuário
+ * @access  Private
+ */
+router.put('/:tag', tagController.renameTag);
+
+/**
+ * @route   DELETE /api/tags/:tag
+ * @desc    Remover uma tag de todas as tarefas do usuário
+ * @access  Private
+ */
+router.delete('/:tag', tagController.deleteTag);
+
+module.exports = router;
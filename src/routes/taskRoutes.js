@@ -1,6 +1,12 @@
 const express = require('express');
 const taskController = require('../controllers/taskController');
+const checklistController = require('../controllers/checklistController');
+const commentController = require('../controllers/commentController');
+const shareController = require('../controllers/shareController');
+const historyController = require('../controllers/historyController');
+const attachmentController = require('../controllers/attachmentController');
 const { requireRole } = require('../middleware/auth');
+const { loadTask } = require('../middleware/taskAccess');
 
 const router = express.Router();
 
@@ -8,7 +14,8 @@ const router = express.Router();
  * @route   GET /api/tasks
  * @desc    Obter todas as tarefas (admin) ou tarefas do usuário (user)
  * @access  Private
- * @params  ?page=1&limit=10&completed=true&priority=high
+ * @params  ?page=1&limit=10&completed=true&status=todo,in_progress&priority=high&dueBefore=2024-12-31&dueAfter=2024-01-01&overdue=true&tags=casa,urgente&tagMatch=any|all&sortBy=priority,dueDate&order=desc,asc
+ * @params  ?first=10&after=CURSOR | ?last=10&before=CURSOR (paginação por cursor, no lugar de page/limit)
  */
 router.get('/', taskController.getAllTasks);
 
@@ -16,10 +23,41 @@ router.get('/', taskController.getAllTasks);
  * @route   GET /api/tasks/my
  * @desc    Obter tarefas do usuário autenticado
  * @access  Private
- * @params  ?completed=true&priority=high
+ * @params  ?completed=true&status=todo,in_progress&priority=high&dueBefore=2024-12-31&dueAfter=2024-01-01&overdue=true&tags=casa,urgente&tagMatch=any|all&sortBy=priority,dueDate&order=desc,asc
+ * @params  ?page=1&limit=10 | ?first=10&after=CURSOR | ?last=10&before=CURSOR (opcional; sem eles, lista tudo)
  */
 router.get('/my', taskController.getMyTasks);
 
+/**
+ * @route   GET /api/tasks/search
+ * @desc    Buscar tarefas visíveis ao usuário por termos no título e na descrição, por relevância
+ * @access  Private
+ * @params  ?q=relatorio mensal&limit=20
+ */
+router.get('/search', taskController.searchTasks);
+
+/**
+ * @route   GET /api/tasks/workflow
+ * @desc    Obter o fluxo de status configurado (estados, inicial, final e transições)
+ * @access  Private
+ */
+router.get('/workflow', taskController.getWorkflow);
+
+/**
+ * @route   GET /api/tasks/occurrences
+ * @desc    Listar as próximas ocorrências das tarefas recorrentes pendentes no intervalo (máx. 366 dias)
+ * @access  Private
+ * @params  ?from=2024-01-01&to=2024-01-31
+ */
+router.get('/occurrences', taskController.getOccurrences);
+
+/**
+ * @route   GET /api/tasks/trash
+ * @desc    Listar tarefas na lixeira (admin vê todas)
+ * @access  Private
+ */
+router.get('/trash', taskController.getTrash);
+
 /**
  * @route   GET /api/tasks/:id
  * @desc    Obter tarefa por ID
@@ -34,6 +72,14 @@ router.get('/:id', taskController.getTaskById);
  */
 router.post('/', taskController.createTask);
 
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Criar, atualizar e deletar tarefas em lote (até 500 operações), com resultado por operação;
+ *          atomic: true aplica tudo ou nada
+ * @access  Private
+ */
+router.post('/bulk', taskController.bulkTasks);
+
 /**
  * @route   PUT /api/tasks/:id
  * @desc    Atualizar tarefa
@@ -43,9 +89,156 @@ router.put('/:id', taskController.updateTask);
 
 /**
  * @route   DELETE /api/tasks/:id
- * @desc    Deletar tarefa
+ * @desc    Mover tarefa para a lixeira
  * @access  Private
  */
 router.delete('/:id', taskController.deleteTask);
 
+/**
+ * @route   POST /api/tasks/:id/restore
+ * @desc    Restaurar tarefa da lixeira
+ * @access  Private
+ */
+router.post('/:id/restore', taskController.restoreTask);
+
+/**
+ * @route   DELETE /api/tasks/:id/purge
+ * @desc    Remover definitivamente tarefa da lixeira
+ * @access  Private
+ */
+router.delete('/:id/purge', taskController.purgeTask);
+
+/**
+ * @route   PUT /api/tasks/:id/assignee
+ * @desc    Atribuir a tarefa a um usuário (userId null remove o responsável)
+ * @access  Private (dono ou admin)
+ */
+router.put('/:id/assignee', loadTask('owner'), shareController.assignTask);
+
+/**
+ * @route   GET /api/tasks/:id/shares
+ * @desc    Listar os colaboradores da tarefa e seus níveis de acesso
+ * @access  Private
+ */
+router.get('/:id/shares', loadTask('viewer'), shareController.getShares);
+
+/**
+ * @route   PUT /api/tasks/:id/shares/:userId
+ * @desc    Compartilhar a tarefa com um usuário ou alterar seu nível (viewer ou editor)
+ * @access  Private (dono ou admin)
+ */
+router.put('/:id/shares/:userId', loadTask('owner'), shareController.shareTask);
+
+/**
+ * @route   DELETE /api/tasks/:id/shares/:userId
+ * @desc    Remover um colaborador (ou sair de uma tarefa compartilhada)
+ * @access  Private (dono, admin ou o próprio colaborador)
+ */
+router.delete('/:id/shares/:userId', loadTask('viewer'), shareController.unshareTask);
+
+/**
+ * @route   GET /api/tasks/:id/checklist
+ * @desc    Obter a checklist da tarefa e o progresso (done/total)
+ * @access  Private
+ */
+router.get('/:id/checklist', loadTask('viewer'), checklistController.getChecklist);
+
+/**
+ * @route   POST /api/tasks/:id/checklist
+ * @desc    Adicionar item à checklist (no fim ou na posição informada)
+ * @access  Private
+ */
+router.post('/:id/checklist', loadTask('editor'), checklistController.addItem);
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/order
+ * @desc    Reordenar a checklist com a lista completa de ids dos itens
+ * @access  Private
+ */
+router.put('/:id/checklist/order', loadTask('editor'), checklistController.reorder);
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/:itemId
+ * @desc    Renomear ou marcar/desmarcar item da checklist
+ * @access  Private
+ */
+router.put('/:id/checklist/:itemId', loadTask('editor'), checklistController.updateItem);
+
+/**
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @desc    Remover item da checklist
+ * @access  Private
+ */
+router.delete('/:id/checklist/:itemId', loadTask('editor'), checklistController.removeItem);
+
+/**
+ * @route   GET /api/tasks/:id/comments
+ * @desc    Listar comentários da tarefa, em ordem de criação
+ * @access  Private
+ */
+router.get('/:id/comments', loadTask('viewer'), commentController.getComments);
+
+/**
+ * @route   POST /api/tasks/:id/comments
+ * @desc    Comentar na tarefa
+ * @access  Private
+ */
+router.post('/:id/comments', loadTask('viewer'), commentController.addComment);
+
+/**
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @desc    Editar comentário
+ * @access  Private (apenas o autor)
+ */
+router.put('/:id/comments/:commentId', loadTask('viewer'), commentController.editComment);
+
+/**
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @desc    Remover comentário
+ * @access  Private (autor ou admin)
+ */
+router.delete('/:id/comments/:commentId', loadTask('viewer'), commentController.deleteComment);
+
+/**
+ * @route   GET /api/tasks/:id/history
+ * @desc    Histórico de revisões da tarefa (autor, data e campos alterados), mais recente primeiro
+ * @access  Private
+ */
+router.get('/:id/history', loadTask('viewer'), historyController.getHistory);
+
+/**
+ * @route   POST /api/tasks/:id/history/:version/revert
+ * @desc    Restaurar os campos da tarefa como estavam na versão de uma revisão
+ * @access  Private (dono, admin, responsável ou editor)
+ */
+router.post('/:id/history/:version/revert', loadTask('editor'), historyController.revertTask);
+
+/**
+ * @route   GET /api/tasks/:id/attachments
+ * @desc    Listar os anexos da tarefa (metadados)
+ * @access  Private (dono ou admin)
+ */
+router.get('/:id/attachments', loadTask('owner'), attachmentController.getAttachments);
+
+/**
+ * @route   POST /api/tasks/:id/attachments
+ * @desc    Enviar um anexo: multipart/form-data com o arquivo no campo "file" (tamanho e tipos limitados)
+ * @access  Private (dono ou admin)
+ */
+router.post('/:id/attachments', loadTask('owner'), attachmentController.uploadAttachment);
+
+/**
+ * @route   GET /api/tasks/:id/attachments/:attachmentId
+ * @desc    Baixar o arquivo de um anexo
+ * @access  Private (dono ou admin)
+ */
+router.get('/:id/attachments/:attachmentId', loadTask('owner'), attachmentController.downloadAttachment);
+
+/**
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @desc    Remover um anexo e o seu arquivo
+ * @access  Private (dono ou admin)
+ */
+router.delete('/:id/attachments/:attachmentId', loadTask('owner'), attachmentController.deleteAttachment);
+
 module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const testController = require('../controllers/testController');
+
+const router = express.Router();
+
+// Quando TEST_ROUTES_TOKEN está definido, exige o mesmo valor no header X-Test-Token
+router.use((req, res, next) => {
+  const expectedToken = process.env.TEST_ROUTES_TOKEN;
+  if (expectedToken && req.get('X-Test-Token') !== expectedToken) {
+    return res.status(403).json({
+      error: {
+        message: 'Token de teste inválido',
+        code: 'INVALID_TEST_TOKEN'
+      }
+    });
+  }
+  next();
+});
+
+/**
+ * @route   POST /__test/reset
+ * @desc    Limpar o banco e aplicar a fixture padrão do ambiente
+ * @access  Test
+ */
+router.post('/reset', testController.reset);
+
+/**
+ * @route   POST /__test/clear
+ * @desc    Remover todos os usuários e tarefas
+ * @access  Test
+ */
+router.post('/clear', testController.clear);
+
+/**
+ * @route   POST /__test/seed
+ * @desc    Aplicar fixture de seeds/<fixture>.json ou enviada em data
+ * @access  Test
+ * @params  { fixture: 'performance' } | { data: { users, tasks, generate } }, clear=true
+ */
+router.post('/seed', testController.seed);
+
+/**
+ * @route   POST /__test/generate
+ * @desc    Substituir os dados por massa sintética determinística (ver src/config/dataGenerator.js)
+ * @access  Test
+ * @params  { users, tasksPerUser, seed, priorities, completionRate, ... }, append=false
+ */
+router.post('/generate', testController.generate);
+
+/**
+ * @route   POST /__test/snapshots
+ * @desc    Guardar o estado atual do banco
+ * @access  Test
+ */
+router.post('/snapshots', testController.snapshot);
+
+/**
+ * @route   POST /__test/snapshots/:id/restore
+ * @desc    Restaurar o banco para um snapshot guardado
+ * @access  Test
+ */
+router.post('/snapshots/:id/restore', testController.restore);
+
+module.exports = router;
@@ -8,9 +8,18 @@ const router = express.Router();
  * @route   GET /api/users
  * @desc    Obter todos os usuários
  * @access  Private (Admin only)
+ * @params  ?sortBy=name|email|createdAt|updatedAt&order=asc|desc
+ * @params  ?page=1&limit=10 | ?first=10&after=CURSOR | ?last=10&before=CURSOR (opcional; sem eles, lista tudo)
  */
 router.get('/', requireRole(['admin']), userController.getAllUsers);
 
+/**
+ * @route   GET /api/users/trash
+ * @desc    Listar usuários na lixeira
+ * @access  Private (Admin only)
+ */
+router.get('/trash', requireRole(['admin']), userController.getTrash);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Obter usuário por ID
@@ -27,11 +36,26 @@ router.put('/:id', userController.updateUser);
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Deletar usuário
- * @access  Private
+ * @desc    Mover usuário para a lixeira, deletando ou transferindo suas tarefas
+ * @access  Private (reassign: Admin only)
+ * @params  ?taskPolicy=cascade|reassign&reassignTo=USER_ID
  */
 router.delete('/:id', userController.deleteUser);
 
+/**
+ * @route   POST /api/users/:id/restore
+ * @desc    Restaurar usuário da lixeira
+ * @access  Private (Admin only)
+ */
+router.post('/:id/restore', requireRole(['admin']), userController.restoreUser);
+
+/**
+ * @route   DELETE /api/users/:id/purge
+ * @desc    Remover definitivamente usuário da lixeira
+ * @access  Private (Admin only)
+ */
+router.delete('/:id/purge', requireRole(['admin']), userController.purgeUser);
+
 /**
  * @route   POST /api/users/change-password
  * @desc    Alterar senha do usuário autenticado
@@ -8,9 +8,13 @@ require('dotenv').config();
 const authRoutes = require('./routes/authRoutes');
 const taskRoutes = require('./routes/taskRoutes');
 const userRoutes = require('./routes/userRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const testRoutes = require('./routes/testRoutes');
 const typeDefs = require('./graphql/typeDefs');
 const resolvers = require('./graphql/resolvers');
+const database = require('./config/database');
 const { authMiddleware, getUser } = require('./middleware/auth');
+const { requestContext } = require('./middleware/requestContext');
 
 /**
  * Cria e configura a aplicação Express com todas as rotas e middlewares
@@ -20,6 +24,9 @@ const { authMiddleware, getUser } = require('./middleware/auth');
 async function createApp() {
   const app = express();
 
+  // Contexto por requisição (ator usado nos eventos do banco)
+  app.use(requestContext);
+
   // Middleware de segurança (desabilitado em ambiente de teste para facilitar testes)
   if (process.env.NODE_ENV !== 'test') {
     app.use(helmet());
@@ -42,6 +49,12 @@ async function createApp() {
   app.use('/api/auth', authRoutes);
   app.use('/api/tasks', authMiddleware, taskRoutes);
   app.use('/api/users', authMiddleware, userRoutes);
+  app.use('/api/tags', authMiddleware, tagRoutes);
+
+  // Controle do banco para E2E e k6 - nunca exposto fora de teste sem opt-in explícito
+  if (process.env.NODE_ENV === 'test' || process.env.ENABLE_TEST_ROUTES === 'true') {
+    app.use('/__test', testRoutes);
+  }
 
   // Health check
   app.get('/health', (req, res) => {
@@ -126,6 +139,14 @@ process.on('unhandledRejection', (err) => {
   process.exit(1);
 });
 
+// Encerramento gracioso: fecha o banco (snapshot final / conexão SQLite)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    database.close();
+    process.exit(0);
+  });
+});
+
 startServer().catch(err => {
   console.error('Falha ao iniciar servidor:', err);
   process.exit(1);
@@ -0,0 +1,141 @@
+// Anexos de tarefas: limites e recebimento do upload multipart
+//
+// O arquivo vai no campo "file" de um multipart/form-data. O tipo MIME é o
+// declarado pelo cliente na parte do multipart e precisa estar na lista
+// permitida. Os limites vêm das variáveis de ambiente:
+//   - ATTACHMENT_MAX_SIZE: tamanho máximo em bytes (padrão 10 MB)
+//   - ATTACHMENT_TYPES: tipos permitidos, separados por vírgula
+
+const fs = require('fs');
+const path = require('path');
+const formidable = require('formidable');
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TASK = 20;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/zip'
+];
+
+/**
+ * @param {Object} [env]
+ * @returns {{maxFileSize: number, allowedTypes: Array<string>}}
+ */
+function getAttachmentLimits(env = process.env) {
+  const maxFileSize = parseInt(env.ATTACHMENT_MAX_SIZE, 10);
+  return {
+    maxFileSize: maxFileSize > 0 ? maxFileSize : DEFAULT_MAX_FILE_SIZE,
+    allowedTypes: env.ATTACHMENT_TYPES
+      ? env.ATTACHMENT_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_ALLOWED_TYPES
+  };
+}
+
+// Falha do upload, no formato { message, code } das respostas de erro
+const uploadFailure = (status, message, code) => ({ error: { status, message, code } });
+
+// Fecha o arquivo antes de apagá-lo, para que uma escrita pendente não o recrie
+const discardFile = ({ filepath, stream }) => new Promise(resolve => {
+  const remove = () => {
+    fs.rmSync(filepath, { force: true });
+    resolve();
+  };
+
+  if (stream.closed) return remove();
+  stream.once('close', remove);
+  stream.destroy();
+});
+
+const discardFiles = (files) => Promise.all(files.map(discardFile));
+
+/**
+ * Recebe o arquivo do campo "file" em uploadDir. Outros arquivos enviados são
+ * descartados; em caso de erro, nada fica em disco.
+ *
+ * @param {express.Request} req
+ * @param {Object} options
+ * @param {string} options.uploadDir - Diretório temporário (já existente)
+ * @param {number} options.maxFileSize
+ * @param {Array<string>} options.allowedTypes
+ * @returns {Promise<{file?: {filepath: string, filename: string, mimeType: string, size: number}, error?: Object}>}
+ */
+function receiveUpload(req, { uploadDir, maxFileSize, allowedTypes }) {
+  // Corpos JSON ou urlencoded já foram consumidos pelo express
+  if (!req.is('multipart/form-data')) {
+    return Promise.resolve(uploadFailure(400, 'Envie o arquivo como multipart/form-data no campo "file"', 'VALIDATION_ERROR'));
+  }
+
+  return new Promise(resolve => {
+    // Arquivos aceitos pelo filter, com o stream de escrita de cada um
+    const received = [];
+    let rejectedType = null;
+
+    const form = formidable({
+      uploadDir,
+      maxFileSize,
+      allowEmptyFiles: false,
+      fileWriteStreamHandler: (file) => {
+        const stream = fs.createWriteStream(file.filepath);
+        received.push({ file, filepath: file.filepath, stream });
+        return stream;
+      },
+      filter: ({ name, mimetype }) => {
+        if (name !== 'file') return false;
+        if (!allowedTypes.includes((mimetype || '').toLowerCase())) {
+          rejectedType = mimetype || 'desconhecido';
+          return false;
+        }
+        return true;
+      }
+    });
+
+    form.parse(req, async (error) => {
+      if (error) {
+        await discardFiles(received);
+        if (error.code === formidable.errors.biggerThanMaxFileSize) {
+          return resolve(uploadFailure(413, `O arquivo excede o limite de ${maxFileSize} bytes`, 'FILE_TOO_LARGE'));
+        }
+        if (error.code === formidable.errors.noEmptyFiles) {
+          return resolve(uploadFailure(400, 'O arquivo está vazio', 'VALIDATION_ERROR'));
+        }
+        return resolve(uploadFailure(400, 'Upload inválido', 'VALIDATION_ERROR'));
+      }
+
+      const [first, ...extra] = received;
+      await discardFiles(extra);
+
+      if (!first) {
+        return resolve(rejectedType
+          ? uploadFailure(415, `Tipo de arquivo não permitido: ${rejectedType}`, 'UNSUPPORTED_MEDIA_TYPE')
+          : uploadFailure(400, 'Envie o arquivo no campo "file"', 'VALIDATION_ERROR'));
+      }
+
+      const { file } = first;
+      resolve({
+        file: {
+          filepath: file.filepath,
+          // Alguns clientes enviam o caminho completo
+          filename: path.basename(file.originalFilename || 'arquivo').slice(0, 255),
+          mimeType: file.mimetype.toLowerCase(),
+          size: file.size
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_MAX_FILE_SIZE,
+  DEFAULT_ALLOWED_TYPES,
+  MAX_ATTACHMENTS_PER_TASK,
+  getAttachmentLimits,
+  receiveUpload
+};
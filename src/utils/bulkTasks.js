@@ -0,0 +1,136 @@
+// Operações em lote sobre tarefas, compartilhadas entre a API REST e o GraphQL
+//
+// Cada operação passa pelas mesmas validações e verificações de acesso das
+// rotas individuais e gera um resultado próprio. No modo atômico as operações
+// rodam em uma transação: se alguma falhar, nenhuma é aplicada.
+
+const Joi = require('joi');
+const { createTaskSchema, updateTaskSchema } = require('./taskSchemas');
+const { hasTaskRole, toTaskView } = require('./taskAccess');
+const { checkStatusTransition } = require('./taskStatus');
+const { workflow } = require('../config/workflow');
+
+const MAX_BULK_OPERATIONS = 500;
+
+const bulkRequestSchema = Joi.object({
+  atomic: Joi.boolean().default(false),
+  operations: Joi.array().items(Joi.object({
+    op: Joi.string().valid('create', 'update', 'delete').required(),
+    id: Joi.when('op', { is: 'create', then: Joi.forbidden(), otherwise: Joi.string().required() }),
+    data: Joi.when('op', { is: 'delete', then: Joi.forbidden(), otherwise: Joi.object().required() }),
+    expectedVersion: Joi.when('op', { is: 'create', then: Joi.forbidden(), otherwise: Joi.number().integer().min(1) })
+  })).min(1).max(MAX_BULK_OPERATIONS).required()
+});
+
+// Sinaliza à transação que o lote atômico deve ser desfeito
+const ROLLBACK = Symbol('rollback');
+
+// Falha de uma operação, no formato { message, code } das respostas de erro
+const failure = (message, code, extra = {}) => ({ success: false, error: { message, code, ...extra } });
+
+const validationFailure = (error) => failure('Dados inválidos', 'VALIDATION_ERROR', {
+  details: error.details.map(detail => detail.message)
+});
+
+function applyOperation(database, user, { op, id, data, expectedVersion }) {
+  if (op === 'create') {
+    const { error, value } = createTaskSchema.validate(data);
+    if (error) return validationFailure(error);
+
+    const task = database.createTask({ ...value, userId: user.id });
+    return { success: true, id: task.id, task };
+  }
+
+  const existingTask = database.getTaskById(id);
+  if (!existingTask) {
+    return failure('Tarefa não encontrada', 'TASK_NOT_FOUND');
+  }
+
+  if (op === 'update') {
+    const { error, value } = updateTaskSchema.validate(data);
+    if (error) return validationFailure(error);
+
+    if (!hasTaskRole(existingTask, user, 'editor')) {
+      return failure('Acesso negado para editar esta tarefa', 'ACCESS_DENIED');
+    }
+    if (expectedVersion !== undefined && existingTask.version !== expectedVersion) {
+      return failure('A tarefa foi modificada por outra requisição', 'VERSION_CONFLICT', { currentVersion: existingTask.version });
+    }
+
+    const transitionError = checkStatusTransition(workflow, existingTask, value);
+    if (transitionError) {
+      const { message, ...transition } = transitionError;
+      return failure(message, 'INVALID_STATUS_TRANSITION', transition);
+    }
+
+    return { success: true, id, task: toTaskView(database.updateTask(id, value), user) };
+  }
+
+  if (!hasTaskRole(existingTask, user, 'owner')) {
+    return failure('Acesso negado para deletar esta tarefa', 'ACCESS_DENIED');
+  }
+  if (expectedVersion !== undefined && existingTask.version !== expectedVersion) {
+    return failure('A tarefa foi modificada por outra requisição', 'VERSION_CONFLICT', { currentVersion: existingTask.version });
+  }
+
+  database.deleteTask(id);
+  return { success: true, id };
+}
+
+/**
+ * Executa as operações na ordem recebida (uma pode depender da anterior)
+ *
+ * @param {StorageAdapter} database
+ * @param {Object} user - Usuário autenticado (id e role)
+ * @param {Array<{op: string, id?: string, data?: Object, expectedVersion?: number}>} operations - Já validadas por bulkRequestSchema
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic=false] - Tudo ou nada
+ * @returns {{applied: boolean, results: Array<Object>, succeeded: number, failed: number}}
+ */
+function runBulkOperations(database, user, operations, { atomic = false } = {}) {
+  const run = () => operations.map((operation, index) => ({
+    index,
+    op: operation.op,
+    ...(operation.id && { id: operation.id }),
+    ...applyOperation(database, user, operation)
+  }));
+
+  let results;
+  let applied = true;
+
+  if (atomic) {
+    try {
+      database.transaction(() => {
+        results = run();
+        if (results.some(result => !result.success)) {
+          throw ROLLBACK;
+        }
+      });
+    } catch (error) {
+      if (error !== ROLLBACK) throw error;
+
+      // Nada foi aplicado: operações válidas também são reportadas como desfeitas
+      applied = false;
+      // (ids de tarefas criadas e desfeitas não existem mais e são omitidos)
+      results = results.map(({ index, op, id, success, ...result }) => (success
+        ? { index, op, ...(op !== 'create' && { id }), ...failure('Operação desfeita: outra operação do lote falhou', 'ROLLED_BACK') }
+        : { index, op, ...(id && { id }), success, ...result }));
+    }
+  } else {
+    results = run();
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    applied,
+    results,
+    succeeded,
+    failed: results.length - succeeded
+  };
+}
+
+module.exports = {
+  MAX_BULK_OPERATIONS,
+  bulkRequestSchema,
+  runBulkOperations
+};
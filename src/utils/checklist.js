@@ -0,0 +1,37 @@
+const Joi = require('joi');
+
+// Checklist: itens ordenados guardados na própria tarefa (task.checklist)
+
+const itemTitleSchema = Joi.string().trim().min(1).max(200);
+
+/**
+ * Progresso da checklist de uma tarefa
+ * @param {Object} task
+ * @returns {{done: number, total: number}}
+ */
+function getChecklistProgress(task) {
+  const checklist = task.checklist || [];
+  return {
+    done: checklist.filter(item => item.done).length,
+    total: checklist.length
+  };
+}
+
+/**
+ * Verifica se itemIds é uma permutação dos itens atuais da checklist
+ * @param {Object} task
+ * @param {Array<string>} itemIds
+ * @returns {boolean}
+ */
+function isChecklistPermutation(task, itemIds) {
+  const currentIds = (task.checklist || []).map(item => item.id);
+  return itemIds.length === currentIds.length
+    && new Set(itemIds).size === itemIds.length
+    && itemIds.every(id => currentIds.includes(id));
+}
+
+module.exports = {
+  itemTitleSchema,
+  getChecklistProgress,
+  isChecklistPermutation
+};
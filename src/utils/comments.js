@@ -0,0 +1,8 @@
+const Joi = require('joi');
+
+// Texto de um comentário, compartilhado entre a API REST e o GraphQL
+const commentTextSchema = Joi.string().trim().min(1).max(2000);
+
+module.exports = {
+  commentTextSchema
+};
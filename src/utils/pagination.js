@@ -0,0 +1,193 @@
+// Paginação das listagens, compartilhada entre a API REST e o GraphQL
+//
+// Dois modos:
+//   - offset (page/limit): o modo original, mantido por compatibilidade
+//   - cursor (first/after, last/before), no formato das connections do Relay:
+//     o cursor guarda a chave de ordenação e o id de um registro, e a página
+//     seguinte começa no primeiro registro depois dessa chave. Páginas não se
+//     deslocam quando registros entram na lista, e o cursor continua válido
+//     se o registro dele for removido ou deixar de passar nos filtros.
+
+const Joi = require('joi');
+const { compareRecords, sortRecords } = require('./sorting');
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 10;
+
+// No modo cursor, createdAt desempata os critérios pedidos; registros criados
+// no mesmo instante mantêm a ordem de inserção e são desempatados pelo id
+const toKeysetCriteria = (criteria) => [...criteria, { field: 'createdAt', order: 'asc' }];
+
+// Cursores são opacos para o cliente: base64url do id e dos valores dos campos
+// de ordenação do registro (na ordem dos critérios)
+const encodeCursor = (record, criteria) => Buffer.from(JSON.stringify({
+  id: record.id,
+  key: criteria.map(({ field }) => (record[field] === undefined ? null : record[field]))
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { id, key } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof id === 'string' && Array.isArray(key) ? { id, key } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cursorSchema = Joi.string().custom((value, helpers) => (
+  decodeCursor(value) ? value : helpers.message(`"${helpers.state.path[0]}" não é um cursor válido`)
+));
+
+// Tamanhos acima do máximo são reduzidos a ele: antes da paginação por cursor
+// limit não tinha teto, e clientes que pedem mais continuam funcionando
+const pageSizeSchema = Joi.number().integer().min(1).custom(value => Math.min(value, MAX_PAGE_SIZE));
+
+// page/limit não se combinam com cursores; first e last também são exclusivos
+const paginationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: pageSizeSchema,
+  first: pageSizeSchema,
+  after: cursorSchema,
+  last: pageSizeSchema,
+  before: cursorSchema
+})
+  .oxor('first', 'last')
+  .without('page', ['first', 'after', 'last', 'before'])
+  .without('limit', ['first', 'after', 'last', 'before'])
+  .unknown(true);
+
+const isCursorMode = ({ first, after, last, before }) => [first, after, last, before].some(value => value !== undefined && value !== null);
+
+// Listagens que antes não eram paginadas só paginam quando algum parâmetro é enviado
+const hasPaginationParams = (options) => isCursorMode(options) || options.page !== undefined || options.limit !== undefined;
+
+/**
+ * Valida os parâmetros de paginação da query string (ou dos argumentos do GraphQL)
+ * @param {Object} query
+ * @returns {{error: (Joi.ValidationError|undefined), value: Object}}
+ */
+function parsePaginationQuery(query) {
+  const { error, value } = paginationQuerySchema.validate(query);
+  if (error) return { error, value: {} };
+
+  const { page, limit, first, after, last, before } = value;
+  return { value: { page, limit, first, after, last, before } };
+}
+
+/**
+ * Posição da chave de um cursor na lista ordenada pelos critérios: o primeiro
+ * registro com chave igual ou posterior (index) e, entre os de chave igual,
+ * a posição do próprio registro do cursor (-1 se ele não está mais na lista)
+ * @returns {?{index: number, own: number}} null se o cursor é de outra ordenação
+ */
+function locateCursor(items, cursor, criteria, fields) {
+  const decoded = decodeCursor(cursor);
+  if (!decoded || decoded.key.length !== criteria.length) return null;
+
+  const target = {};
+  criteria.forEach(({ field }, position) => {
+    target[field] = decoded.key[position];
+  });
+  const compare = (item) => compareRecords(item, target, criteria, fields);
+
+  let index = items.findIndex(item => compare(item) >= 0);
+  if (index === -1) index = items.length;
+
+  let own = -1;
+  for (let position = index; position < items.length && compare(items[position]) === 0; position++) {
+    if (items[position].id === decoded.id) own = position;
+  }
+  return { index, own };
+}
+
+/**
+ * Pagina uma lista já filtrada e ordenada
+ *
+ * No modo cursor, sem first nem last, retorna até DEFAULT_PAGE_SIZE registros
+ * a partir do início (ou do after). Retorna null se um cursor não é válido
+ * para a ordenação atual (ex.: foi gerado com outros critérios de sortBy).
+ *
+ * @param {Array<Object>} items
+ * @param {Object} options - Saída de parsePaginationQuery
+ * @param {Object} sort - Ordenação aplicada aos itens
+ * @param {Array<{field: string, order: string}>} sort.criteria - Saída de parseSortQuery
+ * @param {Object} sort.fields - TASK_SORT_FIELDS ou USER_SORT_FIELDS
+ * @returns {?{items: Array<Object>, edges: Array<{cursor: string, node: Object}>, pageInfo: Object, pagination: ?Object, totalCount: number}}
+ */
+function paginate(list, { page, limit, first, after, last, before } = {}, { criteria = [], fields } = {}) {
+  let items = list;
+  let start;
+  let end;
+  let pagination = null;
+  const keysetCriteria = toKeysetCriteria(criteria);
+
+  if (isCursorMode({ first, after, last, before })) {
+    // Mesma ordem dos cursores; o sort é estável, então a ordem dos itens só muda entre empates
+    items = sortRecords(list, keysetCriteria, fields);
+    start = 0;
+    end = items.length;
+
+    if (after) {
+      const position = locateCursor(items, after, keysetCriteria, fields);
+      if (!position) return null;
+      start = position.own === -1 ? position.index : position.own + 1;
+    }
+    if (before) {
+      const position = locateCursor(items, before, keysetCriteria, fields);
+      if (!position) return null;
+      end = Math.max(start, position.own === -1 ? position.index : position.own);
+    }
+
+    if (last) {
+      start = Math.max(start, end - last);
+    } else {
+      end = Math.min(end, start + (first || DEFAULT_PAGE_SIZE));
+    }
+  } else {
+    const currentPage = page || 1;
+    const pageSize = limit || DEFAULT_PAGE_SIZE;
+    start = Math.min((currentPage - 1) * pageSize, items.length);
+    end = Math.min(start + pageSize, items.length);
+    pagination = {
+      current: currentPage,
+      total: Math.ceil(items.length / pageSize),
+      count: end - start,
+      totalItems: items.length
+    };
+  }
+
+  const pageItems = items.slice(start, end);
+  const edges = pageItems.map(item => ({ cursor: encodeCursor(item, keysetCriteria), node: item }));
+
+  return {
+    items: pageItems,
+    edges,
+    pageInfo: {
+      hasNextPage: end < items.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    pagination,
+    totalCount: items.length
+  };
+}
+
+// Metadados de paginação das respostas REST; pagination existe apenas no modo offset
+const toPaginationMeta = ({ pagination, pageInfo, totalCount }) => ({
+  ...(pagination && { pagination }),
+  pageInfo,
+  totalItems: totalCount
+});
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  isCursorMode,
+  hasPaginationParams,
+  parsePaginationQuery,
+  paginate,
+  toPaginationMeta
+};
@@ -0,0 +1,247 @@
+// Recorrência de tarefas
+//
+// Uma tarefa recorrente carrega em task.recurrence a regra enviada pelo cliente
+// (frequency, interval, weekdays, until, count) e o estado da série, mantido
+// pelo servidor:
+//   - seriesId: id da primeira tarefa da série
+//   - occurrence: posição desta tarefa na série (1, 2, ...)
+//   - monthDay: dia do mês de referência das séries mensais (evita deriva após
+//     meses curtos: 31/01 -> 29/02 -> 31/03)
+//   - nextTaskId: próxima ocorrência, gerada quando esta é concluída
+//
+// A data de referência de cada ocorrência é o dueDate (ou createdAt, sem prazo).
+
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Janela máxima da listagem de próximas ocorrências
+const MAX_OCCURRENCE_RANGE_DAYS = 366;
+
+// Limites da listagem: ocorrências por tarefa e na resposta inteira
+const MAX_OCCURRENCES_PER_TASK = 400;
+const MAX_OCCURRENCES = 1000;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// weekdays: 0 (domingo) a 6 (sábado), obrigatório apenas nas semanais
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid(...FREQUENCIES).required(),
+  interval: Joi.number().integer().min(1).max(365).default(1),
+  weekdays: Joi.when('frequency', {
+    is: 'weekly',
+    then: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  until: Joi.date().iso().allow(null).default(null),
+  count: Joi.number().integer().min(1).allow(null).default(null)
+});
+
+// Intervalo da listagem de próximas ocorrências
+const occurrenceRangeSchema = Joi.object({
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().greater(Joi.ref('from')).required()
+}).custom((value, helpers) => (
+  value.to.getTime() - value.from.getTime() > MAX_OCCURRENCE_RANGE_DAYS * DAY
+    ? helpers.message(`O intervalo deve ter no máximo ${MAX_OCCURRENCE_RANGE_DAYS} dias`)
+    : value
+));
+
+const getAnchorDate = (task) => new Date(task.dueDate || task.createdAt);
+
+// Semanas contadas a partir de domingo (01/01/1970 foi uma quinta-feira)
+const weekIndex = (date) => Math.floor((Math.floor(date.getTime() / DAY) + 4) / 7);
+
+/**
+ * Data da ocorrência seguinte a current, pela regra
+ * @param {Object} recurrence
+ * @param {Date} current
+ * @returns {Date}
+ */
+function nextOccurrenceDate(recurrence, current) {
+  const { frequency, interval = 1, weekdays, monthDay } = recurrence;
+
+  if (frequency === 'daily') {
+    return new Date(current.getTime() + interval * DAY);
+  }
+
+  if (frequency === 'weekly') {
+    // Próximo dia da semana permitido, pulando as semanas fora do intervalo
+    for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+      const candidate = new Date(current.getTime() + offset * DAY);
+      if (weekdays.includes(candidate.getUTCDay()) && (weekIndex(candidate) - weekIndex(current)) % interval === 0) {
+        return candidate;
+      }
+    }
+  }
+
+  // Mensal: mesmo dia do mês, limitado ao último dia dos meses mais curtos
+  const next = new Date(current.getTime());
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + interval);
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(monthDay || current.getUTCDate(), lastDay));
+  return next;
+}
+
+// A ocorrência de número occurrence, na data informada, ainda pertence à série?
+const isWithinSeries = ({ until, count }, occurrence, date) => (
+  (count === null || count === undefined || occurrence <= count) &&
+  (!until || date <= new Date(until))
+);
+
+/**
+ * Regra com o estado da série, para gravar na tarefa. Uma regra nova enviada
+ * pelo cliente mantém a posição da tarefa na série e a próxima ocorrência já
+ * gerada; a regra de uma ocorrência gerada já traz o estado completo.
+ * @param {Object} rule - Validada por recurrenceSchema (ou copiada da ocorrência anterior)
+ * @param {Object} task - Tarefa que recebe a regra: id, dueDate/createdAt e a recorrência atual
+ * @returns {Object}
+ */
+function initRecurrence(rule, task) {
+  const previous = task.recurrence || {};
+  return {
+    ...rule,
+    seriesId: rule.seriesId || previous.seriesId || task.id,
+    occurrence: rule.occurrence || previous.occurrence || 1,
+    ...(previous.nextTaskId && { nextTaskId: previous.nextTaskId }),
+    ...(rule.frequency === 'monthly' && { monthDay: rule.monthDay || getAnchorDate(task).getUTCDate() })
+  };
+}
+
+/**
+ * Dados da próxima ocorrência de uma tarefa recorrente que acaba de ser
+ * concluída, ou null se a série terminou
+ * @param {Object} task - Estado após a conclusão
+ * @returns {?Object} Dados para createTask
+ */
+function buildNextOccurrence(task) {
+  const { recurrence } = task;
+  const anchor = getAnchorDate(task);
+  const dueDate = nextOccurrenceDate(recurrence, anchor);
+  const occurrence = recurrence.occurrence + 1;
+  if (!isWithinSeries(recurrence, occurrence, dueDate)) return null;
+
+  const { nextTaskId, ...rule } = recurrence;
+  return {
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    completed: false,
+    dueDate,
+    // O lembrete mantém a mesma antecedência em relação ao prazo
+    reminderAt: task.reminderAt ? new Date(dueDate.getTime() - (anchor.getTime() - new Date(task.reminderAt).getTime())) : null,
+    tags: task.tags || [],
+    checklist: (task.checklist || []).map(item => ({ ...item, id: uuidv4(), done: false, createdAt: new Date() })),
+    autoComplete: Boolean(task.autoComplete),
+    assigneeId: task.assigneeId || null,
+    shares: task.shares || [],
+    userId: task.userId,
+    recurrence: { ...rule, occurrence }
+  };
+}
+
+/**
+ * Ocorrência da série calculada diretamente (sem percorrer as anteriores):
+ * a última até from, ou a primeira de um período que começa até from. Assim a
+ * listagem só percorre as ocorrências do intervalo, por mais longe que from esteja.
+ * @param {Object} recurrence
+ * @param {Date} anchor - Data da ocorrência recurrence.occurrence
+ * @param {Date} from
+ * @returns {{date: Date, occurrence: number}}
+ */
+function skipTo(recurrence, anchor, from) {
+  const { frequency, interval = 1, weekdays, monthDay } = recurrence;
+  const start = { date: anchor, occurrence: recurrence.occurrence };
+  if (from <= anchor) return start;
+
+  if (frequency === 'daily') {
+    const steps = Math.floor((from - anchor) / (interval * DAY));
+    return { date: new Date(anchor.getTime() + steps * interval * DAY), occurrence: start.occurrence + steps };
+  }
+
+  if (frequency === 'weekly') {
+    // Última semana da série que começa até from
+    const steps = Math.floor((weekIndex(from) - weekIndex(anchor)) / interval);
+    if (steps === 0) return start;
+
+    // Semana da âncora (dias após ela) + semanas completas entre as duas
+    const skipped = weekdays.filter(weekday => weekday > anchor.getUTCDay()).length + (steps - 1) * weekdays.length;
+    const weekStart = (weekIndex(anchor) + steps * interval) * 7 - 4;
+    const timeOfDay = anchor.getTime() - Math.floor(anchor.getTime() / DAY) * DAY;
+    return {
+      date: new Date((weekStart + Math.min(...weekdays)) * DAY + timeOfDay),
+      occurrence: start.occurrence + skipped + 1
+    };
+  }
+
+  const months = (from.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + from.getUTCMonth() - anchor.getUTCMonth();
+  const steps = Math.floor(months / interval);
+  const date = new Date(anchor.getTime());
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + steps * interval);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(monthDay || anchor.getUTCDate(), lastDay));
+  return { date, occurrence: start.occurrence + steps };
+}
+
+/**
+ * Ocorrências da série a partir desta tarefa (inclusive) dentro do intervalo,
+ * até MAX_OCCURRENCES_PER_TASK
+ * @param {Object} task - Tarefa recorrente pendente
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{date: Date, occurrence: number}>}
+ */
+function listOccurrences(task, from, to) {
+  const { recurrence } = task;
+  const occurrences = [];
+
+  let { date, occurrence } = skipTo(recurrence, getAnchorDate(task), from);
+  // Após o salto, no máximo uma semana de ocorrências fica antes de from
+  for (let step = 0; step < MAX_OCCURRENCES_PER_TASK + 7; step++) {
+    if (date > to || !isWithinSeries(recurrence, occurrence, date)) break;
+    if (date >= from) {
+      occurrences.push({ date, occurrence });
+      if (occurrences.length === MAX_OCCURRENCES_PER_TASK) break;
+    }
+    date = nextOccurrenceDate(recurrence, date);
+    occurrence += 1;
+  }
+  return occurrences;
+}
+
+/**
+ * Próximas ocorrências das tarefas recorrentes pendentes, em ordem de data,
+ * até MAX_OCCURRENCES (truncated indica que havia mais)
+ * @param {Array<Object>} tasks - Tarefas visíveis ao usuário
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {{occurrences: Array<{task: Object, date: Date, occurrence: number}>, truncated: boolean}}
+ */
+function listUpcomingOccurrences(tasks, from, to) {
+  const occurrences = tasks
+    .filter(task => task.recurrence && !task.completed)
+    .flatMap(task => listOccurrences(task, from, to).map(item => ({ task, ...item })))
+    .sort((a, b) => a.date - b.date);
+
+  return {
+    occurrences: occurrences.slice(0, MAX_OCCURRENCES),
+    truncated: occurrences.length > MAX_OCCURRENCES
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCE_RANGE_DAYS,
+  MAX_OCCURRENCES_PER_TASK,
+  MAX_OCCURRENCES,
+  recurrenceSchema,
+  occurrenceRangeSchema,
+  nextOccurrenceDate,
+  initRecurrence,
+  buildNextOccurrence,
+  listOccurrences,
+  listUpcomingOccurrences
+};
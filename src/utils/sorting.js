@@ -0,0 +1,118 @@
+// Ordenação das listagens, compartilhada entre a API REST e o GraphQL
+//
+// Um critério é { field, order }; vários critérios desempatam em sequência.
+// Sem critérios a ordem original (de inserção) é mantida, e como o sort do
+// JavaScript é estável ela também desempata o último critério.
+
+const Joi = require('joi');
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+// low < medium < high, para que desc traga as mais urgentes primeiro
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+const compareText = (a, b) => (a || '').localeCompare(b || '', 'pt-BR', { sensitivity: 'base' });
+const compareDates = (a, b) => new Date(a).getTime() - new Date(b).getTime();
+
+// Campo -> { compare, optional }. Campos opcionais sem valor ficam no fim em qualquer ordem
+const TASK_SORT_FIELDS = {
+  createdAt: { compare: compareDates },
+  updatedAt: { compare: compareDates },
+  priority: { compare: (a, b) => PRIORITY_RANK[a] - PRIORITY_RANK[b] },
+  title: { compare: compareText },
+  dueDate: { compare: compareDates, optional: true }
+};
+
+const USER_SORT_FIELDS = {
+  createdAt: { compare: compareDates },
+  updatedAt: { compare: compareDates },
+  name: { compare: compareText },
+  email: { compare: compareText }
+};
+
+// Aceita valores separados por vírgula (?sortBy=priority,createdAt) ou o parâmetro repetido
+const splitList = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const sortQuerySchema = (fields) => Joi.object({
+  sortBy: Joi.array().items(Joi.string().valid(...Object.keys(fields))).unique().min(1),
+  order: Joi.array().items(Joi.string().lowercase().valid(...SORT_ORDERS)).min(1)
+}).custom((value, helpers) => {
+  const { sortBy = [], order = [] } = value;
+  if (sortBy.length > 0 && order.length > 1 && order.length !== sortBy.length) {
+    return helpers.message('"order" deve ter um único valor ou um valor para cada campo de "sortBy"');
+  }
+  return value;
+});
+
+/**
+ * Valida sortBy e order da query string e os converte em critérios
+ * Sem sortBy, order isolado ordena por createdAt
+ * @param {Object} query - req.query
+ * @param {Object} fields - TASK_SORT_FIELDS ou USER_SORT_FIELDS
+ * @returns {{error: (Joi.ValidationError|undefined), value: Array<{field: string, order: string}>}}
+ */
+function parseSortQuery(query, fields) {
+  const input = {};
+  if (query.sortBy !== undefined) input.sortBy = splitList(query.sortBy);
+  if (query.order !== undefined) input.order = splitList(query.order);
+
+  const { error, value } = sortQuerySchema(fields).validate(input);
+  if (error) return { error, value: [] };
+
+  const { sortBy, order = [] } = value;
+  if (!sortBy) {
+    return { value: order.length > 0 ? [{ field: 'createdAt', order: order[0] }] : [] };
+  }
+  return {
+    value: sortBy.map((field, index) => ({ field, order: order[order.length > 1 ? index : 0] || 'asc' }))
+  };
+}
+
+/**
+ * Compara dois registros pelos critérios, como um comparador de sort
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Array<{field: string, order: string}>} criteria
+ * @param {Object} fields - TASK_SORT_FIELDS ou USER_SORT_FIELDS
+ * @returns {number}
+ */
+function compareRecords(a, b, criteria, fields) {
+  for (const { field, order } of criteria) {
+    const { compare, optional } = fields[field];
+    const left = a[field];
+    const right = b[field];
+
+    if (optional && (left == null || right == null)) {
+      if (left == null && right == null) continue;
+      return left == null ? 1 : -1;
+    }
+
+    const result = compare(left, right);
+    if (result !== 0) return order === 'desc' ? -result : result;
+  }
+  return 0;
+}
+
+/**
+ * @param {Array<Object>} records
+ * @param {Array<{field: string, order: string}>} criteria
+ * @param {Object} fields - TASK_SORT_FIELDS ou USER_SORT_FIELDS
+ * @returns {Array<Object>} Nova lista ordenada
+ */
+function sortRecords(records, criteria, fields) {
+  if (!criteria || criteria.length === 0) return records;
+
+  return [...records].sort((a, b) => compareRecords(a, b, criteria, fields));
+}
+
+module.exports = {
+  SORT_ORDERS,
+  TASK_SORT_FIELDS,
+  USER_SORT_FIELDS,
+  parseSortQuery,
+  compareRecords,
+  sortRecords
+};
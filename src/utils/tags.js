@@ -0,0 +1,23 @@
+const Joi = require('joi');
+
+// Tags são normalizadas (sem espaços nas pontas, minúsculas) para que
+// "Urgente" e " urgente" sejam a mesma tag em filtros e no gerenciamento
+const tagSchema = Joi.string().trim().lowercase().min(1).max(50);
+
+// Lista de tags de uma tarefa; repetições são descartadas
+const tagsSchema = Joi.array()
+  .items(tagSchema)
+  .max(20)
+  .custom(tags => [...new Set(tags)]);
+
+// Tags separadas por vírgula na query string (?tags=casa,urgente)
+const parseTagList = (value) => value
+  .split(',')
+  .map(tag => tag.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  tagSchema,
+  tagsSchema,
+  parseTagList
+};
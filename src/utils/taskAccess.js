@@ -0,0 +1,56 @@
+// Níveis de acesso a uma tarefa, do menor para o maior:
+//   viewer - vê a tarefa, a checklist e os comentários, e pode comentar
+//   editor - também altera a tarefa e a checklist
+//   owner  - também deleta, restaura, atribui e compartilha
+// O dono (userId) e admins são owner; o responsável (assigneeId) é editor;
+// colaboradores têm o nível do compartilhamento (task.shares)
+const TASK_ROLES = ['viewer', 'editor', 'owner'];
+const SHARE_ROLES = ['viewer', 'editor'];
+
+/**
+ * Nível de acesso do usuário à tarefa
+ * @param {Object} task
+ * @param {{id: string, role?: string}} user
+ * @returns {'owner'|'editor'|'viewer'|null} null se o usuário não acessa a tarefa
+ */
+function getTaskRole(task, user) {
+  if (user.role === 'admin' || task.userId === user.id) return 'owner';
+
+  if (task.assigneeId === user.id) return 'editor';
+
+  const share = (task.shares || []).find(s => s.userId === user.id);
+  return share ? share.role : null;
+}
+
+/**
+ * Verifica se o usuário tem ao menos o nível informado
+ * @param {Object} task
+ * @param {{id: string, role?: string}} user
+ * @param {'viewer'|'editor'|'owner'} required
+ * @returns {boolean}
+ */
+function hasTaskRole(task, user, required) {
+  return TASK_ROLES.indexOf(getTaskRole(task, user)) >= TASK_ROLES.indexOf(required);
+}
+
+/**
+ * Tarefa como o usuário pode vê-la: os anexos ficam só para o dono ou admins,
+ * como no resolver Task.attachments
+ * @param {Object} task
+ * @param {{id: string, role?: string}} user
+ * @returns {Object}
+ */
+function toTaskView(task, user) {
+  if (hasTaskRole(task, user, 'owner')) return task;
+
+  const { attachments, ...view } = task;
+  return view;
+}
+
+module.exports = {
+  TASK_ROLES,
+  SHARE_ROLES,
+  getTaskRole,
+  hasTaskRole,
+  toTaskView
+};
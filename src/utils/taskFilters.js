@@ -0,0 +1,55 @@
+// Filtros de listagem de tarefas, compartilhados entre a API REST e o GraphQL
+// Os valores já chegam convertidos (booleanos, Date, prioridade em minúsculas)
+
+/**
+ * Uma tarefa está atrasada se tem prazo vencido e ainda não foi concluída
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isOverdue(task, now = new Date()) {
+  return Boolean(task.dueDate) && !task.completed && task.dueDate < now;
+}
+
+/**
+ * @param {Array<Object>} tasks
+ * @param {Object} filters
+ * @param {boolean} [filters.completed]
+ * @param {Array<string>} [filters.status] - Algum dos estados informados
+ * @param {string} [filters.priority] - low, medium ou high
+ * @param {Date} [filters.dueBefore] - Prazo até esta data (inclusive)
+ * @param {Date} [filters.dueAfter] - Prazo a partir desta data (inclusive)
+ * @param {boolean} [filters.overdue] - Apenas atrasadas (true) ou apenas não atrasadas (false)
+ * @param {Array<string>} [filters.tags] - Tags normalizadas
+ * @param {'any'|'all'} [filters.tagMatch='any'] - Exigir alguma ou todas as tags
+ * @param {Date} [now] - Referência para overdue
+ * @returns {Array<Object>}
+ */
+function filterTasks(tasks, { completed, status, priority, dueBefore, dueAfter, overdue, tags, tagMatch = 'any' } = {}, now = new Date()) {
+  return tasks.filter(task => {
+    if (completed !== undefined && completed !== null && task.completed !== completed) return false;
+    if (status && status.length > 0 && !status.includes(task.status)) return false;
+    if (priority && task.priority !== priority) return false;
+
+    // Filtros de prazo excluem tarefas sem dueDate
+    if (dueBefore && !(task.dueDate && task.dueDate <= dueBefore)) return false;
+    if (dueAfter && !(task.dueDate && task.dueDate >= dueAfter)) return false;
+
+    if (overdue !== undefined && overdue !== null && isOverdue(task, now) !== overdue) return false;
+
+    if (tags && tags.length > 0) {
+      const taskTags = task.tags || [];
+      const matches = tagMatch === 'all'
+        ? tags.every(tag => taskTags.includes(tag))
+        : tags.some(tag => taskTags.includes(tag));
+      if (!matches) return false;
+    }
+
+    return true;
+  });
+}
+
+module.exports = {
+  isOverdue,
+  filterTasks
+};
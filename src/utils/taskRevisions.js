@@ -0,0 +1,118 @@
+// Histórico de revisões das tarefas
+//
+// Cada criação ou alteração dos campos editáveis grava uma revisão na coleção
+// revisions, ligada à tarefa por taskId, com o autor, o momento, a versão
+// resultante da tarefa e os campos alterados com os valores antigo e novo.
+// As revisões ficam fora do registro da tarefa para não pesar nas respostas,
+// no journal e nos eventos; são lidas por StorageAdapter#getTaskRevisions.
+// Checklist, comentários e compartilhamentos têm registros próprios e não entram.
+// O responsável entra no histórico, mas um revert não o altera: a atribuição
+// exige ser dono da tarefa, e o revert está disponível a editores.
+
+const { isDeepStrictEqual } = require('util');
+const { v4: uuidv4 } = require('uuid');
+
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'status',
+  'completed',
+  'dueDate',
+  'reminderAt',
+  'tags',
+  'autoComplete',
+  'assigneeId',
+  'recurrence'
+];
+
+// Registrados no histórico, mas fora do estado restaurado por getStateAtVersion
+const NON_REVERTABLE_FIELDS = ['assigneeId'];
+
+const REVERTABLE_FIELDS = REVISION_FIELDS.filter(field => !NON_REVERTABLE_FIELDS.includes(field));
+
+// Revisões mais antigas que o limite são descartadas
+const MAX_REVISIONS = 100;
+
+const normalize = (value) => (value === undefined ? null : value);
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return isDeepStrictEqual(normalize(a), normalize(b));
+};
+
+/**
+ * Campos rastreados que mudam ao aplicar changes sobre task
+ * @param {Object} task - Estado atual ({} na criação)
+ * @param {Object} changes
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffTask(task, changes) {
+  return REVISION_FIELDS
+    .filter(field => field in changes && !isSameValue(task[field], changes[field]))
+    .map(field => ({ field, from: normalize(task[field]), to: normalize(changes[field]) }));
+}
+
+/**
+ * Revisão da alteração, ou null se nenhum campo rastreado mudou
+ * @param {Object} task - Estado atual ({} na criação)
+ * @param {Object} changes
+ * @param {Object} meta
+ * @param {number} meta.version - Versão da tarefa após a alteração
+ * @param {?{id: string}} meta.actor - Usuário da requisição
+ * @param {number} [meta.revertedTo] - Versão restaurada, quando a alteração é um revert
+ * @returns {?Object}
+ */
+function buildRevision(task, changes, { version, actor, revertedTo }) {
+  const diff = diffTask(task, changes);
+  if (diff.length === 0) return null;
+
+  return {
+    id: uuidv4(),
+    version,
+    actorId: actor ? actor.id : null,
+    timestamp: new Date(),
+    changes: diff,
+    ...(revertedTo !== undefined && { revertedTo })
+  };
+}
+
+/**
+ * Valores dos campos rastreados (exceto NON_REVERTABLE_FIELDS) como estavam na
+ * versão informada, desfazendo as revisões posteriores. Retorna null se a
+ * versão não está no histórico.
+ * @param {Object} task
+ * @param {Array<Object>} revisions - Revisões da tarefa, em ordem cronológica
+ * @param {number} version - Versão de uma das revisões
+ * @returns {?Object}
+ */
+function getStateAtVersion(task, revisions, version) {
+  if (!revisions.some(revision => revision.version === version)) return null;
+
+  const state = {};
+  REVERTABLE_FIELDS.forEach(field => {
+    state[field] = normalize(task[field]);
+  });
+
+  revisions
+    .filter(revision => revision.version > version)
+    .reverse()
+    .forEach(revision => {
+      revision.changes
+        .filter(({ field }) => field in state)
+        .forEach(({ field, from }) => {
+          state[field] = from;
+        });
+    });
+
+  return state;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  NON_REVERTABLE_FIELDS,
+  MAX_REVISIONS,
+  diffTask,
+  buildRevision,
+  getStateAtVersion
+};
@@ -0,0 +1,53 @@
+const Joi = require('joi');
+const { tagsSchema } = require('./tags');
+const { recurrenceSchema } = require('./recurrence');
+const { workflow } = require('../config/workflow');
+
+// Estados do fluxo configurado; status prevalece sobre completed quando ambos são enviados
+const statusSchema = Joi.string().valid(...workflow.states);
+
+// Status separados por vírgula na query string (?status=todo,in_progress)
+const statusListSchema = Joi.string().custom((value, helpers) => {
+  const statuses = [...new Set(value.split(',').map(status => status.trim()).filter(Boolean))];
+  const unknown = statuses.find(status => !workflow.states.includes(status));
+  if (unknown) {
+    return helpers.message(`"status" deve ser um dos estados: ${workflow.states.join(', ')}`);
+  }
+  return statuses;
+});
+
+// Schemas de criação e atualização de tarefas, compartilhados entre as rotas
+// individuais e as operações em lote (REST e GraphQL)
+// dueDate, reminderAt e recurrence são opcionais; null remove o valor
+const createTaskSchema = Joi.object({
+  title: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).optional().allow(''),
+  priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
+  completed: Joi.boolean().default(false),
+  status: statusSchema.optional(),
+  dueDate: Joi.date().iso().allow(null).optional(),
+  reminderAt: Joi.date().iso().allow(null).optional(),
+  tags: tagsSchema.default([]),
+  autoComplete: Joi.boolean().default(false),
+  recurrence: recurrenceSchema.allow(null).optional()
+});
+
+const updateTaskSchema = Joi.object({
+  title: Joi.string().min(1).max(200).optional(),
+  description: Joi.string().max(1000).optional().allow(''),
+  priority: Joi.string().valid('low', 'medium', 'high').optional(),
+  completed: Joi.boolean().optional(),
+  status: statusSchema.optional(),
+  dueDate: Joi.date().iso().allow(null).optional(),
+  reminderAt: Joi.date().iso().allow(null).optional(),
+  tags: tagsSchema.optional(),
+  autoComplete: Joi.boolean().optional(),
+  recurrence: recurrenceSchema.allow(null).optional()
+});
+
+module.exports = {
+  statusSchema,
+  statusListSchema,
+  createTaskSchema,
+  updateTaskSchema
+};
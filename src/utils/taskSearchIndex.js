@@ -0,0 +1,175 @@
+// Índice invertido em memória para busca textual em tarefas (título e descrição)
+//
+// Cada termo aponta para as tarefas que o contêm, com um peso que favorece o
+// título. O índice acompanha os eventos de domínio do banco (task.*) e é
+// reconstruído por completo apenas na primeira busca ou após um 'reset'.
+
+const TITLE_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+// Termo idêntico ao buscado vale mais que um termo que apenas começa com ele
+const EXACT_MATCH_BONUS = 2;
+
+/**
+ * Quebra um texto em termos normalizados: minúsculas, sem acentos,
+ * separados por qualquer caractere que não seja letra ou número
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Primeiro índice de sorted com valor >= value
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+class TaskSearchIndex {
+  /**
+   * @param {StorageAdapter} database - Fonte das tarefas e dos eventos de domínio
+   */
+  constructor(database) {
+    this.database = database;
+    // termo -> (taskId -> peso)
+    this.postings = new Map();
+    // taskId -> termos da tarefa, para remover ou reindexar
+    this.documents = new Map();
+    // Vocabulário ordenado para busca por prefixo, refeito apenas quando muda
+    this.vocabulary = null;
+    this.stale = true;
+
+    ['task.created', 'task.updated', 'task.restored'].forEach(type => {
+      database.on(type, event => this._onChange(() => this.add(event.after)));
+    });
+    ['task.deleted', 'task.purged'].forEach(type => {
+      database.on(type, event => this._onChange(() => this.remove(event.id)));
+    });
+    database.on('reset', () => {
+      this.stale = true;
+    });
+  }
+
+  // Um índice desatualizado ignora eventos: será reconstruído na próxima busca
+  _onChange(apply) {
+    if (!this.stale) apply();
+  }
+
+  rebuild() {
+    this.postings.clear();
+    this.documents.clear();
+    this.vocabulary = null;
+    this.database.getAllTasks().forEach(task => this.add(task));
+    this.stale = false;
+  }
+
+  add(task) {
+    this.remove(task.id);
+
+    const weights = new Map();
+    tokenize(task.title).forEach(term => weights.set(term, (weights.get(term) || 0) + TITLE_WEIGHT));
+    tokenize(task.description).forEach(term => weights.set(term, (weights.get(term) || 0) + DESCRIPTION_WEIGHT));
+
+    weights.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.vocabulary = null;
+      }
+      this.postings.get(term).set(task.id, weight);
+    });
+    this.documents.set(task.id, [...weights.keys()]);
+  }
+
+  remove(taskId) {
+    const terms = this.documents.get(taskId);
+    if (!terms) return;
+
+    terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(taskId);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.vocabulary = null;
+      }
+    });
+    this.documents.delete(taskId);
+  }
+
+  // Termos do índice que começam com o prefixo
+  _expand(prefix) {
+    if (!this.vocabulary) {
+      this.vocabulary = [...this.postings.keys()].sort();
+    }
+
+    const terms = [];
+    for (let i = lowerBound(this.vocabulary, prefix); i < this.vocabulary.length; i++) {
+      if (!this.vocabulary[i].startsWith(prefix)) break;
+      terms.push(this.vocabulary[i]);
+    }
+    return terms;
+  }
+
+  /**
+   * Busca tarefas que contenham todos os termos da consulta (cada termo casa
+   * por prefixo). A relevância soma, por termo, o peso da ocorrência (título
+   * vale mais que descrição) ponderado pela raridade do termo (idf).
+   *
+   * Não aplica regras de visibilidade: quem chama filtra pelo usuário.
+   *
+   * @param {string} query
+   * @returns {Array<{id: string, score: number}>} Da mais para a menos relevante
+   */
+  search(query) {
+    if (this.stale) this.rebuild();
+
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const total = this.documents.size;
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+      this._expand(queryTerm).forEach(term => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + total / posting.size);
+        const bonus = term === queryTerm ? EXACT_MATCH_BONUS : 1;
+        posting.forEach((weight, id) => {
+          termScores.set(id, (termScores.get(id) || 0) + weight * idf * bonus);
+        });
+      });
+
+      // Todos os termos precisam casar: soma apenas nas tarefas que casaram com os anteriores
+      if (scores) {
+        const combined = new Map();
+        termScores.forEach((score, id) => {
+          if (scores.has(id)) combined.set(id, scores.get(id) + score);
+        });
+        scores = combined;
+      } else {
+        scores = termScores;
+      }
+      if (scores.size === 0) break;
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  }
+}
+
+module.exports = {
+  tokenize,
+  TaskSearchIndex
+};
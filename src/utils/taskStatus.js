@@ -0,0 +1,78 @@
+// Status das tarefas segundo um fluxo configurado (ver src/config/workflow.js)
+//
+// completed continua existindo como campo derivado: true no estado final do
+// fluxo. Clientes que ainda enviam apenas completed movem a tarefa para o
+// estado final (true) ou a reabrem no estado inicial (false).
+
+// Tarefas anteriores ao fluxo de status não têm o campo
+const getStatus = (workflow, task) => task.status || (task.completed ? workflow.done : workflow.initial);
+
+const isDoneStatus = (workflow, status) => status === workflow.done;
+
+const getAllowedTransitions = (workflow, status) => workflow.transitions[status] || [];
+
+// Estados fora do fluxo atual (ex.: removidos da configuração) podem ir para qualquer estado
+const canTransition = (workflow, from, to) => (
+  from === to ||
+  !workflow.states.includes(from) ||
+  getAllowedTransitions(workflow, from).includes(to)
+);
+
+/**
+ * Status resultante de uma alteração. Uma mudança explícita de status
+ * prevalece sobre completed; sem ela, completed leva ao estado final ou de
+ * volta ao inicial.
+ * @param {Object} workflow
+ * @param {Object} task - Estado atual ({} na criação)
+ * @param {{status?: string, completed?: boolean}} changes
+ * @returns {string}
+ */
+function resolveStatus(workflow, task, { status, completed }) {
+  const current = getStatus(workflow, task);
+  if (status !== undefined && status !== null && status !== current) return status;
+  if (completed === true && !isDoneStatus(workflow, current)) return workflow.done;
+  if (completed === false && isDoneStatus(workflow, current)) return workflow.initial;
+  return current;
+}
+
+/**
+ * Alterações com status e completed consistentes entre si
+ * @param {Object} workflow
+ * @param {Object} task - Estado atual ({} na criação)
+ * @param {Object} changes
+ * @returns {Object}
+ */
+function applyStatus(workflow, task, changes) {
+  const status = resolveStatus(workflow, task, changes);
+  return { ...changes, status, completed: isDoneStatus(workflow, status) };
+}
+
+/**
+ * Verifica se a alteração respeita as transições do fluxo
+ * @param {Object} workflow
+ * @param {Object} task - Estado atual
+ * @param {Object} changes
+ * @returns {?{message: string, from: string, to: string, allowed: Array<string>}} null se permitida
+ */
+function checkStatusTransition(workflow, task, changes) {
+  const from = getStatus(workflow, task);
+  const to = resolveStatus(workflow, task, changes);
+  if (canTransition(workflow, from, to)) return null;
+
+  return {
+    message: `Transição de status não permitida: ${from} -> ${to}`,
+    from,
+    to,
+    allowed: getAllowedTransitions(workflow, from)
+  };
+}
+
+module.exports = {
+  getStatus,
+  isDoneStatus,
+  getAllowedTransitions,
+  canTransition,
+  resolveStatus,
+  applyStatus,
+  checkStatusTransition
+};
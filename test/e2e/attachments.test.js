@@ -0,0 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const attachmentStore = require('../../src/config/attachmentStore');
+const { MAX_ATTACHMENTS_PER_TASK } = require('../../src/utils/attachments');
+const { createApp } = require('../../src/server');
+
+describe('Attachments E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let originalDirectory;
+  let ownerToken;
+  let adminToken;
+  let editorToken;
+  let taskId;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+
+    originalDirectory = attachmentStore.directory;
+    attachmentStore.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const ownerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    ownerToken = ownerLogin.body.data.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'admin123' });
+    adminToken = adminLogin.body.data.token;
+
+    const editor = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Editora', email: 'editora@test.com', password: 'editora123' });
+    editorToken = editor.body.data.token;
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ title: 'Contrato' })
+      .expect(201);
+    taskId = task.body.data.task.id;
+
+    await request(app)
+      .put(`/api/tasks/${taskId}/shares/${editor.body.data.user.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ role: 'editor' })
+      .expect(200);
+  });
+
+  afterEach(() => {
+    delete process.env.ATTACHMENT_MAX_SIZE;
+  });
+
+  after(async () => {
+    fs.rmSync(attachmentStore.directory, { recursive: true, force: true });
+    attachmentStore.directory = originalDirectory;
+
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const upload = (content, options = { filename: 'nota.txt', contentType: 'text/plain' }, token = ownerToken) => request(app)
+    .post(`/api/tasks/${taskId}/attachments`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(content), options);
+
+  describe('REST API', () => {
+    it('deve enviar, listar, baixar e remover um anexo', async () => {
+      const created = await upload('conteúdo do anexo').expect(201);
+      const { attachment } = created.body.data;
+      expect(attachment).to.include({ filename: 'nota.txt', mimeType: 'text/plain', size: Buffer.byteLength('conteúdo do anexo') });
+
+      const list = await request(app)
+        .get(`/api/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.attachments.map(a => a.id)).to.deep.equal([attachment.id]);
+
+      const download = await request(app)
+        .get(`/api/tasks/${taskId}/attachments/${attachment.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+      expect(download.headers['content-type']).to.match(/^text\/plain/);
+      expect(download.headers['content-disposition']).to.include('nota.txt');
+      expect(download.body.toString()).to.equal('conteúdo do anexo');
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/attachments/${attachment.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      expect(fs.existsSync(attachmentStore.getPath(taskId, attachment.id))).to.be.false;
+
+      await request(app)
+        .get(`/api/tasks/${taskId}/attachments/${attachment.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+    });
+
+    it('deve permitir apenas o dono da tarefa ou admin', async () => {
+      const response = await upload('editor', undefined, editorToken).expect(403);
+      expect(response.body.error.code).to.equal('ACCESS_DENIED');
+
+      await request(app)
+        .get(`/api/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+
+      await upload('admin', undefined, adminToken).expect(201);
+    });
+
+    it('deve omitir os anexos da tarefa para quem não é dono nem admin', async () => {
+      await upload('privado').expect(201);
+
+      const task = await request(app)
+        .get(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+      expect(task.body.data.task).to.not.have.property('attachments');
+
+      const list = await request(app)
+        .get('/api/tasks')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+      expect(list.body.data.tasks.find(t => t.id === taskId)).to.not.have.property('attachments');
+
+      const updated = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ title: 'Contrato revisado' })
+        .expect(200);
+      expect(updated.body.data.task).to.not.have.property('attachments');
+
+      const search = await request(app)
+        .get('/api/tasks/search?q=contrato')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+      expect(search.body.data.results[0].task).to.not.have.property('attachments');
+
+      const owned = await request(app)
+        .get(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      expect(owned.body.data.task.attachments).to.have.lengthOf(1);
+    });
+
+    it('deve rejeitar tipos não permitidos', async () => {
+      const response = await upload('MZ', { filename: 'programa.exe', contentType: 'application/x-msdownload' }).expect(415);
+      expect(response.body.error.code).to.equal('UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    it('deve rejeitar arquivos acima do limite sem deixá-los em disco', async () => {
+      process.env.ATTACHMENT_MAX_SIZE = '16';
+
+      const response = await upload('x'.repeat(64)).expect(413);
+      expect(response.body.error.code).to.equal('FILE_TOO_LARGE');
+      expect(fs.readdirSync(attachmentStore.getUploadDir())).to.be.empty;
+    });
+
+    it('deve conferir o limite de anexos de novo ao final do upload', async () => {
+      const owner = database.getUserByEmail('user@test.com');
+      for (let i = 1; i < MAX_ATTACHMENTS_PER_TASK; i++) {
+        database.addAttachment(taskId, { userId: owner.id, filename: `${i}.txt`, mimeType: 'text/plain', size: 1 });
+      }
+
+      // Os dois uploads passam pela verificação inicial; só um cabe no limite
+      const responses = await Promise.all([upload('primeiro'), upload('segundo')]);
+      expect(responses.map(response => response.status).sort()).to.deep.equal([201, 400]);
+      expect(responses.find(response => response.status === 400).body.error.code).to.equal('ATTACHMENT_LIMIT_REACHED');
+
+      expect(database.getTaskById(taskId).attachments).to.have.lengthOf(MAX_ATTACHMENTS_PER_TASK);
+      expect(fs.readdirSync(attachmentStore.getUploadDir())).to.be.empty;
+      expect(fs.readdirSync(path.join(attachmentStore.directory, taskId))).to.have.lengthOf(1);
+    });
+
+    it('deve apagar os arquivos sem anexo quando o banco é resetado', async () => {
+      const created = await upload('antes do reset').expect(201);
+      const { attachment } = created.body.data;
+
+      database.reset();
+      expect(fs.existsSync(attachmentStore.getPath(taskId, attachment.id))).to.be.false;
+    });
+
+    it('não deve apagar arquivos quando o clear é desfeito', async () => {
+      const created = await upload('antes do rollback').expect(201);
+      const { attachment } = created.body.data;
+
+      expect(() => database.transaction(db => {
+        db.clear();
+        throw new Error('Falha após o clear');
+      })).to.throw('Falha após o clear');
+
+      expect(database.getTaskById(taskId).attachments.map(item => item.id)).to.deep.equal([attachment.id]);
+      expect(fs.existsSync(attachmentStore.getPath(taskId, attachment.id))).to.be.true;
+    });
+
+    it('deve exigir o arquivo em multipart/form-data', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ file: 'texto' })
+        .expect(400);
+      expect(response.body.error.code).to.equal('VALIDATION_ERROR');
+    });
+
+    it('deve apagar os arquivos ao remover a tarefa definitivamente', async () => {
+      const created = await upload('temporário').expect(201);
+      const { attachment } = created.body.data;
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      expect(fs.existsSync(attachmentStore.getPath(taskId, attachment.id))).to.be.true;
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/purge`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      expect(fs.existsSync(attachmentStore.getPath(taskId, attachment.id))).to.be.false;
+    });
+  });
+
+  describe('GraphQL API', () => {
+    const query = `
+      query($id: ID!) {
+        task(id: $id) {
+          attachments { id filename mimeType size url uploadedBy { email } }
+        }
+      }
+    `;
+
+    it('deve expor os metadados dos anexos ao dono', async () => {
+      const created = await upload('{"a":1}', { filename: 'dados.json', contentType: 'application/json' }).expect(201);
+      const { attachment } = created.body.data;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ query, variables: { id: taskId } })
+        .expect(200);
+
+      expect(response.body.data.task.attachments).to.deep.equal([{
+        id: attachment.id,
+        filename: 'dados.json',
+        mimeType: 'application/json',
+        size: 7,
+        url: `/api/tasks/${taskId}/attachments/${attachment.id}`,
+        uploadedBy: { email: 'user@test.com' }
+      }]);
+    });
+
+    it('deve ocultar os anexos de quem não é dono nem admin', async () => {
+      await upload('privado').expect(201);
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ query, variables: { id: taskId } })
+        .expect(200);
+
+      expect(response.body.data.task.attachments).to.be.null;
+    });
+  });
+});
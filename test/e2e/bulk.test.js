@@ -0,0 +1,187 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Bulk Operations E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let userToken;
+  let adminToken;
+  let taskId;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    userToken = userLogin.body.data.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'admin123' });
+    adminToken = adminLogin.body.data.token;
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Tarefa do admin' })
+      .expect(201);
+    taskId = task.body.data.task.id;
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const bulk = (body, token = userToken) => request(app)
+    .post('/api/tasks/bulk')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  describe('REST API', () => {
+    it('deve criar muitas tarefas em uma única requisição', async () => {
+      const operations = Array.from({ length: 500 }, (_, index) => ({ op: 'create', data: { title: `Carga ${index}` } }));
+
+      const response = await bulk({ operations }).expect(200);
+
+      expect(response.body.data.summary).to.deep.equal({ total: 500, succeeded: 500, failed: 0 });
+      expect(response.body.data.results[499].task).to.include({ title: 'Carga 499', priority: 'medium' });
+
+      const list = await request(app)
+        .get('/api/tasks/my')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(list.body.data.count).to.be.at.least(500);
+    });
+
+    it('deve reportar o resultado de cada operação', async () => {
+      const created = await bulk({ operations: [{ op: 'create', data: { title: 'Minha' } }] }).expect(200);
+      const ownId = created.body.data.results[0].id;
+
+      const response = await bulk({
+        operations: [
+          { op: 'update', id: ownId, data: { completed: true } },
+          { op: 'update', id: taskId, data: { title: 'Invasão' } },
+          { op: 'delete', id: taskId },
+          { op: 'create', data: { title: '' } },
+          { op: 'delete', id: ownId }
+        ]
+      }).expect(200);
+
+      const { results, summary } = response.body.data;
+      expect(summary).to.deep.equal({ total: 5, succeeded: 2, failed: 3 });
+      expect(results.map(result => result.success)).to.deep.equal([true, false, false, false, true]);
+      expect(results[1].error.code).to.equal('ACCESS_DENIED');
+      expect(results[2].error.code).to.equal('ACCESS_DENIED');
+      expect(results[3].error).to.include({ code: 'VALIDATION_ERROR' });
+      expect(results[3].error.details).to.be.an('array').that.is.not.empty;
+
+      await request(app)
+        .get(`/api/tasks/${ownId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+
+    it('deve permitir que admins operem em tarefas de outros usuários', async () => {
+      const created = await bulk({ operations: [{ op: 'create', data: { title: 'Do usuário' } }] }).expect(200);
+
+      const response = await bulk({
+        operations: [{ op: 'update', id: created.body.data.results[0].id, data: { priority: 'high' } }]
+      }, adminToken).expect(200);
+
+      expect(response.body.data.results[0].task.priority).to.equal('high');
+    });
+
+    it('não deve aplicar nada em um lote atômico com falha', async () => {
+      const response = await bulk({
+        atomic: true,
+        operations: [
+          { op: 'create', data: { title: 'Nunca existirá' } },
+          { op: 'delete', id: taskId }
+        ]
+      }).expect(400);
+
+      expect(response.body.error.code).to.equal('BULK_ABORTED');
+      expect(response.body.error.results.map(result => result.error.code)).to.deep.equal(['ROLLED_BACK', 'ACCESS_DENIED']);
+
+      const list = await request(app)
+        .get('/api/tasks/my')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(list.body.data.tasks.map(task => task.title)).to.not.include('Nunca existirá');
+    });
+
+    it('deve validar o formato do lote', async () => {
+      const response = await bulk({ operations: [{ op: 'move', id: taskId }] }).expect(400);
+      expect(response.body.error.code).to.equal('VALIDATION_ERROR');
+
+      await bulk({ operations: [] }).expect(400);
+      await bulk({ operations: Array.from({ length: 501 }, () => ({ op: 'delete', id: taskId })) }).expect(400);
+    });
+  });
+
+  describe('GraphQL API', () => {
+    const graphql = (query, variables, token = userToken) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    const RESULT_FIELDS = 'applied succeeded failed results { index success id task { id title completed } error { code } }';
+
+    it('deve criar, atualizar e deletar em lote', async () => {
+      const created = await graphql(`
+        mutation { bulkCreateTasks(inputs: [{ title: "Um", priority: HIGH }, { title: "Dois" }]) { ${RESULT_FIELDS} } }
+      `);
+      expect(created.body.errors).to.be.undefined;
+      const payload = created.body.data.bulkCreateTasks;
+      expect(payload).to.include({ applied: true, succeeded: 2, failed: 0 });
+      expect(payload.results[0].task.title).to.equal('Um');
+      expect(database.getTaskById(payload.results[0].id).priority).to.equal('high');
+      const ids = payload.results.map(result => result.id);
+
+      const updated = await graphql(`
+        mutation Update($updates: [BulkUpdateTaskInput!]!) { bulkUpdateTasks(updates: $updates) { ${RESULT_FIELDS} } }
+      `, { updates: [{ id: ids[0], input: { completed: true } }, { id: taskId, input: { title: 'Invasão' } }] });
+      expect(updated.body.data.bulkUpdateTasks.results[0].task.completed).to.be.true;
+      expect(updated.body.data.bulkUpdateTasks.results[1].error.code).to.equal('ACCESS_DENIED');
+
+      const deleted = await graphql(`
+        mutation Delete($ids: [ID!]!) { bulkDeleteTasks(ids: $ids) { ${RESULT_FIELDS} } }
+      `, { ids });
+      expect(deleted.body.data.bulkDeleteTasks).to.include({ succeeded: 2, failed: 0 });
+    });
+
+    it('deve desfazer o lote atômico com falha', async () => {
+      const response = await graphql(`
+        mutation Delete($ids: [ID!]!) { bulkDeleteTasks(ids: $ids, atomic: true) { ${RESULT_FIELDS} } }
+      `, { ids: [taskId] }, adminToken);
+      expect(response.body.data.bulkDeleteTasks).to.include({ applied: true, succeeded: 1 });
+
+      const aborted = await graphql(`
+        mutation { bulkCreateTasks(inputs: [{ title: "Ok" }, { title: "" }], atomic: true) { ${RESULT_FIELDS} } }
+      `);
+      expect(aborted.body.data.bulkCreateTasks).to.include({ applied: false, succeeded: 0, failed: 2 });
+      expect(aborted.body.data.bulkCreateTasks.results.map(result => result.error.code)).to.deep.equal(['ROLLED_BACK', 'VALIDATION_ERROR']);
+    });
+
+    it('deve exigir autenticação', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: 'mutation { bulkDeleteTasks(ids: ["x"]) { applied } }' })
+        .expect(200);
+
+      expect(response.body.errors[0].extensions.code).to.equal('UNAUTHENTICATED');
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Checklist E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let userToken;
+  let adminToken;
+  let otherToken;
+  let taskId;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    userToken = userLogin.body.data.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'admin123' });
+    adminToken = adminLogin.body.data.token;
+
+    const otherRegister = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Outro Usuário', email: 'outro@test.com', password: 'outro123' });
+    otherToken = otherRegister.body.data.token;
+
+    const taskResponse = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Mudança de casa', autoComplete: true })
+      .expect(201);
+    taskId = taskResponse.body.data.task.id;
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const addItem = (title, extra = {}) => request(app)
+    .post(`/api/tasks/${taskId}/checklist`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ title, ...extra })
+    .expect(201);
+
+  describe('REST API', () => {
+    it('deve adicionar itens no fim ou na posição informada', async () => {
+      await addItem('Embalar livros');
+      await addItem('Contratar frete');
+      const response = await addItem('Separar caixas', { position: 0 });
+
+      expect(response.body.data.item).to.include({ title: 'Separar caixas', done: false });
+      expect(response.body.data.progress).to.deep.equal({ done: 0, total: 3 });
+
+      const checklist = await request(app)
+        .get(`/api/tasks/${taskId}/checklist`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(checklist.body.data.checklist.map(item => item.title))
+        .to.deep.equal(['Separar caixas', 'Embalar livros', 'Contratar frete']);
+    });
+
+    it('deve reordenar apenas com a lista completa de itens', async () => {
+      const first = (await addItem('Primeiro')).body.data.item;
+      const second = (await addItem('Segundo')).body.data.item;
+
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}/checklist/order`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ itemIds: [second.id, first.id] })
+        .expect(200);
+      expect(response.body.data.task.checklist.map(item => item.id)).to.deep.equal([second.id, first.id]);
+
+      const invalid = await request(app)
+        .put(`/api/tasks/${taskId}/checklist/order`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ itemIds: [second.id, second.id] })
+        .expect(400);
+      expect(invalid.body.error).to.have.property('code', 'INVALID_CHECKLIST_ORDER');
+    });
+
+    it('deve concluir a tarefa ao marcar todos os itens com autoComplete', async () => {
+      const first = (await addItem('Primeiro')).body.data.item;
+      const second = (await addItem('Segundo')).body.data.item;
+
+      const partial = await request(app)
+        .put(`/api/tasks/${taskId}/checklist/${first.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ done: true })
+        .expect(200);
+      expect(partial.body.data.progress).to.deep.equal({ done: 1, total: 2 });
+      expect(partial.body.data.task.completed).to.be.false;
+
+      const complete = await request(app)
+        .put(`/api/tasks/${taskId}/checklist/${second.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ done: true })
+        .expect(200);
+      expect(complete.body.data.progress).to.deep.equal({ done: 2, total: 2 });
+      expect(complete.body.data.task.completed).to.be.true;
+    });
+
+    it('não deve concluir a tarefa sem autoComplete', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ autoComplete: false })
+        .expect(200);
+      const item = (await addItem('Único')).body.data.item;
+
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}/checklist/${item.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ done: true })
+        .expect(200);
+      expect(response.body.data.task.completed).to.be.false;
+    });
+
+    it('não deve concluir a tarefa se o fluxo não permitir a transição', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'blocked' })
+        .expect(200);
+      const item = (await addItem('Único')).body.data.item;
+
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}/checklist/${item.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ done: true })
+        .expect(200);
+      expect(response.body.data.task).to.include({ status: 'blocked', completed: false });
+      expect(response.body.data.progress).to.deep.equal({ done: 1, total: 1 });
+    });
+
+    it('deve remover itens e retornar 404 para item inexistente', async () => {
+      const item = (await addItem('Remover')).body.data.item;
+
+      const response = await request(app)
+        .delete(`/api/tasks/${taskId}/checklist/${item.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(response.body.data.progress).to.deep.equal({ done: 0, total: 0 });
+
+      const missing = await request(app)
+        .delete(`/api/tasks/${taskId}/checklist/${item.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+      expect(missing.body.error).to.have.property('code', 'CHECKLIST_ITEM_NOT_FOUND');
+    });
+
+    it('deve permitir acesso apenas ao dono ou admin', async () => {
+      await request(app)
+        .post(`/api/tasks/${taskId}/checklist`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ title: 'Intruso' })
+        .expect(403);
+
+      await request(app)
+        .post(`/api/tasks/${taskId}/checklist`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Do admin' })
+        .expect(201);
+    });
+
+    it('deve validar os dados do item', async () => {
+      await request(app)
+        .post(`/api/tasks/${taskId}/checklist`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: '   ' })
+        .expect(400);
+    });
+  });
+
+  describe('GraphQL', () => {
+    const graphql = (query, variables, token = userToken) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    it('deve gerenciar a checklist e expor o progresso', async () => {
+      const added = await graphql(`
+        mutation Add($taskId: ID!) {
+          first: addChecklistItem(taskId: $taskId, title: "Primeiro") { id }
+          second: addChecklistItem(taskId: $taskId, title: "Segundo", position: 0) {
+            checklist { id title done }
+            progress { done total }
+          }
+        }
+      `, { taskId });
+
+      const [second, first] = added.body.data.second.checklist;
+      expect([second.title, first.title]).to.deep.equal(['Segundo', 'Primeiro']);
+      expect(added.body.data.second.progress).to.deep.equal({ done: 0, total: 2 });
+
+      const updated = await graphql(`
+        mutation Update($taskId: ID!, $first: ID!, $second: ID!) {
+          reorderChecklist(taskId: $taskId, itemIds: [$first, $second]) { id }
+          checkFirst: updateChecklistItem(taskId: $taskId, itemId: $first, done: true) { completed }
+          checkSecond: updateChecklistItem(taskId: $taskId, itemId: $second, done: true) {
+            completed
+            checklist { title }
+            progress { done total }
+          }
+        }
+      `, { taskId, first: first.id, second: second.id });
+
+      expect(updated.body.data.checkFirst.completed).to.be.false;
+      expect(updated.body.data.checkSecond).to.deep.equal({
+        completed: true,
+        checklist: [{ title: 'Primeiro' }, { title: 'Segundo' }],
+        progress: { done: 2, total: 2 }
+      });
+
+      const removed = await graphql(`
+        mutation Remove($taskId: ID!, $itemId: ID!) {
+          removeChecklistItem(taskId: $taskId, itemId: $itemId) { progress { done total } }
+        }
+      `, { taskId, itemId: first.id });
+      expect(removed.body.data.removeChecklistItem.progress).to.deep.equal({ done: 1, total: 1 });
+    });
+
+    it('deve negar acesso a tarefa de outro usuário', async () => {
+      const response = await graphql(`
+        mutation Add($taskId: ID!) {
+          addChecklistItem(taskId: $taskId, title: "Intruso") { id }
+        }
+      `, { taskId }, otherToken);
+
+      expect(response.body.errors[0].extensions.code).to.equal('FORBIDDEN');
+    });
+  });
+});
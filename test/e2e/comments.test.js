@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Comments E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let userToken;
+  let adminToken;
+  let otherToken;
+  let userId;
+  let taskId;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    userToken = userLogin.body.data.token;
+    userId = userLogin.body.data.user.id;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'admin123' });
+    adminToken = adminLogin.body.data.token;
+
+    const otherRegister = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Outro Usuário', email: 'outro@test.com', password: 'outro123' });
+    otherToken = otherRegister.body.data.token;
+
+    [taskId] = database.getTasksByUserId(userId).map(task => task.id);
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const comment = (token, text) => request(app)
+    .post(`/api/tasks/${taskId}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ text });
+
+  describe('REST API', () => {
+    it('deve comentar e listar comentários em ordem de criação', async () => {
+      const created = await comment(userToken, '  Primeiro comentário  ').expect(201);
+      expect(created.body.data.comment).to.include({ text: 'Primeiro comentário', userId });
+
+      await comment(adminToken, 'Resposta do admin').expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(response.body.data.comments.map(c => c.text)).to.deep.equal(['Primeiro comentário', 'Resposta do admin']);
+    });
+
+    it('deve negar comentários de quem não acessa a tarefa', async () => {
+      await comment(otherToken, 'Intruso').expect(403);
+
+      await request(app)
+        .get(`/api/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    it('deve permitir editar apenas os próprios comentários', async () => {
+      const own = (await comment(userToken, 'Meu comentário').expect(201)).body.data.comment;
+      const admins = (await comment(adminToken, 'Do admin').expect(201)).body.data.comment;
+
+      const edited = await request(app)
+        .put(`/api/tasks/${taskId}/comments/${own.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ text: 'Comentário editado' })
+        .expect(200);
+      expect(edited.body.data.comment).to.include({ id: own.id, text: 'Comentário editado' });
+
+      await request(app)
+        .put(`/api/tasks/${taskId}/comments/${admins.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ text: 'Alterando o do admin' })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/tasks/${taskId}/comments/${own.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ text: 'Admin também não edita' })
+        .expect(403);
+    });
+
+    it('deve permitir remover ao autor ou admin', async () => {
+      const own = (await comment(userToken, 'Meu comentário').expect(201)).body.data.comment;
+      const admins = (await comment(adminToken, 'Do admin').expect(201)).body.data.comment;
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/comments/${admins.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/comments/${own.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const missing = await request(app)
+        .delete(`/api/tasks/${taskId}/comments/${own.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+      expect(missing.body.error).to.have.property('code', 'COMMENT_NOT_FOUND');
+    });
+
+    it('deve validar o texto do comentário', async () => {
+      await comment(userToken, '   ').expect(400);
+    });
+  });
+
+  describe('GraphQL', () => {
+    const graphql = (query, variables, token = userToken) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    it('deve comentar, editar, remover e expor Task.comments', async () => {
+      const added = await graphql(`
+        mutation Add($taskId: ID!) {
+          addComment(taskId: $taskId, text: "Via GraphQL") { id text author { email } }
+        }
+      `, { taskId });
+      const { id: commentId, ...created } = added.body.data.addComment;
+      expect(created).to.deep.equal({ text: 'Via GraphQL', author: { email: 'user@test.com' } });
+
+      const forbidden = await graphql(`
+        mutation Edit($taskId: ID!, $commentId: ID!) {
+          editComment(taskId: $taskId, commentId: $commentId, text: "Pelo admin") { id }
+        }
+      `, { taskId, commentId }, adminToken);
+      expect(forbidden.body.errors[0].extensions.code).to.equal('FORBIDDEN');
+
+      const edited = await graphql(`
+        mutation Edit($taskId: ID!, $commentId: ID!) {
+          editComment(taskId: $taskId, commentId: $commentId, text: "Editado") { text }
+        }
+      `, { taskId, commentId });
+      expect(edited.body.data.editComment.text).to.equal('Editado');
+
+      const task = await graphql(`
+        query Task($id: ID!) { task(id: $id) { comments { id text } } }
+      `, { id: taskId });
+      expect(task.body.data.task.comments).to.deep.equal([{ id: commentId, text: 'Editado' }]);
+
+      const deleted = await graphql(`
+        mutation Delete($taskId: ID!, $commentId: ID!) {
+          deleteComment(taskId: $taskId, commentId: $commentId)
+        }
+      `, { taskId, commentId }, adminToken);
+      expect(deleted.body.data.deleteComment).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('History E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let ownerToken;
+  let ownerId;
+  let editorToken;
+  let editorId;
+  let outsiderToken;
+  let taskId;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const ownerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    ownerToken = ownerLogin.body.data.token;
+    ownerId = ownerLogin.body.data.user.id;
+
+    const editor = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Editora', email: 'editora@test.com', password: 'editora123' });
+    editorToken = editor.body.data.token;
+    editorId = editor.body.data.user.id;
+
+    const outsider = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Outro Usuário', email: 'outro@test.com', password: 'outro123' });
+    outsiderToken = outsider.body.data.token;
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ title: 'Relatório', priority: 'low' })
+      .expect(201);
+    taskId = task.body.data.task.id;
+
+    await request(app)
+      .put(`/api/tasks/${taskId}/shares/${editorId}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ role: 'editor' })
+      .expect(200);
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const update = (data, token = ownerToken) => request(app)
+    .put(`/api/tasks/${taskId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data)
+    .expect(200);
+
+  const history = (token = ownerToken) => request(app)
+    .get(`/api/tasks/${taskId}/history`)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('REST API', () => {
+    it('deve registrar quem alterou o quê, mais recente primeiro', async () => {
+      await update({ title: 'Relatório final', priority: 'high' }, editorToken);
+      const updated = await update({ completed: true });
+      expect(updated.body.data.task).to.not.have.property('revisions');
+
+      const response = await history().expect(200);
+      const { revisions, count } = response.body.data;
+
+      expect(count).to.equal(3);
+      expect(revisions.map(revision => revision.actorId)).to.deep.equal([ownerId, editorId, ownerId]);
+      expect(revisions[0].changes).to.deep.equal([
+        { field: 'status', from: 'todo', to: 'done' },
+        { field: 'completed', from: false, to: true }
+      ]);
+      expect(revisions[1].changes).to.deep.equal([
+        { field: 'title', from: 'Relatório', to: 'Relatório final' },
+        { field: 'priority', from: 'low', to: 'high' }
+      ]);
+      expect(revisions[2].version).to.equal(1);
+    });
+
+    it('deve reverter a tarefa para uma revisão anterior', async () => {
+      await update({ title: 'Versão errada', dueDate: '2030-01-01T00:00:00.000Z' });
+      const current = await request(app)
+        .get(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/history/1/revert`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.data.task).to.include({ title: 'Relatório', dueDate: null, version: current.body.data.task.version + 1 });
+      expect(response.headers.etag).to.equal(`"${response.body.data.task.version}"`);
+
+      const { revisions } = (await history().expect(200)).body.data;
+      expect(revisions[0]).to.include({ revertedTo: 1, actorId: editorId });
+    });
+
+    it('deve validar a versão e o acesso', async () => {
+      const missing = await request(app)
+        .post(`/api/tasks/${taskId}/history/99/revert`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+      expect(missing.body.error.code).to.equal('REVISION_NOT_FOUND');
+
+      await request(app)
+        .post(`/api/tasks/${taskId}/history/abc/revert`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+
+      await history(outsiderToken).expect(403);
+      await request(app)
+        .put(`/api/tasks/${taskId}/shares/${editorId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+      await history(editorToken).expect(200);
+      await request(app)
+        .post(`/api/tasks/${taskId}/history/1/revert`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GraphQL API', () => {
+    const graphql = (query, variables, token = ownerToken) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    it('deve expor o histórico e reverter via mutation', async () => {
+      await update({ title: 'Renomeada', tags: ['casa'] }, editorToken);
+
+      const query = await graphql(`
+        query History($id: ID!) {
+          task(id: $id) {
+            history { version actorId actor { name } changes { field from to } revertedTo }
+          }
+        }
+      `, { id: taskId });
+      expect(query.body.errors).to.be.undefined;
+      const [latest] = query.body.data.task.history;
+      expect(latest).to.deep.include({ version: 3, actorId: editorId, actor: { name: 'Editora' }, revertedTo: null });
+      expect(latest.changes).to.deep.equal([
+        { field: 'title', from: '"Relatório"', to: '"Renomeada"' },
+        { field: 'tags', from: '[]', to: '["casa"]' }
+      ]);
+
+      const revert = await graphql(`
+        mutation Revert($id: ID!) { revertTask(id: $id, version: 1) { title tags history { revertedTo } } }
+      `, { id: taskId });
+      expect(revert.body.data.revertTask).to.deep.include({ title: 'Relatório', tags: [] });
+      expect(revert.body.data.revertTask.history[0].revertedTo).to.equal(1);
+
+      const missing = await graphql(`
+        mutation Revert($id: ID!) { revertTask(id: $id, version: 42) { id } }
+      `, { id: taskId });
+      expect(missing.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+    });
+  });
+});
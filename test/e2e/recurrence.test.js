@@ -0,0 +1,193 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Recurrence E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let ownerToken;
+  let outsiderToken;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const ownerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    ownerToken = ownerLogin.body.data.token;
+
+    const outsider = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Outro Usuário', email: 'outro@test.com', password: 'outro123' });
+    outsiderToken = outsider.body.data.token;
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const createTask = (data, token = ownerToken) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  const occurrences = (query, token = ownerToken) => request(app)
+    .get('/api/tasks/occurrences')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('REST API', () => {
+    it('deve gerar a próxima ocorrência ao concluir a tarefa', async () => {
+      const created = await createTask({
+        title: 'Reunião semanal',
+        dueDate: '2024-01-01T14:00:00.000Z',
+        tags: ['equipe'],
+        recurrence: { frequency: 'weekly', weekdays: [1, 3] }
+      }).expect(201);
+      const task = created.body.data.task;
+      expect(task.recurrence).to.include({ frequency: 'weekly', interval: 1, seriesId: task.id, occurrence: 1 });
+
+      const completed = await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ completed: true })
+        .expect(200);
+
+      const { nextOccurrence } = completed.body.data;
+      expect(nextOccurrence).to.include({ title: 'Reunião semanal', completed: false, dueDate: '2024-01-03T14:00:00.000Z' });
+      expect(nextOccurrence.tags).to.deep.equal(['equipe']);
+      expect(nextOccurrence.recurrence).to.include({ seriesId: task.id, occurrence: 2 });
+      expect(completed.body.data.task.recurrence.nextTaskId).to.equal(nextOccurrence.id);
+
+      // Reabrir e concluir de novo não duplica a ocorrência
+      await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ completed: false })
+        .expect(200);
+      const again = await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ completed: true })
+        .expect(200);
+      expect(again.body.data).to.not.have.property('nextOccurrence');
+    });
+
+    it('deve rejeitar regras inválidas', async () => {
+      const response = await createTask({ title: 'Semanal', recurrence: { frequency: 'weekly' } }).expect(400);
+      expect(response.body.error.code).to.equal('VALIDATION_ERROR');
+
+      await createTask({ title: 'Anual', recurrence: { frequency: 'yearly' } }).expect(400);
+    });
+
+    it('deve listar as ocorrências visíveis no intervalo, em ordem de data', async () => {
+      await createTask({
+        title: 'A cada três dias',
+        dueDate: '2024-03-01T09:00:00.000Z',
+        recurrence: { frequency: 'daily', interval: 3, count: 3 }
+      }).expect(201);
+      await createTask({
+        title: 'Fechamento',
+        dueDate: '2024-03-02T09:00:00.000Z',
+        recurrence: { frequency: 'monthly', until: '2024-04-30T00:00:00.000Z' }
+      }).expect(201);
+      await createTask({ title: 'Sem recorrência', dueDate: '2024-03-03T09:00:00.000Z' }).expect(201);
+
+      const response = await occurrences({ from: '2024-03-01', to: '2024-06-01' }).expect(200);
+      expect(response.body.data.occurrences.map(({ title, date, occurrence }) => [title, date.slice(0, 10), occurrence])).to.deep.equal([
+        ['A cada três dias', '2024-03-01', 1],
+        ['Fechamento', '2024-03-02', 1],
+        ['A cada três dias', '2024-03-04', 2],
+        ['A cada três dias', '2024-03-07', 3],
+        ['Fechamento', '2024-04-02', 2]
+      ]);
+
+      const outsider = await occurrences({ from: '2024-03-01', to: '2024-06-01' }, outsiderToken).expect(200);
+      expect(outsider.body.data.count).to.equal(0);
+    });
+
+    it('deve validar o intervalo', async () => {
+      const missing = await occurrences({ from: '2024-03-01' }).expect(400);
+      expect(missing.body.error.code).to.equal('VALIDATION_ERROR');
+
+      await occurrences({ from: '2024-03-01', to: '2025-12-01' }).expect(400);
+    });
+  });
+
+  describe('GraphQL API', () => {
+    const graphql = (query, variables, token = ownerToken) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    it('deve criar a série e gerar a próxima ocorrência pela mutation updateTask', async () => {
+      const created = await graphql(`
+        mutation {
+          createTask(input: {
+            title: "Pagar aluguel"
+            dueDate: "2024-01-31T12:00:00.000Z"
+            recurrence: { frequency: MONTHLY }
+          }) { id recurrence { frequency interval occurrence } }
+        }
+      `);
+      const task = created.body.data.createTask;
+      expect(task.recurrence).to.deep.equal({ frequency: 'MONTHLY', interval: 1, occurrence: 1 });
+
+      const updated = await graphql(`
+        mutation($id: ID!) {
+          updateTask(id: $id, input: { completed: true }) {
+            recurrence { nextTask { title dueDate completed recurrence { occurrence } } }
+          }
+        }
+      `, { id: task.id });
+
+      expect(updated.body.data.updateTask.recurrence.nextTask).to.deep.equal({
+        title: 'Pagar aluguel',
+        dueDate: '2024-02-29T12:00:00.000Z',
+        completed: false,
+        recurrence: { occurrence: 2 }
+      });
+    });
+
+    it('deve listar as próximas ocorrências', async () => {
+      await createTask({
+        title: 'Treino',
+        dueDate: '2024-01-01T07:00:00.000Z',
+        recurrence: { frequency: 'weekly', interval: 2, weekdays: [1] }
+      }).expect(201);
+
+      const response = await graphql(`
+        query {
+          upcomingOccurrences(from: "2024-01-01T00:00:00.000Z", to: "2024-02-01T00:00:00.000Z") {
+            task { title }
+            date
+            occurrence
+          }
+        }
+      `);
+
+      expect(response.body.data.upcomingOccurrences.map(({ date, occurrence }) => [date, occurrence])).to.deep.equal([
+        ['2024-01-01T07:00:00.000Z', 1],
+        ['2024-01-15T07:00:00.000Z', 2],
+        ['2024-01-29T07:00:00.000Z', 3]
+      ]);
+    });
+
+    it('deve rejeitar regras inválidas', async () => {
+      const response = await graphql(`
+        mutation { createTask(input: { title: "Semanal", recurrence: { frequency: WEEKLY } }) { id } }
+      `);
+      expect(response.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+    });
+  });
+});
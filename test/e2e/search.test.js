@@ -0,0 +1,171 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Search E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let userToken;
+  let userId;
+  let adminToken;
+  let otherToken;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    userToken = userLogin.body.data.token;
+    userId = userLogin.body.data.user.id;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'admin123' });
+    adminToken = adminLogin.body.data.token;
+
+    const other = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Outro Usuário', email: 'outro@test.com', password: 'outro123' });
+    otherToken = other.body.data.token;
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const createTask = async (token, title, description = '') => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title, description })
+      .expect(201);
+    return response.body.data.task.id;
+  };
+
+  const search = (token, query) => request(app)
+    .get('/api/tasks/search')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('REST API', () => {
+    it('deve retornar tarefas ordenadas por relevância', async () => {
+      const inDescription = await createTask(userToken, 'Reunião semanal', 'Levar o relatório');
+      const inTitle = await createTask(userToken, 'Relatório de vendas', 'Consolidar números');
+
+      const response = await search(userToken, { q: 'relatorio' }).expect(200);
+
+      expect(response.body.data.query).to.equal('relatorio');
+      expect(response.body.data.results.map(result => result.task.id)).to.deep.equal([inTitle, inDescription]);
+      expect(response.body.data.results[0].score).to.be.above(response.body.data.results[1].score);
+      expect(response.body.data.totalItems).to.equal(2);
+    });
+
+    it('deve refletir edições e exclusões', async () => {
+      const taskId = await createTask(userToken, 'Comprar café');
+
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Comprar chá' })
+        .expect(200);
+      expect((await search(userToken, { q: 'cafe' }).expect(200)).body.data.results).to.be.empty;
+      expect((await search(userToken, { q: 'cha' }).expect(200)).body.data.count).to.equal(1);
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect((await search(userToken, { q: 'cha' }).expect(200)).body.data.results).to.be.empty;
+    });
+
+    it('deve respeitar a visibilidade das tarefas', async () => {
+      const own = await createTask(userToken, 'Orçamento pessoal');
+      const foreign = await createTask(otherToken, 'Orçamento da equipe');
+
+      let response = await search(userToken, { q: 'orcamento' }).expect(200);
+      expect(response.body.data.results.map(result => result.task.id)).to.deep.equal([own]);
+
+      await request(app)
+        .put(`/api/tasks/${foreign}/shares/${userId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+      response = await search(userToken, { q: 'orcamento' }).expect(200);
+      expect(response.body.data.results.map(result => result.task.id)).to.have.members([own, foreign]);
+
+      response = await search(adminToken, { q: 'orcamento' }).expect(200);
+      expect(response.body.data.count).to.equal(2);
+    });
+
+    it('deve limitar a quantidade de resultados', async () => {
+      await createTask(userToken, 'Item um');
+      await createTask(userToken, 'Item dois');
+      await createTask(userToken, 'Item três');
+
+      const response = await search(userToken, { q: 'item', limit: 2 }).expect(200);
+
+      expect(response.body.data.results).to.have.lengthOf(2);
+      expect(response.body.data.totalItems).to.equal(3);
+    });
+
+    it('deve validar a consulta', async () => {
+      const response = await search(userToken, {}).expect(400);
+      expect(response.body.error.code).to.equal('VALIDATION_ERROR');
+
+      await search(userToken, { q: '   ' }).expect(400);
+      await search(userToken, { q: 'item', limit: 0 }).expect(400);
+    });
+
+    it('deve exigir autenticação', async () => {
+      await request(app)
+        .get('/api/tasks/search')
+        .query({ q: 'item' })
+        .expect(401);
+    });
+  });
+
+  describe('GraphQL API', () => {
+    const graphql = (query, variables, token) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    const SEARCH = `
+      query Search($query: String!, $limit: Int) {
+        searchTasks(query: $query, limit: $limit) {
+          score
+          task { id title }
+        }
+      }
+    `;
+
+    it('deve buscar apenas entre as tarefas visíveis', async () => {
+      const own = await createTask(userToken, 'Planejar viagem');
+      await createTask(otherToken, 'Planejar mudança');
+
+      const response = await graphql(SEARCH, { query: 'planej' }, userToken);
+
+      expect(response.body.errors).to.be.undefined;
+      expect(response.body.data.searchTasks).to.have.lengthOf(1);
+      expect(response.body.data.searchTasks[0].task).to.deep.equal({ id: own, title: 'Planejar viagem' });
+      expect(response.body.data.searchTasks[0].score).to.be.above(0);
+    });
+
+    it('deve rejeitar consulta vazia', async () => {
+      const response = await graphql(SEARCH, { query: '  ' }, userToken);
+
+      expect(response.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+    });
+  });
+});
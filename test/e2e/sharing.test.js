@@ -0,0 +1,248 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Sharing E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let ownerToken;
+  let collaboratorToken;
+  let collaboratorId;
+  let outsiderToken;
+  let taskId;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const ownerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    ownerToken = ownerLogin.body.data.token;
+
+    const collaborator = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Colaborador', email: 'colab@test.com', password: 'colab123' });
+    collaboratorToken = collaborator.body.data.token;
+    collaboratorId = collaborator.body.data.user.id;
+
+    const outsider = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Outro Usuário', email: 'outro@test.com', password: 'outro123' });
+    outsiderToken = outsider.body.data.token;
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ title: 'Planejamento do trimestre' })
+      .expect(201);
+    taskId = task.body.data.task.id;
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const share = (role, token = ownerToken, userId = collaboratorId) => request(app)
+    .put(`/api/tasks/${taskId}/shares/${userId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ role });
+
+  const listIds = async (token) => {
+    const response = await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    return response.body.data.tasks.map(task => task.id);
+  };
+
+  describe('REST API', () => {
+    it('viewer deve ver e comentar, mas não editar nem deletar', async () => {
+      await share('viewer').expect(200);
+
+      expect(await listIds(collaboratorToken)).to.deep.equal([taskId]);
+      await request(app)
+        .get(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .expect(200);
+      await request(app)
+        .post(`/api/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .send({ text: 'Acompanhando' })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .send({ completed: true })
+        .expect(403);
+      await request(app)
+        .delete(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .expect(403);
+    });
+
+    it('editor deve editar a tarefa e a checklist, mas não compartilhar', async () => {
+      await share('editor').expect(200);
+
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .send({ completed: true })
+        .expect(200);
+      await request(app)
+        .post(`/api/tasks/${taskId}/checklist`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .send({ title: 'Revisar metas' })
+        .expect(201);
+
+      const outsiderId = database.getUserByEmail('outro@test.com').id;
+      await share('viewer', collaboratorToken, outsiderId).expect(403);
+    });
+
+    it('responsável deve ver e editar a tarefa atribuída', async () => {
+      const assigned = await request(app)
+        .put(`/api/tasks/${taskId}/assignee`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ userId: collaboratorId })
+        .expect(200);
+      expect(assigned.body.data.task).to.have.property('assigneeId', collaboratorId);
+
+      expect(await listIds(collaboratorToken)).to.deep.equal([taskId]);
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .send({ completed: true })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/tasks/${taskId}/assignee`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ userId: null })
+        .expect(200);
+      expect(await listIds(collaboratorToken)).to.be.empty;
+    });
+
+    it('deve rejeitar responsável ou colaborador inválido', async () => {
+      const assignee = await request(app)
+        .put(`/api/tasks/${taskId}/assignee`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ userId: 'inexistente' })
+        .expect(400);
+      expect(assignee.body.error).to.have.property('code', 'INVALID_ASSIGNEE');
+
+      const ownerId = database.getUserByEmail('user@test.com').id;
+      const target = await share('viewer', ownerToken, ownerId).expect(400);
+      expect(target.body.error).to.have.property('code', 'INVALID_SHARE_TARGET');
+
+      await share('admin').expect(400);
+    });
+
+    it('deve permitir ao colaborador sair, mas não remover outros', async () => {
+      await share('viewer').expect(200);
+      const outsiderId = database.getUserByEmail('outro@test.com').id;
+      await share('viewer', ownerToken, outsiderId).expect(200);
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/shares/${outsiderId}`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/shares/${collaboratorId}`)
+        .set('Authorization', `Bearer ${collaboratorToken}`)
+        .expect(200);
+
+      const shares = await request(app)
+        .get(`/api/tasks/${taskId}/shares`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(200);
+      expect(shares.body.data.shares.map(s => s.userId)).to.deep.equal([outsiderId]);
+    });
+
+    it('deve continuar negando acesso a quem não tem compartilhamento', async () => {
+      await share('editor').expect(200);
+
+      expect(await listIds(outsiderToken)).to.be.empty;
+      await request(app)
+        .get(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(403);
+    });
+
+    it('deve remover os compartilhamentos de um usuário deletado', async () => {
+      await share('viewer').expect(200);
+      await request(app)
+        .put(`/api/tasks/${taskId}/assignee`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ userId: collaboratorId })
+        .expect(200);
+
+      database.deleteUserWithTasks(collaboratorId);
+
+      expect(database.getTaskById(taskId)).to.include({ assigneeId: null });
+      expect(database.getTaskById(taskId).shares).to.be.empty;
+    });
+  });
+
+  describe('GraphQL', () => {
+    const graphql = (query, variables, token) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    it('deve compartilhar, atribuir e expor o nível de acesso', async () => {
+      const shared = await graphql(`
+        mutation Share($taskId: ID!, $userId: ID!) {
+          shareTask(taskId: $taskId, userId: $userId, role: VIEWER) {
+            shares { role user { email } }
+            access
+          }
+        }
+      `, { taskId, userId: collaboratorId }, ownerToken);
+      expect(shared.body.data.shareTask).to.deep.equal({
+        shares: [{ role: 'VIEWER', user: { email: 'colab@test.com' } }],
+        access: 'OWNER'
+      });
+
+      const asViewer = await graphql(`
+        query Tasks($id: ID!) {
+          tasks { tasks { id access } }
+          task(id: $id) { title }
+        }
+      `, { id: taskId }, collaboratorToken);
+      expect(asViewer.body.data.tasks.tasks).to.deep.equal([{ id: taskId, access: 'VIEWER' }]);
+
+      const denied = await graphql(`
+        mutation Update($id: ID!) { updateTask(id: $id, input: { completed: true }) { id } }
+      `, { id: taskId }, collaboratorToken);
+      expect(denied.body.errors[0].extensions.code).to.equal('FORBIDDEN');
+
+      const assigned = await graphql(`
+        mutation Assign($taskId: ID!, $userId: ID!) {
+          assignTask(taskId: $taskId, userId: $userId) { assignee { email } }
+        }
+      `, { taskId, userId: collaboratorId }, ownerToken);
+      expect(assigned.body.data.assignTask.assignee).to.deep.equal({ email: 'colab@test.com' });
+
+      const updated = await graphql(`
+        mutation Update($id: ID!) { updateTask(id: $id, input: { completed: true }) { completed access } }
+      `, { id: taskId }, collaboratorToken);
+      expect(updated.body.data.updateTask).to.deep.equal({ completed: true, access: 'EDITOR' });
+
+      const left = await graphql(`
+        mutation Leave($taskId: ID!, $userId: ID!) { unshareTask(taskId: $taskId, userId: $userId) { shares { userId } } }
+      `, { taskId, userId: collaboratorId }, collaboratorToken);
+      expect(left.body.data.unshareTask.shares).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Status Workflow E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let token;
+  let taskId;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    token = login.body.data.token;
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Implementar fluxo', tags: ['fluxo'] })
+      .expect(201);
+    taskId = task.body.data.task.id;
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const update = (data) => request(app)
+    .put(`/api/tasks/${taskId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  describe('REST API', () => {
+    it('deve criar tarefas no estado inicial e seguir as transições', async () => {
+      const task = await request(app)
+        .get(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(task.body.data.task).to.include({ status: 'todo', completed: false });
+
+      await update({ status: 'in_progress' }).expect(200);
+      await update({ status: 'review' }).expect(200);
+      const done = await update({ status: 'done' }).expect(200);
+      expect(done.body.data.task).to.include({ status: 'done', completed: true });
+    });
+
+    it('deve rejeitar transições fora do fluxo', async () => {
+      const response = await update({ status: 'review' }).expect(409);
+
+      expect(response.body.error).to.include({ code: 'INVALID_STATUS_TRANSITION', from: 'todo', to: 'review' });
+      expect(response.body.error.allowed).to.deep.equal(['in_progress', 'blocked', 'done']);
+    });
+
+    it('deve manter completed funcionando para clientes antigos', async () => {
+      const completed = await update({ completed: true }).expect(200);
+      expect(completed.body.data.task).to.include({ status: 'done', completed: true });
+
+      const reopened = await update({ completed: false }).expect(200);
+      expect(reopened.body.data.task).to.include({ status: 'todo', completed: false });
+
+      await update({ status: 'blocked' }).expect(200);
+      const blocked = await update({ completed: true }).expect(409);
+      expect(blocked.body.error.code).to.equal('INVALID_STATUS_TRANSITION');
+    });
+
+    it('deve rejeitar reverts que violem o fluxo', async () => {
+      await update({ status: 'in_progress' }).expect(200);
+      await update({ status: 'review' }).expect(200);
+
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/history/1/revert`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+      expect(response.body.error).to.include({ code: 'INVALID_STATUS_TRANSITION', from: 'review', to: 'todo' });
+
+      const reverted = await request(app)
+        .post(`/api/tasks/${taskId}/history/2/revert`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(reverted.body.data.task).to.include({ status: 'in_progress' });
+    });
+
+    it('deve filtrar por status e rejeitar estados desconhecidos', async () => {
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Em andamento', status: 'in_progress', tags: ['fluxo'] })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/tasks?tags=fluxo&status=in_progress,review')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(response.body.data.tasks.map(task => task.title)).to.deep.equal(['Em andamento']);
+
+      const invalid = await request(app)
+        .get('/api/tasks?status=archived')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+      expect(invalid.body.error.code).to.equal('VALIDATION_ERROR');
+
+      await update({ status: 'archived' }).expect(400);
+    });
+
+    it('deve expor o fluxo configurado', async () => {
+      const response = await request(app)
+        .get('/api/tasks/workflow')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.workflow).to.include({ initial: 'todo', done: 'done' });
+      expect(response.body.data.workflow.transitions.review).to.deep.equal(['in_progress', 'done']);
+    });
+
+    it('deve reportar transições inválidas nas operações em lote', async () => {
+      const response = await request(app)
+        .post('/api/tasks/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ operations: [{ op: 'update', id: taskId, data: { status: 'review' } }] })
+        .expect(200);
+
+      expect(response.body.data.results[0].error).to.include({ code: 'INVALID_STATUS_TRANSITION', from: 'todo', to: 'review' });
+    });
+  });
+
+  describe('GraphQL API', () => {
+    const graphql = (query, variables) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+
+    it('deve atualizar o status e listar as próximas transições', async () => {
+      const response = await graphql(`
+        mutation($id: ID!) {
+          updateTask(id: $id, input: { status: "in_progress" }) { status completed nextStatuses }
+        }
+      `, { id: taskId });
+
+      expect(response.body.data.updateTask).to.deep.equal({
+        status: 'in_progress',
+        completed: false,
+        nextStatuses: ['todo', 'review', 'blocked', 'done']
+      });
+
+      const filtered = await graphql(`
+        query { tasks(tags: ["fluxo"], status: ["in_progress"]) { tasks { id } } }
+      `);
+      expect(filtered.body.data.tasks.tasks.map(task => task.id)).to.deep.equal([taskId]);
+    });
+
+    it('deve rejeitar transições fora do fluxo', async () => {
+      const response = await graphql(`
+        mutation($id: ID!) { updateTask(id: $id, input: { status: "review" }) { id } }
+      `, { id: taskId });
+
+      expect(response.body.errors[0].extensions).to.include({ code: 'INVALID_STATUS_TRANSITION', from: 'todo', to: 'review' });
+    });
+
+    it('deve rejeitar reverts que violem o fluxo', async () => {
+      await update({ status: 'in_progress' }).expect(200);
+      await update({ status: 'review' }).expect(200);
+
+      const response = await graphql(`
+        mutation($id: ID!) { revertTask(id: $id, version: 1) { id } }
+      `, { id: taskId });
+
+      expect(response.body.errors[0].extensions).to.include({ code: 'INVALID_STATUS_TRANSITION', from: 'review', to: 'todo' });
+    });
+
+    it('deve expor o fluxo configurado', async () => {
+      const response = await graphql('query { taskWorkflow { initial done states transitions { from to } } }');
+
+      const { taskWorkflow } = response.body.data;
+      expect(taskWorkflow.states).to.deep.equal(['todo', 'in_progress', 'review', 'blocked', 'done']);
+      expect(taskWorkflow.transitions).to.deep.include({ from: 'done', to: ['todo'] });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Tags E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let userToken;
+  let adminToken;
+
+  before(async () => {
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(async () => {
+    database.reset();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@test.com', password: 'user123' });
+    userToken = userLogin.body.data.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'admin123' });
+    adminToken = adminLogin.body.data.token;
+
+    const tasks = [
+      { token: userToken, title: 'Comprar pão', tags: ['Casa', ' urgente '] },
+      { token: userToken, title: 'Relatório', tags: ['trabalho', 'urgente'] },
+      { token: userToken, title: 'Ler livro', tags: [] },
+      { token: adminToken, title: 'Tarefa do admin', tags: ['casa'] }
+    ];
+    for (const { token, ...task } of tasks) {
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send(task)
+        .expect(201);
+    }
+  });
+
+  after(async () => {
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  const titles = (response) => response.body.data.tasks.map(task => task.title).sort();
+
+  describe('REST API', () => {
+    it('deve normalizar as tags ao criar e atualizar tarefas', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Duplicadas', tags: ['Urgente', 'urgente'] })
+        .expect(201);
+
+      expect(response.body.data.task.tags).to.deep.equal(['urgente']);
+
+      await request(app)
+        .put(`/api/tasks/${response.body.data.task.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ tags: [''] })
+        .expect(400);
+    });
+
+    it('deve filtrar tarefas por qualquer ou todas as tags', async () => {
+      const any = await request(app)
+        .get('/api/tasks?tags=casa,trabalho')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(titles(any)).to.deep.equal(['Comprar pão', 'Relatório']);
+
+      const all = await request(app)
+        .get('/api/tasks?tags=urgente,TRABALHO&tagMatch=all')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(titles(all)).to.deep.equal(['Relatório']);
+
+      await request(app)
+        .get('/api/tasks?tags=casa&tagMatch=some')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it('deve listar as tags do usuário autenticado', async () => {
+      const response = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.tags).to.deep.equal([
+        { name: 'casa', count: 1 },
+        { name: 'trabalho', count: 1 },
+        { name: 'urgente', count: 2 }
+      ]);
+    });
+
+    it('deve renomear, mesclar e remover tags sem afetar outros usuários', async () => {
+      const renamed = await request(app)
+        .put('/api/tags/casa')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Lar' })
+        .expect(200);
+      expect(renamed.body.data).to.deep.equal({ tag: 'lar', affectedTasks: 1 });
+
+      const merged = await request(app)
+        .post('/api/tags/merge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ sources: ['lar', 'trabalho'], target: 'pendente' })
+        .expect(200);
+      expect(merged.body.data).to.deep.equal({ tag: 'pendente', affectedTasks: 2 });
+
+      const deleted = await request(app)
+        .delete('/api/tags/urgente')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(deleted.body.data).to.deep.equal({ tag: 'urgente', affectedTasks: 2 });
+
+      const tags = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(tags.body.data.tags).to.deep.equal([{ name: 'pendente', count: 2 }]);
+
+      const adminTags = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(adminTags.body.data.tags).to.deep.equal([{ name: 'casa', count: 1 }]);
+    });
+
+    it('deve retornar 404 para tag inexistente', async () => {
+      const response = await request(app)
+        .delete('/api/tags/inexistente')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(response.body.error).to.have.property('code', 'TAG_NOT_FOUND');
+    });
+  });
+
+  describe('GraphQL', () => {
+    const graphql = (query, variables) => request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ query, variables })
+      .expect(200);
+
+    it('deve filtrar tarefas e listar tags', async () => {
+      const response = await graphql(`
+        query {
+          tasks(tags: ["urgente", "trabalho"], tagMatch: ALL) { tasks { title tags } }
+          myTasks(tags: ["casa"]) { title }
+          tags { name count }
+        }
+      `);
+
+      expect(response.body.data.tasks.tasks).to.deep.equal([{ title: 'Relatório', tags: ['trabalho', 'urgente'] }]);
+      expect(response.body.data.myTasks).to.deep.equal([{ title: 'Comprar pão' }]);
+      expect(response.body.data.tags).to.have.lengthOf(3);
+    });
+
+    it('deve gerenciar tags via mutations', async () => {
+      const response = await graphql(`
+        mutation {
+          renameTag(from: "casa", to: "lar") { tag affectedTasks }
+          mergeTags(sources: ["lar", "trabalho"], target: "pendente") { tag affectedTasks }
+          deleteTag(name: "urgente") { tag affectedTasks }
+        }
+      `);
+
+      expect(response.body.data).to.deep.equal({
+        renameTag: { tag: 'lar', affectedTasks: 1 },
+        mergeTags: { tag: 'pendente', affectedTasks: 2 },
+        deleteTag: { tag: 'urgente', affectedTasks: 2 }
+      });
+
+      const missing = await graphql('mutation { deleteTag(name: "urgente") { affectedTasks } }');
+      expect(missing.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+    });
+  });
+});
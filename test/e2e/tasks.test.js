@@ -281,6 +281,28 @@ describe('Tasks E2E Tests', () => {
         expect(response.body.data.task).to.have.property('priority', 'high');
       });
 
+      it('deve expor a versão como ETag e rejeitar If-Match desatualizado', async () => {
+        const first = await request(app)
+          .put(`/api/tasks/${taskId}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('If-Match', '"1"')
+          .send({ title: 'Primeira edição' })
+          .expect(200);
+
+        expect(first.headers).to.have.property('etag', '"2"');
+        expect(first.body.data.task).to.have.property('version', 2);
+
+        const second = await request(app)
+          .put(`/api/tasks/${taskId}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .set('If-Match', '"1"')
+          .send({ title: 'Edição concorrente' })
+          .expect(412);
+
+        expect(second.body.error).to.have.property('code', 'VERSION_CONFLICT');
+        expect(second.body.error).to.have.property('currentVersion', 2);
+      });
+
       it('deve retornar 404 para tarefa inexistente', async () => {
         const response = await request(app)
           .put('/api/tasks/nonexistent-id')
@@ -323,6 +345,54 @@ describe('Tasks E2E Tests', () => {
           .expect(404);
       });
 
+      it('deve listar tarefa deletada na lixeira e restaurá-la', async () => {
+        await request(app)
+          .delete(`/api/tasks/${taskId}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        const trashResponse = await request(app)
+          .get('/api/tasks/trash')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        expect(trashResponse.body.data.tasks.map(task => task.id)).to.include(taskId);
+        expect(trashResponse.body.data.tasks[0]).to.have.property('deletedAt');
+
+        const restoreResponse = await request(app)
+          .post(`/api/tasks/${taskId}/restore`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        expect(restoreResponse.body.data.task).to.not.have.property('deletedAt');
+
+        await request(app)
+          .get(`/api/tasks/${taskId}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+      });
+
+      it('deve remover definitivamente apenas tarefas da lixeira', async () => {
+        const notInTrash = await request(app)
+          .delete(`/api/tasks/${taskId}/purge`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(404);
+
+        expect(notInTrash.body.error).to.have.property('code', 'TASK_NOT_IN_TRASH');
+
+        await request(app)
+          .delete(`/api/tasks/${taskId}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        await request(app)
+          .delete(`/api/tasks/${taskId}/purge`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        expect(database.getTaskById(taskId, { includeDeleted: true })).to.be.undefined;
+      });
+
       it('deve retornar 404 para tarefa inexistente', async () => {
         const response = await request(app)
           .delete('/api/tasks/nonexistent-id')
@@ -404,6 +474,32 @@ describe('Tasks E2E Tests', () => {
         expect(response.body.errors[0]).to.have.property('message')
           .that.includes('logado');
       });
+
+      it('deve aplicar as mesmas validações da API REST', async () => {
+        const graphql = (query, variables) => request(app)
+          .post('/graphql')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ query, variables })
+          .expect(200);
+
+        const created = await graphql(
+          'mutation($input: CreateTaskInput!) { createTask(input: $input) { id } }',
+          { input: { title: 'x'.repeat(201) } }
+        );
+        expect(created.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+
+        const task = await request(app)
+          .post('/api/tasks')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ title: 'Validar GraphQL' })
+          .expect(201);
+        const updated = await graphql(
+          'mutation($id: ID!, $input: UpdateTaskInput!) { updateTask(id: $id, input: $input) { id } }',
+          { id: task.body.data.task.id, input: { title: '', description: 'x'.repeat(1001) } }
+        );
+        expect(updated.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+        expect(database.getTaskById(task.body.data.task.id).title).to.equal('Validar GraphQL');
+      });
     });
 
     describe('Tasks Query', () => {
@@ -616,6 +712,34 @@ describe('Tasks E2E Tests', () => {
         expect(response.body).to.have.property('errors');
         expect(response.body.errors[0]).to.have.property('message', 'Tarefa não encontrada');
       });
+
+      it('deve rejeitar update com expectedVersion desatualizada', async () => {
+        const mutation = `
+          mutation UpdateTask($id: ID!, $input: UpdateTaskInput!, $expectedVersion: Int) {
+            updateTask(id: $id, input: $input, expectedVersion: $expectedVersion) {
+              id
+              version
+            }
+          }
+        `;
+
+        const send = (expectedVersion) => request(app)
+          .post('/graphql')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({
+            query: mutation,
+            variables: { id: taskId, input: { title: 'Novo Título' }, expectedVersion }
+          })
+          .expect(200);
+
+        const first = await send(1);
+        expect(first.body.data.updateTask).to.have.property('version', 2);
+
+        const second = await send(1);
+        expect(second.body).to.have.property('errors');
+        expect(second.body.errors[0].extensions).to.have.property('code', 'VERSION_CONFLICT');
+        expect(second.body.errors[0].extensions).to.have.property('currentVersion', 2);
+      });
     });
 
     describe('Delete Task Mutation', () => {
@@ -676,4 +800,416 @@ describe('Tasks E2E Tests', () => {
       });
     });
   });
+
+  describe('Deleção de usuário e suas tarefas', () => {
+    it('deve deletar em cascata as tarefas do usuário', async () => {
+      const response = await request(app)
+        .delete(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).to.deep.equal({ taskPolicy: 'cascade', affectedTasks: 2 });
+      expect(database.getTasksByUserId(userId)).to.be.empty;
+      expect(database.getDeletedTasks(userId)).to.have.lengthOf(2);
+    });
+
+    it('deve transferir as tarefas para o usuário escolhido', async () => {
+      const response = await request(app)
+        .delete(`/api/users/${userId}`)
+        .query({ taskPolicy: 'reassign', reassignTo: adminId })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).to.deep.equal({ taskPolicy: 'reassign', affectedTasks: 2 });
+      expect(database.getTasksByUserId(adminId)).to.have.lengthOf(2);
+    });
+
+    it('deve rejeitar transferência para usuário inexistente sem deletar nada', async () => {
+      const response = await request(app)
+        .delete(`/api/users/${userId}`)
+        .query({ taskPolicy: 'reassign', reassignTo: 'nonexistent-id' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error).to.have.property('code', 'INVALID_REASSIGN_TARGET');
+      expect(database.getUserById(userId)).to.exist;
+      expect(database.getTasksByUserId(userId)).to.have.lengthOf(2);
+    });
+
+    it('deve aplicar a mesma política via GraphQL', async () => {
+      const mutation = `
+        mutation DeleteUser($id: ID!, $reassignTo: ID) {
+          deleteUserWithTasks(id: $id, taskPolicy: REASSIGN, reassignTo: $reassignTo) {
+            success
+            taskPolicy
+            affectedTasks
+          }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          query: mutation,
+          variables: { id: userId, reassignTo: adminId }
+        })
+        .expect(200);
+
+      expect(response.body.data.deleteUserWithTasks).to.deep.equal({
+        success: true,
+        taskPolicy: 'REASSIGN',
+        affectedTasks: 2
+      });
+    });
+
+    it('deve manter deleteUser retornando Boolean via GraphQL', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          query: 'mutation DeleteUser($id: ID!) { deleteUser(id: $id) }',
+          variables: { id: userId }
+        })
+        .expect(200);
+
+      expect(response.body.data.deleteUser).to.be.true;
+      expect(database.getTasksByUserId(userId)).to.be.empty;
+    });
+  });
+
+  describe('Prazos e lembretes', () => {
+    const past = '2020-01-10T12:00:00.000Z';
+    const future = '2999-01-10T12:00:00.000Z';
+    let overdueTaskId;
+    let futureTaskId;
+
+    beforeEach(async () => {
+      const overdueResponse = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Tarefa atrasada', dueDate: past, reminderAt: '2020-01-09T12:00:00.000Z' })
+        .expect(201);
+      overdueTaskId = overdueResponse.body.data.task.id;
+
+      const futureResponse = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Tarefa futura', dueDate: future })
+        .expect(201);
+      futureTaskId = futureResponse.body.data.task.id;
+    });
+
+    it('deve gravar dueDate e reminderAt e removê-los com null', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${overdueTaskId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reminderAt: null })
+        .expect(200);
+
+      expect(response.body.data.task).to.include({ dueDate: past, reminderAt: null });
+    });
+
+    it('deve filtrar tarefas atrasadas e por intervalo de prazo', async () => {
+      const overdue = await request(app)
+        .get('/api/tasks/my?overdue=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(overdue.body.data.tasks.map(task => task.id)).to.deep.equal([overdueTaskId]);
+
+      const range = await request(app)
+        .get('/api/tasks')
+        .query({ dueAfter: '2021-01-01T00:00:00.000Z', dueBefore: future })
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(range.body.data.tasks.map(task => task.id)).to.deep.equal([futureTaskId]);
+    });
+
+    it('não deve considerar atrasada uma tarefa concluída', async () => {
+      await request(app)
+        .put(`/api/tasks/${overdueTaskId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ completed: true })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/tasks?overdue=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(response.body.data.tasks).to.be.empty;
+    });
+
+    it('deve rejeitar datas inválidas', async () => {
+      const response = await request(app)
+        .get('/api/tasks?dueBefore=amanha')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+      expect(response.body.error).to.have.property('code', 'VALIDATION_ERROR');
+
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Prazo inválido', dueDate: 'amanha' })
+        .expect(400);
+    });
+
+    it('deve expor prazos e filtros via GraphQL', async () => {
+      const query = `
+        query Overdue($dueBefore: DateTime) {
+          tasks(overdue: true, dueBefore: $dueBefore) {
+            tasks { id dueDate reminderAt overdue }
+          }
+          myTasks(overdue: false) { id }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ query, variables: { dueBefore: '2021-01-01T00:00:00.000Z' } })
+        .expect(200);
+
+      expect(response.body.data.tasks.tasks).to.deep.equal([
+        { id: overdueTaskId, dueDate: past, reminderAt: '2020-01-09T12:00:00.000Z', overdue: true }
+      ]);
+      expect(response.body.data.myTasks.map(task => task.id)).to.not.include(overdueTaskId);
+
+      const mutation = `
+        mutation SetDueDate($id: ID!) {
+          updateTask(id: $id, input: { dueDate: null }) { id dueDate overdue }
+        }
+      `;
+
+      const update = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ query: mutation, variables: { id: overdueTaskId } })
+        .expect(200);
+
+      expect(update.body.data.updateTask).to.deep.equal({ id: overdueTaskId, dueDate: null, overdue: false });
+    });
+  });
+
+  describe('Ordenação', () => {
+    const create = async (task) => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...task, tags: ['ordem'] })
+        .expect(201);
+      return response.body.data.task.id;
+    };
+
+    let low;
+    let highLate;
+    let highSoon;
+
+    beforeEach(async () => {
+      low = await create({ title: 'beta', priority: 'low' });
+      highLate = await create({ title: 'Alfa', priority: 'high', dueDate: '2030-01-01T00:00:00.000Z' });
+      highSoon = await create({ title: 'gama', priority: 'high', dueDate: '2029-01-01T00:00:00.000Z' });
+    });
+
+    const listIds = async (query, path = '/api/tasks') => {
+      const response = await request(app)
+        .get(path)
+        .query({ ...query, tags: 'ordem' })
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      return response.body.data.tasks.map(task => task.id);
+    };
+
+    it('deve ordenar por vários campos com direção por campo', async () => {
+      expect(await listIds({ sortBy: 'priority,dueDate', order: 'desc,asc' })).to.deep.equal([highSoon, highLate, low]);
+      expect(await listIds({ sortBy: 'title' }, '/api/tasks/my')).to.deep.equal([highLate, low, highSoon]);
+    });
+
+    it('deve manter tarefas sem prazo no fim em qualquer direção', async () => {
+      expect(await listIds({ sortBy: 'dueDate', order: 'asc' })).to.deep.equal([highSoon, highLate, low]);
+      expect(await listIds({ sortBy: 'dueDate', order: 'desc' })).to.deep.equal([highLate, highSoon, low]);
+    });
+
+    it('deve ordenar antes de paginar', async () => {
+      expect(await listIds({ sortBy: 'title', order: 'desc', limit: 1 })).to.deep.equal([highSoon]);
+      expect(await listIds({ sortBy: 'title', order: 'asc', limit: 1 })).to.deep.equal([highLate]);
+    });
+
+    it('deve rejeitar campos e direções inválidos', async () => {
+      const response = await request(app)
+        .get('/api/tasks?sortBy=password')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+      expect(response.body.error).to.have.property('code', 'VALIDATION_ERROR');
+
+      await request(app)
+        .get('/api/tasks/my?sortBy=title&order=up')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+      await request(app)
+        .get('/api/tasks?sortBy=title,priority,createdAt&order=asc,desc')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it('deve aceitar critérios de ordenação via GraphQL', async () => {
+      const query = `
+        query Sorted {
+          tasks(tags: ["ordem"], sort: [{ field: PRIORITY, order: DESC }, { field: DUE_DATE }]) { tasks { id } }
+          myTasks(tags: ["ordem"], sort: [{ field: TITLE, order: DESC }]) { id }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ query })
+        .expect(200);
+
+      expect(response.body.errors).to.be.undefined;
+      expect(response.body.data.tasks.tasks.map(task => task.id)).to.deep.equal([highSoon, highLate, low]);
+      expect(response.body.data.myTasks.map(task => task.id)).to.deep.equal([highSoon, low, highLate]);
+    });
+
+    it('deve ordenar a listagem de usuários via REST e GraphQL', async () => {
+      const rest = await request(app)
+        .get('/api/users?sortBy=email&order=desc')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const emails = rest.body.data.users.map(user => user.email);
+      expect(emails).to.deep.equal([...emails].sort().reverse());
+
+      const graphql = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ query: 'query { users(sort: [{ field: EMAIL, order: DESC }]) { email } }' })
+        .expect(200);
+      expect(graphql.body.data.users.map(user => user.email)).to.deep.equal(emails);
+
+      await request(app)
+        .get('/api/users?sortBy=password')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Paginação por cursor', () => {
+    let createdIds;
+
+    beforeEach(async () => {
+      createdIds = [];
+      for (const title of ['Página 1', 'Página 2', 'Página 3', 'Página 4']) {
+        const response = await request(app)
+          .post('/api/tasks')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ title, tags: ['paginacao'] })
+          .expect(201);
+        createdIds.push(response.body.data.task.id);
+      }
+    });
+
+    const list = (query, path = '/api/tasks') => request(app)
+      .get(path)
+      .query({ ...query, tags: 'paginacao' })
+      .set('Authorization', `Bearer ${userToken}`);
+
+    it('deve percorrer a listagem com first/after sem deslocar com novas tarefas', async () => {
+      const first = await list({ first: 2 }).expect(200);
+      expect(first.body.data.tasks.map(task => task.id)).to.deep.equal(createdIds.slice(0, 2));
+      expect(first.body.data.pageInfo).to.include({ hasNextPage: true, hasPreviousPage: false });
+      expect(first.body.data.totalItems).to.equal(4);
+      expect(first.body.data).to.not.have.property('pagination');
+
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Página nova', tags: ['paginacao'] })
+        .expect(201);
+
+      const second = await list({ first: 2, after: first.body.data.pageInfo.endCursor }).expect(200);
+      expect(second.body.data.tasks.map(task => task.id)).to.deep.equal(createdIds.slice(2, 4));
+
+      const back = await list({ last: 1, before: second.body.data.pageInfo.startCursor }, '/api/tasks/my').expect(200);
+      expect(back.body.data.tasks.map(task => task.id)).to.deep.equal([createdIds[1]]);
+      expect(back.body.data.count).to.equal(1);
+    });
+
+    it('deve validar page, limit e cursores', async () => {
+      const response = await list({ limit: 0 }).expect(400);
+      expect(response.body.error).to.have.property('code', 'VALIDATION_ERROR');
+
+      await list({ page: 0 }).expect(400);
+      await list({ limit: 150 }).expect(200);
+      await list({ page: 1, first: 2 }).expect(400);
+      await list({ after: 'cursor-invalido' }).expect(400);
+
+      const byCreation = await list({ first: 1 }).expect(200);
+      const otherSort = await list({ after: byCreation.body.data.pageInfo.endCursor, sortBy: 'title' }).expect(400);
+      expect(otherSort.body.error).to.have.property('code', 'INVALID_CURSOR');
+    });
+
+    it('deve continuar após o cursor mesmo se a tarefa dele for removida', async () => {
+      const first = await list({ first: 2 }).expect(200);
+      await request(app)
+        .delete(`/api/tasks/${createdIds[1]}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const second = await list({ first: 2, after: first.body.data.pageInfo.endCursor }).expect(200);
+      expect(second.body.data.tasks.map(task => task.id)).to.deep.equal(createdIds.slice(2, 4));
+    });
+
+    it('deve paginar usuários apenas quando solicitado', async () => {
+      const all = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(all.body.data).to.not.have.property('pageInfo');
+
+      const page = await request(app)
+        .get('/api/users?first=1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(page.body.data.users).to.have.lengthOf(1);
+      expect(page.body.data.totalItems).to.equal(all.body.data.count);
+      expect(page.body.data.pageInfo.hasNextPage).to.equal(all.body.data.count > 1);
+    });
+
+    it('deve expor connections no formato Relay via GraphQL', async () => {
+      const query = `
+        query Page($first: Int, $after: String, $page: Int, $limit: Int) {
+          tasks(tags: ["paginacao"], first: $first, after: $after, page: $page, limit: $limit) {
+            totalCount
+            edges { cursor node { id } }
+            pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+            pagination { current total }
+          }
+        }
+      `;
+      const graphql = (variables) => request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ query, variables })
+        .expect(200);
+
+      const first = await graphql({ first: 3 });
+      expect(first.body.errors).to.be.undefined;
+      const connection = first.body.data.tasks;
+      expect(connection.totalCount).to.equal(4);
+      expect(connection.edges.map(edge => edge.node.id)).to.deep.equal(createdIds.slice(0, 3));
+      expect(connection.pageInfo).to.include({ hasNextPage: true, hasPreviousPage: false, endCursor: connection.edges[2].cursor });
+      expect(connection.pagination).to.be.null;
+
+      const next = await graphql({ first: 3, after: connection.pageInfo.endCursor });
+      expect(next.body.data.tasks.edges.map(edge => edge.node.id)).to.deep.equal([createdIds[3]]);
+      expect(next.body.data.tasks.pageInfo.hasNextPage).to.be.false;
+
+      const offset = await graphql({ page: 2, limit: 3 });
+      expect(offset.body.data.tasks.pagination).to.deep.equal({ current: 2, total: 2 });
+
+      const invalid = await graphql({ limit: 0 });
+      expect(invalid.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+      const mixed = await graphql({ page: 1, first: 2 });
+      expect(mixed.body.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+    });
+  });
 });
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const database = require('../../src/config/database');
+const { createApp } = require('../../src/server');
+
+describe('Test Routes E2E Tests', () => {
+  let app;
+  let graphqlServer;
+  let enableTestRoutes;
+
+  before(async () => {
+    enableTestRoutes = process.env.ENABLE_TEST_ROUTES;
+    process.env.ENABLE_TEST_ROUTES = 'true';
+
+    const application = await createApp();
+    app = application.app;
+    graphqlServer = application.server;
+  });
+
+  beforeEach(() => {
+    database.reset();
+  });
+
+  after(async () => {
+    if (enableTestRoutes === undefined) {
+      delete process.env.ENABLE_TEST_ROUTES;
+    } else {
+      process.env.ENABLE_TEST_ROUTES = enableTestRoutes;
+    }
+
+    if (graphqlServer) {
+      await graphqlServer.stop();
+    }
+  });
+
+  it('deve limpar e resetar o banco', async () => {
+    await request(app).post('/__test/clear').expect(200);
+    expect(database.getAllUsers()).to.be.empty;
+
+    const response = await request(app).post('/__test/reset').expect(200);
+
+    expect(response.body.data).to.deep.equal({ users: 2, tasks: 2 });
+  });
+
+  it('deve aplicar fixture enviada no corpo', async () => {
+    const response = await request(app)
+      .post('/__test/seed')
+      .send({
+        data: {
+          users: [{ name: 'K6', email: 'k6@test.com', password: 'secret123' }],
+          generate: { users: 2, tasksPerUser: 3 }
+        }
+      })
+      .expect(200);
+
+    expect(response.body.data).to.deep.equal({ users: 3, tasks: 6 });
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'k6@test.com', password: 'secret123' })
+      .expect(200);
+  });
+
+  it('deve rejeitar emails já cadastrados ao aplicar sem limpar', async () => {
+    const response = await request(app)
+      .post('/__test/seed')
+      .send({ clear: false, data: { users: [{ name: 'Duplicado', email: 'user@test.com', password: 'secret123' }] } })
+      .expect(409);
+
+    expect(response.body.error.code).to.equal('EMAIL_ALREADY_EXISTS');
+    expect(database.getAllUsers()).to.have.lengthOf(2);
+  });
+
+  it('deve rejeitar fixture inexistente ou inválida', async () => {
+    const notFound = await request(app)
+      .post('/__test/seed')
+      .send({ fixture: 'inexistente' })
+      .expect(404);
+    expect(notFound.body.error.code).to.equal('FIXTURE_NOT_FOUND');
+
+    const invalid = await request(app)
+      .post('/__test/seed')
+      .send({ data: { users: [{ email: 'sem-nome@test.com' }] } })
+      .expect(400);
+    expect(invalid.body.error.code).to.equal('INVALID_FIXTURE');
+    expect(database.getAllUsers()).to.have.lengthOf(2);
+  });
+
+  it('deve gerar massa de dados sintética', async () => {
+    const response = await request(app)
+      .post('/__test/generate')
+      .send({ users: 4, tasksPerUser: 3, seed: 7 })
+      .expect(200);
+
+    expect(response.body.data).to.deep.equal({ users: 4, tasks: 12 });
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'perf1@perf.example.com', password: 'password123' })
+      .expect(200);
+
+    const invalid = await request(app)
+      .post('/__test/generate')
+      .send({ completionRate: 5 })
+      .expect(400);
+    expect(invalid.body.error.code).to.equal('VALIDATION_ERROR');
+  });
+
+  it('deve restaurar o estado de um snapshot', async () => {
+    const snapshot = await request(app).post('/__test/snapshots').expect(201);
+    const [task] = database.getAllTasks();
+
+    database.deleteTask(task.id);
+    database.createUser({ name: 'Temporário', email: 'temp@test.com', role: 'user' });
+
+    await request(app)
+      .post(`/__test/snapshots/${snapshot.body.data.snapshotId}/restore`)
+      .expect(200);
+
+    expect(database.getTaskById(task.id)).to.deep.equal(task);
+    expect(database.getUserByEmail('temp@test.com')).to.be.undefined;
+
+    await request(app).post('/__test/snapshots/inexistente/restore').expect(404);
+  });
+
+  it('deve exigir X-Test-Token quando configurado', async () => {
+    process.env.TEST_ROUTES_TOKEN = 'segredo';
+
+    try {
+      const response = await request(app).post('/__test/reset').expect(403);
+      expect(response.body.error.code).to.equal('INVALID_TEST_TOKEN');
+
+      await request(app).post('/__test/reset').set('X-Test-Token', 'segredo').expect(200);
+    } finally {
+      delete process.env.TEST_ROUTES_TOKEN;
+    }
+  });
+});
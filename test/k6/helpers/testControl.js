@@ -0,0 +1,40 @@
+import http from 'k6/http';
+import { check } from 'k6';
+
+// Requer o servidor com NODE_ENV=test ou ENABLE_TEST_ROUTES=true
+function post(path, body = {}) {
+  const params = {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  };
+
+  if (__ENV.TEST_ROUTES_TOKEN) {
+    params.headers['X-Test-Token'] = __ENV.TEST_ROUTES_TOKEN;
+  }
+
+  return http.post(`${__ENV.BASE_URL}/__test${path}`, JSON.stringify(body), params);
+}
+
+/**
+ * Reseta o banco para a fixture padrão do ambiente
+ */
+export function resetDatabase() {
+  const response = post('/reset');
+
+  check(response, {
+    'reset status is 200': (r) => r.status === 200,
+  });
+}
+
+/**
+ * Aplica uma fixture de seeds/ no banco
+ * @param {string} fixture - Nome do arquivo, sem extensão (ex.: performance)
+ */
+export function seedDatabase(fixture) {
+  const response = post('/seed', { fixture: fixture });
+
+  check(response, {
+    'seed status is 200': (r) => r.status === 200,
+  });
+}
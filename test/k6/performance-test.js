@@ -2,6 +2,7 @@ import http from 'k6/http';
 import { check, group, sleep } from 'k6';
 import { Rate, Trend } from 'k6/metrics';
 import { login } from './helpers/auth.js';
+import { seedDatabase } from './helpers/testControl.js';
 
 // Funções utilitárias para geração de dados dinâmicos
 function randomString(length = 10) {
@@ -41,6 +42,11 @@ const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 const users = JSON.parse(open('./data/users.json'));
 
 export function setup() {
+  // Banco em estado conhecido, quando o servidor expõe /__test (ex.: SEED_FIXTURE=performance)
+  if (__ENV.SEED_FIXTURE) {
+    seedDatabase(__ENV.SEED_FIXTURE);
+  }
+
   // Registrar usuários uma vez
   for (const user of users) {
     const registerResponse = http.post(`${BASE_URL}/api/auth/register`, JSON.stringify({
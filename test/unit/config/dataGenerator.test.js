@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const bcrypt = require('bcryptjs');
+const sinon = require('sinon');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const { generateDataset, populate, toK6Users } = require('../../../src/config/dataGenerator');
+
+describe('Data Generator Unit Tests', () => {
+  const now = new Date('2024-06-01T00:00:00.000Z');
+
+  describe('generateDataset', () => {
+    it('deve ser determinístico para o mesmo seed', () => {
+      const first = generateDataset({ seed: 42, users: 5, tasksPerUser: 4, now });
+      const second = generateDataset({ seed: 42, users: 5, tasksPerUser: 4, now });
+      const other = generateDataset({ seed: 43, users: 5, tasksPerUser: 4, now });
+
+      expect(first).to.deep.equal(second);
+      expect(other.tasks.map(task => task.id)).to.not.deep.equal(first.tasks.map(task => task.id));
+    });
+
+    it('deve gerar as mesmas datas sem now, independente do relógio', () => {
+      const clock = sinon.useFakeTimers(new Date('2030-01-01T00:00:00.000Z'));
+      try {
+        const first = generateDataset({ seed: 7, users: 3, tasksPerUser: 3 });
+        clock.tick(5 * 24 * 60 * 60 * 1000);
+        const second = generateDataset({ seed: 7, users: 3, tasksPerUser: 3 });
+
+        expect(first).to.deep.equal(second);
+        expect(first.tasks[0].createdAt.getTime()).to.be.at.most(new Date('2025-01-01T00:00:00.000Z').getTime());
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('deve respeitar quantidades e variação de tarefas por usuário', () => {
+      const dataset = generateDataset({ users: 20, tasksPerUser: 10, tasksPerUserSpread: 0.5, now });
+
+      expect(dataset.users).to.have.lengthOf(20);
+      dataset.users.forEach(user => {
+        const count = dataset.tasks.filter(task => task.userId === user.id).length;
+        expect(count).to.be.within(5, 15);
+      });
+    });
+
+    it('deve aplicar as distribuições configuradas', () => {
+      const dataset = generateDataset({
+        users: 10,
+        tasksPerUser: 50,
+        priorities: { low: 0, medium: 0, high: 1 },
+        completionRate: 1,
+        titleWords: { min: 3, max: 3 },
+        descriptionLength: { min: 0, max: 0 },
+        timestamps: { days: 7 },
+        now
+      });
+
+      dataset.tasks.forEach(task => {
+        expect(task).to.include({ priority: 'high', completed: true, description: '' });
+        expect(task.title.split(' ')).to.have.lengthOf(3);
+        expect(task.createdAt.getTime()).to.be.within(now.getTime() - 7 * 24 * 60 * 60 * 1000, now.getTime());
+        expect(task.updatedAt.getTime()).to.be.at.least(task.createdAt.getTime());
+      });
+    });
+
+    it('deve rejeitar opções inválidas', () => {
+      expect(() => generateDataset({ completionRate: 2 })).to.throw('Opções do gerador inválidas');
+      expect(() => generateDataset({ priorities: { low: 0, medium: 0, high: 0 } })).to.throw('Opções do gerador inválidas');
+    });
+  });
+
+  describe('populate', () => {
+    it('deve substituir os dados e permitir login com a senha gerada', () => {
+      const database = new MemoryAdapter().init();
+      const dataset = generateDataset({ users: 3, tasksPerUser: 2, now });
+
+      populate(database, dataset);
+
+      expect(database.getAllUsers()).to.have.lengthOf(3);
+      expect(database.getAllTasks()).to.have.lengthOf(6);
+      expect(database.getUserByEmail('admin@test.com')).to.be.undefined;
+      expect(bcrypt.compareSync('password123', database.getUserByEmail('perf1@perf.example.com').password)).to.be.true;
+    });
+
+    it('deve somar aos dados existentes com append', () => {
+      const database = new MemoryAdapter().init();
+
+      populate(database, generateDataset({ users: 3, tasksPerUser: 2, now }), { append: true });
+
+      expect(database.getAllUsers()).to.have.lengthOf(5);
+      expect(database.getAllTasks()).to.have.lengthOf(8);
+      expect(() => populate(database, generateDataset({ users: 1, now }), { append: true })).to.throw('perf1@perf.example.com');
+    });
+  });
+
+  describe('toK6Users', () => {
+    it('deve listar apenas usuários comuns com a senha em texto puro', () => {
+      const dataset = generateDataset({ users: 30, adminRatio: 0.5, tasksPerUser: 0, now });
+
+      const accounts = toK6Users(dataset, 'password123', 5);
+
+      expect(accounts).to.have.lengthOf(5);
+      accounts.forEach(account => {
+        expect(account).to.have.all.keys('email', 'password', 'name');
+        expect(account.password).to.equal('password123');
+        expect(dataset.users.find(user => user.email === account.email).role).to.equal('user');
+      });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const { resolveSeedFile, loadFixture, applyFixture } = require('../../../src/config/seeds');
+
+describe('Seeds Unit Tests', () => {
+  let directory;
+  let database;
+
+  const writeFixture = (fixture) => {
+    const file = path.join(directory, 'fixture.json');
+    fs.writeFileSync(file, JSON.stringify(fixture));
+    return file;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seeds-'));
+    database = new MemoryAdapter();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete process.env.SEED_FILE;
+  });
+
+  describe('resolveSeedFile', () => {
+    it('deve priorizar SEED_FILE', () => {
+      process.env.SEED_FILE = 'custom/seed.json';
+
+      expect(resolveSeedFile()).to.equal(path.resolve('custom/seed.json'));
+    });
+
+    it('deve usar default.json quando não há fixture do ambiente', () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'ambiente-sem-fixture';
+
+      try {
+        expect(path.basename(resolveSeedFile())).to.equal('default.json');
+      } finally {
+        if (nodeEnv === undefined) {
+          delete process.env.NODE_ENV;
+        } else {
+          process.env.NODE_ENV = nodeEnv;
+        }
+      }
+    });
+  });
+
+  describe('loadFixture', () => {
+    it('deve aplicar valores padrão', () => {
+      const fixture = loadFixture(writeFixture({
+        users: [{ name: 'Seed', email: 'seed@test.com', password: 'secret123' }],
+        tasks: [{ title: 'Tarefa', owner: 'seed@test.com' }]
+      }));
+
+      expect(fixture.users[0]).to.have.property('role', 'user');
+      expect(fixture.tasks[0]).to.include({ priority: 'medium', completed: false });
+    });
+
+    it('deve rejeitar fixture inválida', () => {
+      const file = writeFixture({ users: [{ email: 'sem-nome@test.com', password: 'secret123' }] });
+
+      expect(() => loadFixture(file)).to.throw('Fixture de seed inválida');
+    });
+  });
+
+  describe('applyFixture', () => {
+    it('deve criar usuários com senha em hash e vincular tarefas pelo email', () => {
+      applyFixture(database, loadFixture(writeFixture({
+        users: [{ name: 'Seed', email: 'seed@test.com', password: 'secret123' }],
+        tasks: [{ title: 'Tarefa', owner: 'seed@test.com' }]
+      })));
+
+      const user = database.getUserByEmail('seed@test.com');
+      expect(user.password).to.not.equal('secret123');
+      expect(database.getTasksByUserId(user.id).map(task => task.title)).to.deep.equal(['Tarefa']);
+    });
+
+    it('deve gerar a quantidade configurada de registros', () => {
+      applyFixture(database, loadFixture(writeFixture({
+        generate: { users: 3, tasksPerUser: 4 }
+      })));
+
+      expect(database.getAllUsers()).to.have.lengthOf(3);
+      expect(database.getAllTasks()).to.have.lengthOf(12);
+      expect(database.getUserByEmail('seed2@seed.example.com')).to.exist;
+    });
+
+    it('não deve aplicar nada se uma tarefa referencia usuário inexistente', () => {
+      const fixture = loadFixture(writeFixture({
+        users: [{ name: 'Seed', email: 'seed@test.com', password: 'secret123' }],
+        tasks: [{ title: 'Órfã', owner: 'ninguem@test.com' }]
+      }));
+
+      expect(() => applyFixture(database, fixture)).to.throw('ninguem@test.com');
+      expect(database.getAllUsers()).to.be.empty;
+    });
+
+    it('não deve aplicar nada se um email já existe no banco', () => {
+      const fixture = loadFixture(writeFixture({
+        users: [
+          { name: 'Nova', email: 'nova@test.com', password: 'secret123' },
+          { name: 'Seed', email: 'seed@test.com', password: 'secret123' }
+        ]
+      }));
+      database.createUser({ name: 'Existente', email: 'seed@test.com', password: 'hash' });
+
+      expect(() => applyFixture(database, fixture)).to.throw('Email já cadastrado no banco: seed@test.com');
+      expect(database.getAllUsers()).to.have.lengthOf(1);
+    });
+  });
+});
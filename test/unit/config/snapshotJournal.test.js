@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const SnapshotJournal = require('../../../src/config/adapters/snapshotJournal');
+const { LATEST_SCHEMA_VERSION } = require('../../../src/config/migrations');
+
+describe('SnapshotJournal Unit Tests', () => {
+  let directory;
+
+  // Simula um boot do servidor sobre o mesmo diretório de persistência
+  const boot = () => new MemoryAdapter({
+    persistence: new SnapshotJournal({ directory, snapshotIntervalMs: 0 })
+  }).init();
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-journal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('deve restaurar operações do journal após reinício', () => {
+    const database = boot();
+    const user = database.createUser({ name: 'K6 User', email: 'k6@test.com', role: 'user' });
+    const task = database.createTask({ title: 'Tarefa', userId: user.id, completed: false, priority: 'low' });
+    database.updateTask(task.id, { completed: true });
+    database.deleteTask(database.getAllTasks()[0].id);
+
+    const restored = boot();
+
+    expect(restored.getAllUsers()).to.have.lengthOf(3);
+    expect(restored.getUserByEmail('k6@test.com')).to.deep.equal(user);
+    expect(restored.getTaskById(task.id).completed).to.be.true;
+    expect(restored.getTaskById(task.id).updatedAt).to.be.instanceOf(Date);
+    expect(restored.getAllTasks()).to.have.lengthOf(2);
+  });
+
+  it('deve restaurar checklist, comentários e compartilhamentos após reinício', () => {
+    const database = boot();
+    const [admin, user] = database.getAllUsers();
+    const [task] = database.getTasksByUserId(user.id);
+    database.addChecklistItem(task.id, { title: 'Item' });
+    database.addComment(task.id, { userId: admin.id, text: 'Comentário' });
+    database.shareTask(task.id, admin.id, 'viewer');
+    database.assignTask(task.id, admin.id);
+
+    const restored = boot().getTaskById(task.id);
+
+    expect(restored.checklist.map(item => item.title)).to.deep.equal(['Item']);
+    expect(restored.comments.map(comment => comment.text)).to.deep.equal(['Comentário']);
+    expect(restored.shares.map(share => share.userId)).to.deep.equal([admin.id]);
+    expect(restored.assigneeId).to.equal(admin.id);
+  });
+
+  it('deve restaurar o histórico de revisões após reinício', () => {
+    const database = boot();
+    const [task] = database.getAllTasks();
+    database.updateTask(task.id, { title: 'Renomeada' });
+    const revisions = database.getTaskRevisions(task.id);
+
+    expect(boot().getTaskRevisions(task.id)).to.deep.equal(revisions);
+
+    database.snapshot();
+    expect(boot().getTaskRevisions(task.id)).to.deep.equal(revisions);
+  });
+
+  it('deve truncar o journal ao gravar snapshot', () => {
+    const database = boot();
+    database.createUser({ name: 'K6 User', email: 'k6@test.com', role: 'user' });
+
+    database.snapshot();
+
+    expect(fs.readFileSync(path.join(directory, 'journal.log'), 'utf8')).to.equal('');
+    expect(boot().getUserByEmail('k6@test.com')).to.exist;
+  });
+
+  it('deve reaplicar clear seguido dos dados padrão', () => {
+    const database = boot();
+    database.createUser({ name: 'K6 User', email: 'k6@test.com', role: 'user' });
+
+    database.reset();
+
+    const restored = boot();
+    expect(restored.getAllUsers()).to.have.lengthOf(2);
+    expect(restored.getUserByEmail('k6@test.com')).to.be.undefined;
+  });
+
+  it('não deve registrar no journal operações de transação desfeita', () => {
+    const database = boot();
+
+    expect(() => database.transaction(db => {
+      db.createUser({ name: 'K6 User', email: 'k6@test.com', role: 'user' });
+      throw new Error('Falha');
+    })).to.throw('Falha');
+    database.transaction(db => db.createUser({ name: 'Outro', email: 'outro@test.com', role: 'user' }));
+
+    const restored = boot();
+    expect(restored.getUserByEmail('k6@test.com')).to.be.undefined;
+    expect(restored.getUserByEmail('outro@test.com')).to.exist;
+  });
+
+  it('deve ignorar entrada incompleta no final do journal', () => {
+    const database = boot();
+    database.createUser({ name: 'K6 User', email: 'k6@test.com', role: 'user' });
+    fs.appendFileSync(path.join(directory, 'journal.log'), '{"op":"createUser","rec');
+
+    expect(boot().getUserByEmail('k6@test.com')).to.exist;
+  });
+
+  it('deve migrar snapshot anterior às migrações e persistir a versão de schema', () => {
+    fs.writeFileSync(path.join(directory, 'snapshot.json'), JSON.stringify({
+      users: [{ id: 'legado', name: 'Legado', email: 'legado@test.com', role: 'user' }],
+      tasks: []
+    }));
+
+    const database = boot();
+
+    expect(database.getUserById('legado').version).to.equal(1);
+    expect(database.getSchemaVersion()).to.equal(LATEST_SCHEMA_VERSION);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'snapshot.json'), 'utf8')).schemaVersion)
+      .to.equal(LATEST_SCHEMA_VERSION);
+  });
+
+  it('não deve gravar snapshot nem truncar o journal ao fechar sem persistir', () => {
+    const legacySnapshot = JSON.stringify({
+      users: [{ id: 'legado', name: 'Legado', email: 'legado@test.com', role: 'user' }],
+      tasks: []
+    });
+    fs.writeFileSync(path.join(directory, 'snapshot.json'), legacySnapshot);
+    const database = new MemoryAdapter({ persistence: new SnapshotJournal({ directory, snapshotIntervalMs: 0 }) });
+    database.journal('createUser', { record: { id: 'novo', name: 'Novo', email: 'novo@test.com', role: 'user' } });
+    const journal = fs.readFileSync(path.join(directory, 'journal.log'), 'utf8');
+
+    // Como em migrate.js --dry-run
+    database.migrate({ dryRun: true });
+    database.close({ persist: false });
+
+    expect(fs.readFileSync(path.join(directory, 'snapshot.json'), 'utf8')).to.equal(legacySnapshot);
+    expect(fs.readFileSync(path.join(directory, 'journal.log'), 'utf8')).to.equal(journal).and.not.equal('');
+  });
+});
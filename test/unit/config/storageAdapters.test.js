@@ -0,0 +1,577 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BetterSqlite3 = require('better-sqlite3');
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const SqliteAdapter = require('../../../src/config/adapters/sqliteAdapter');
+const { requestContext, setActor } = require('../../../src/middleware/requestContext');
+const { LATEST_SCHEMA_VERSION } = require('../../../src/config/migrations');
+
+/**
+ * O mesmo contrato é verificado contra todos os adapters de armazenamento,
+ * garantindo que controllers e resolvers funcionem com qualquer um deles
+ */
+const adapterFactories = {
+  MemoryAdapter: () => new MemoryAdapter(),
+  SqliteAdapter: () => new SqliteAdapter({ filename: ':memory:' })
+};
+
+Object.entries(adapterFactories).forEach(([name, createAdapter]) => {
+  describe(`${name} Unit Tests`, () => {
+    let database;
+
+    beforeEach(() => {
+      database = createAdapter().init();
+    });
+
+    afterEach(() => {
+      database.close();
+    });
+
+    describe('seedData', () => {
+      it('deve popular usuários e tarefas padrão', () => {
+        expect(database.getAllUsers()).to.have.lengthOf(2);
+        expect(database.getAllTasks()).to.have.lengthOf(2);
+        expect(database.getUserByEmail('admin@test.com')).to.have.property('role', 'admin');
+      });
+
+      it('não deve duplicar dados padrão ao reinicializar', () => {
+        database.init();
+
+        expect(database.getAllUsers()).to.have.lengthOf(2);
+      });
+    });
+
+    describe('Users', () => {
+      it('deve criar e buscar usuário por id e email', () => {
+        const user = database.createUser({ name: 'Novo', email: 'novo@test.com', password: 'hash', role: 'user' });
+
+        expect(user).to.have.property('id');
+        expect(user.createdAt).to.be.instanceOf(Date);
+        expect(database.getUserById(user.id)).to.deep.equal(user);
+        expect(database.getUserByEmail('novo@test.com')).to.deep.equal(user);
+      });
+
+      it('deve atualizar usuário preservando campos existentes', () => {
+        const user = database.createUser({ name: 'Novo', email: 'novo@test.com', role: 'user' });
+
+        const updatedUser = database.updateUser(user.id, { name: 'Atualizado' });
+
+        expect(updatedUser).to.include({ id: user.id, name: 'Atualizado', email: 'novo@test.com' });
+        expect(database.getUserById(user.id).name).to.equal('Atualizado');
+        expect(database.getUserByEmail('novo@test.com').id).to.equal(user.id);
+      });
+
+      it('deve refletir troca de email na busca por email', () => {
+        const user = database.createUser({ name: 'Novo', email: 'novo@test.com', role: 'user' });
+
+        database.updateUser(user.id, { email: 'trocado@test.com' });
+
+        expect(database.getUserByEmail('novo@test.com')).to.be.undefined;
+        expect(database.getUserByEmail('trocado@test.com').id).to.equal(user.id);
+      });
+
+      it('deve retornar null ao atualizar usuário inexistente', () => {
+        expect(database.updateUser('inexistente', { name: 'X' })).to.be.null;
+      });
+
+      it('deve deletar usuário', () => {
+        const user = database.createUser({ name: 'Novo', email: 'novo@test.com', role: 'user' });
+
+        expect(database.deleteUser(user.id)).to.be.true;
+        expect(database.getUserById(user.id)).to.be.undefined;
+        expect(database.deleteUser(user.id)).to.be.false;
+      });
+    });
+
+    describe('Tasks', () => {
+      it('deve filtrar tarefas por usuário mantendo a ordem de criação', () => {
+        const user = database.getUserByEmail('admin@test.com');
+        const first = database.createTask({ title: 'Primeira', userId: user.id, completed: false, priority: 'low' });
+        const second = database.createTask({ title: 'Segunda', userId: user.id, completed: false, priority: 'low' });
+
+        expect(database.getAllTasks(user.id).map(task => task.id)).to.deep.equal([first.id, second.id]);
+        expect(database.getTasksByUserId(user.id)).to.have.lengthOf(2);
+        expect(database.getAllTasks()).to.have.lengthOf(4);
+      });
+
+      it('deve refletir troca de dono e remoção na busca por usuário', () => {
+        const admin = database.getUserByEmail('admin@test.com');
+        const user = database.getUserByEmail('user@test.com');
+        const [task, otherTask] = database.getTasksByUserId(user.id);
+
+        database.updateTask(task.id, { userId: admin.id });
+        database.deleteTask(otherTask.id);
+
+        expect(database.getTasksByUserId(user.id)).to.be.empty;
+        expect(database.getTasksByUserId(admin.id).map(t => t.id)).to.deep.equal([task.id]);
+      });
+
+      it('deve buscar pelos índices as tarefas próprias, atribuídas e compartilhadas', () => {
+        const admin = database.getUserByEmail('admin@test.com');
+        const user = database.getUserByEmail('user@test.com');
+        const [own] = database.getTasksByUserId(user.id);
+        const [assigned, shared, other] = ['Atribuída', 'Compartilhada', 'Outra']
+          .map(title => database.createTask({ title, userId: admin.id, completed: false, priority: 'low' }));
+        database.assignTask(assigned.id, user.id);
+        database.shareTask(shared.id, user.id, 'viewer');
+        database.shareTask(other.id, admin.id, 'viewer');
+
+        // Sem varrer a coleção inteira
+        database._all = () => {
+          throw new Error('varredura completa');
+        };
+        const ids = () => database.getAllTasks(user.id, { includeShared: true }).map(task => task.id);
+
+        expect(ids()).to.include.members([own.id, assigned.id, shared.id]).and.not.include(other.id);
+
+        database.assignTask(assigned.id, null);
+        database.unshareTask(shared.id, user.id);
+        expect(ids()).to.not.include.members([assigned.id, shared.id]);
+
+        expect(() => database.transaction(() => {
+          database.shareTask(other.id, user.id, 'editor');
+          throw new Error('Falha');
+        })).to.throw('Falha');
+        expect(ids()).to.not.include(other.id);
+      });
+
+      it('deve atualizar e deletar tarefa', () => {
+        const [task] = database.getAllTasks();
+
+        const updatedTask = database.updateTask(task.id, { completed: true });
+
+        expect(updatedTask.completed).to.be.true;
+        expect(database.getTaskById(task.id).updatedAt).to.be.instanceOf(Date);
+        expect(database.deleteTask(task.id)).to.be.true;
+        expect(database.getTaskById(task.id)).to.be.undefined;
+      });
+    });
+
+    describe('Checklist', () => {
+      it('deve manter a ordem dos itens e concluir a tarefa com autoComplete', () => {
+        const [task] = database.getAllTasks();
+        database.updateTask(task.id, { autoComplete: true });
+
+        const first = database.addChecklistItem(task.id, { title: 'Primeiro' }).checklist[0];
+        const second = database.addChecklistItem(task.id, { title: 'Segundo' }, 0).checklist[0];
+        expect(database.getTaskById(task.id).checklist.map(item => item.title)).to.deep.equal(['Segundo', 'Primeiro']);
+        expect(database.getTaskById(task.id).checklist[0].createdAt).to.be.instanceOf(Date);
+
+        expect(database.reorderChecklist(task.id, [second.id])).to.be.null;
+        database.reorderChecklist(task.id, [first.id, second.id]);
+        database.updateChecklistItem(task.id, first.id, { done: true });
+        expect(database.getTaskById(task.id).completed).to.be.false;
+
+        const completed = database.updateChecklistItem(task.id, second.id, { done: true });
+        expect(completed.completed).to.be.true;
+        expect(completed.checklist.map(item => item.title)).to.deep.equal(['Primeiro', 'Segundo']);
+
+        expect(database.removeChecklistItem(task.id, 'inexistente')).to.be.null;
+        expect(database.removeChecklistItem(task.id, first.id).checklist).to.have.lengthOf(1);
+      });
+    });
+
+    describe('Tags', () => {
+      let user;
+      let otherUser;
+
+      beforeEach(() => {
+        user = database.getUserByEmail('user@test.com');
+        otherUser = database.getUserByEmail('admin@test.com');
+        database.createTask({ title: 'A', userId: user.id, tags: ['casa', 'urgente'] });
+        database.createTask({ title: 'B', userId: user.id, tags: ['trabalho'] });
+        database.createTask({ title: 'C', userId: otherUser.id, tags: ['casa'] });
+      });
+
+      it('deve listar as tags do usuário com a contagem de tarefas', () => {
+        expect(database.getTagsByUserId(user.id)).to.deep.equal([
+          { name: 'casa', count: 1 },
+          { name: 'trabalho', count: 1 },
+          { name: 'urgente', count: 1 }
+        ]);
+      });
+
+      it('deve renomear, mesclar e remover tags apenas nas tarefas do usuário', () => {
+        expect(database.renameTag(user.id, 'casa', 'lar')).to.equal(1);
+        expect(database.mergeTags(user.id, ['lar', 'trabalho'], 'urgente')).to.equal(2);
+
+        expect(database.getTagsByUserId(user.id)).to.deep.equal([{ name: 'urgente', count: 2 }]);
+        expect(database.getTagsByUserId(otherUser.id)).to.deep.equal([{ name: 'casa', count: 1 }]);
+
+        expect(database.deleteTag(user.id, 'urgente')).to.equal(2);
+        expect(database.deleteTag(user.id, 'urgente')).to.equal(0);
+        expect(database.getTagsByUserId(user.id)).to.be.empty;
+      });
+    });
+
+    describe('Lixeira', () => {
+      it('deve ocultar tarefa deletada das buscas padrão', () => {
+        const [task] = database.getAllTasks();
+
+        database.deleteTask(task.id);
+
+        expect(database.getTaskById(task.id)).to.be.undefined;
+        expect(database.getAllTasks().map(t => t.id)).to.not.include(task.id);
+        expect(database.getTasksByUserId(task.userId).map(t => t.id)).to.not.include(task.id);
+        expect(database.getDeletedTasks().map(t => t.id)).to.deep.equal([task.id]);
+        expect(database.getTaskById(task.id, { includeDeleted: true }).deletedAt).to.be.instanceOf(Date);
+      });
+
+      it('deve restaurar e remover definitivamente', () => {
+        const [task, otherTask] = database.getAllTasks();
+        database.deleteTask(task.id);
+        database.deleteTask(otherTask.id);
+
+        const restoredTask = database.restoreTask(task.id);
+
+        expect(restoredTask).to.not.have.property('deletedAt');
+        expect(database.getTaskById(task.id)).to.exist;
+        expect(database.purgeTask(task.id)).to.be.false;
+        expect(database.purgeTask(otherTask.id)).to.be.true;
+        expect(database.getTaskById(otherTask.id, { includeDeleted: true })).to.be.undefined;
+      });
+
+      it('deve ocultar usuário deletado inclusive na busca por email', () => {
+        const user = database.getUserByEmail('user@test.com');
+
+        database.deleteUser(user.id);
+
+        expect(database.getUserByEmail('user@test.com')).to.be.undefined;
+        expect(database.getAllUsers()).to.have.lengthOf(1);
+        expect(database.getDeletedUsers().map(u => u.id)).to.deep.equal([user.id]);
+        expect(database.restoreUser(user.id).email).to.equal('user@test.com');
+        expect(database.getUserByEmail('user@test.com')).to.exist;
+      });
+    });
+
+    describe('Eventos de domínio', () => {
+      let events;
+
+      beforeEach(() => {
+        events = [];
+        database.on('change', event => events.push(event));
+      });
+
+      it('deve emitir eventos com snapshots antes/depois', () => {
+        const [task] = database.getAllTasks();
+
+        database.updateTask(task.id, { title: 'Novo título' });
+        database.deleteTask(task.id);
+        database.restoreTask(task.id);
+        database.deleteTask(task.id);
+        database.purgeTask(task.id);
+
+        expect(events.map(event => event.type)).to.deep.equal([
+          'task.updated', 'task.deleted', 'task.restored', 'task.deleted', 'task.purged'
+        ]);
+        expect(events[0].before.title).to.equal(task.title);
+        expect(events[0].after.title).to.equal('Novo título');
+        expect(events[4].after).to.be.null;
+        expect(events[4].id).to.equal(task.id);
+      });
+
+      it('deve emitir o tipo específico sem expor a senha do usuário', () => {
+        const created = [];
+        database.on('user.created', event => created.push(event));
+
+        database.createUser({ name: 'Novo', email: 'novo@test.com', password: 'hash', role: 'user' });
+
+        expect(created).to.have.lengthOf(1);
+        expect(created[0].before).to.be.null;
+        expect(created[0].after).to.not.have.property('password');
+      });
+
+      it('deve incluir o ator da requisição atual', (done) => {
+        requestContext({}, {}, () => {
+          setActor({ id: 'actor-id', email: 'actor@test.com', role: 'admin', name: 'Actor' });
+          database.createUser({ name: 'Novo', email: 'novo@test.com', role: 'user' });
+
+          expect(events[0].actor).to.deep.equal({ id: 'actor-id', email: 'actor@test.com', role: 'admin' });
+          done();
+        });
+      });
+
+      it('deve emitir eventos apenas após o commit e descartá-los no rollback', () => {
+        database.transaction(db => {
+          db.createUser({ name: 'Um', email: 'um@test.com', role: 'user' });
+          expect(events).to.be.empty;
+        });
+
+        expect(() => database.transaction(db => {
+          db.createUser({ name: 'Dois', email: 'dois@test.com', role: 'user' });
+          throw new Error('Falha');
+        })).to.throw('Falha');
+
+        expect(events.map(event => event.after.email)).to.deep.equal(['um@test.com']);
+      });
+
+      it('deve reter o reset até o commit e descartá-lo no rollback', () => {
+        let resets = 0;
+        database.on('reset', () => { resets += 1; });
+
+        expect(() => database.transaction(db => {
+          db.clear();
+          throw new Error('Falha');
+        })).to.throw('Falha');
+        expect(resets).to.equal(0);
+
+        database.transaction(db => {
+          db.clear();
+          expect(resets).to.equal(0);
+        });
+        expect(resets).to.equal(1);
+      });
+    });
+
+    describe('transaction', () => {
+      it('deve aplicar todas as alterações ao concluir', () => {
+        const user = database.getUserByEmail('user@test.com');
+
+        const result = database.transaction(db => {
+          db.updateUser(user.id, { email: 'novo@test.com' });
+          db.getTasksByUserId(user.id).forEach(task => db.deleteTask(task.id));
+          return 'ok';
+        });
+
+        expect(result).to.equal('ok');
+        expect(database.getUserByEmail('novo@test.com').id).to.equal(user.id);
+        expect(database.getTasksByUserId(user.id)).to.be.empty;
+      });
+
+      it('deve descartar todas as alterações em caso de erro', () => {
+        const user = database.getUserByEmail('user@test.com');
+        const tasksBefore = database.getAllTasks();
+
+        expect(() => database.transaction(db => {
+          db.updateUser(user.id, { email: 'novo@test.com' });
+          db.deleteTask(tasksBefore[0].id);
+          db.createTask({ title: 'Nova', userId: user.id, completed: false, priority: 'low' });
+          throw new Error('Falha no meio da operação');
+        })).to.throw('Falha no meio da operação');
+
+        expect(database.getUserByEmail('user@test.com').id).to.equal(user.id);
+        expect(database.getUserByEmail('novo@test.com')).to.be.undefined;
+        expect(database.getAllTasks()).to.deep.equal(tasksBefore);
+        expect(database.getTasksByUserId(user.id)).to.have.lengthOf(2);
+      });
+
+      it('deve desfazer apenas a transação interna que falhou', () => {
+        database.transaction(db => {
+          db.createUser({ name: 'Externo', email: 'externo@test.com', role: 'user' });
+
+          try {
+            db.transaction(inner => {
+              inner.createUser({ name: 'Interno', email: 'interno@test.com', role: 'user' });
+              throw new Error('Falha interna');
+            });
+          } catch (error) {
+            // Ignorado: a transação externa continua
+          }
+        });
+
+        expect(database.getUserByEmail('externo@test.com')).to.exist;
+        expect(database.getUserByEmail('interno@test.com')).to.be.undefined;
+      });
+
+      it('deve restaurar o estado original quando ambas as transações falham', () => {
+        const tasksBefore = database.getAllTasks();
+
+        expect(() => database.transaction(db => {
+          try {
+            db.transaction(inner => {
+              inner.deleteTask(tasksBefore[0].id);
+              throw new Error('Falha interna');
+            });
+          } catch (error) {
+            // Ignorado: a transação externa continua
+          }
+          db.deleteTask(tasksBefore[1].id);
+          throw new Error('Falha externa');
+        })).to.throw('Falha externa');
+
+        expect(database.getAllTasks()).to.deep.equal(tasksBefore);
+      });
+
+      it('deve rejeitar funções assíncronas', () => {
+        expect(() => database.transaction(async db => {
+          db.createUser({ name: 'Async', email: 'async@test.com', role: 'user' });
+        })).to.throw('Transações não suportam funções assíncronas');
+
+        expect(database.getUserByEmail('async@test.com')).to.be.undefined;
+      });
+
+      it('deve recusar funções assíncronas sem executá-las', () => {
+        let called = false;
+
+        expect(() => database.transaction(async () => {
+          called = true;
+        })).to.throw('Transações não suportam funções assíncronas');
+        expect(called).to.be.false;
+      });
+
+      it('deve desfazer funções que retornam uma promise', () => {
+        expect(() => database.transaction(db => {
+          db.createUser({ name: 'Promise', email: 'promise@test.com', role: 'user' });
+          return Promise.resolve();
+        })).to.throw('Transações não suportam funções assíncronas');
+
+        expect(database.getUserByEmail('promise@test.com')).to.be.undefined;
+      });
+    });
+
+    describe('migrate', () => {
+      // Adapter com dados gravados antes do controle de versão de schema
+      let legacy;
+
+      const testMigrations = [
+        { version: 1, description: 'Versão', tasks: task => ({ version: 1, ...task }) },
+        { version: 2, description: 'Tags', tasks: task => ({ tags: [], ...task }) }
+      ];
+
+      beforeEach(() => {
+        legacy = createAdapter();
+        legacy._put('users', { id: 'u1', name: 'Legado', email: 'legado@test.com', role: 'user' });
+        legacy._put('tasks', { id: 't1', title: 'Antiga', userId: 'u1', completed: false, priority: 'low' });
+        legacy._put('tasks', { id: 't2', title: 'Versionada', userId: 'u1', completed: false, priority: 'low', version: 4, tags: ['x'] });
+      });
+
+      afterEach(() => {
+        legacy.close();
+      });
+
+      it('deve registrar a versão mais recente em banco novo', () => {
+        expect(database.getSchemaVersion()).to.equal(LATEST_SCHEMA_VERSION);
+        expect(database.migrate().migrations).to.be.empty;
+      });
+
+      it('deve aplicar migrações pendentes em ordem', () => {
+        const report = legacy.migrate({ migrations: testMigrations });
+
+        expect(report).to.deep.include({ dryRun: false, fromVersion: 0, toVersion: 2 });
+        expect(report.migrations.map(migration => migration.changes)).to.deep.equal([
+          { users: 0, tasks: 1, revisions: 0 },
+          { users: 0, tasks: 1, revisions: 0 }
+        ]);
+        expect(legacy.getSchemaVersion()).to.equal(2);
+        expect(legacy.getTaskById('t1')).to.include({ version: 1 });
+        expect(legacy.getTaskById('t1').tags).to.deep.equal([]);
+        expect(legacy.getTaskById('t2').tags).to.deep.equal(['x']);
+        expect(legacy.migrate({ migrations: testMigrations }).migrations).to.be.empty;
+      });
+
+      it('deve aplicar apenas migrações posteriores à versão gravada', () => {
+        legacy.migrate({ migrations: testMigrations.slice(0, 1) });
+
+        const report = legacy.migrate({ migrations: testMigrations });
+
+        expect(report.fromVersion).to.equal(1);
+        expect(report.migrations.map(migration => migration.version)).to.deep.equal([2]);
+      });
+
+      it('deve apenas relatar as alterações em dry-run', () => {
+        const report = legacy.migrate({ migrations: testMigrations, dryRun: true });
+
+        expect(report.migrations).to.have.lengthOf(2);
+        expect(legacy.getSchemaVersion()).to.be.null;
+        expect(legacy.getTaskById('t1')).to.not.have.property('version');
+      });
+
+      it('deve manter os dados intactos se uma migração falhar', () => {
+        const failing = [...testMigrations, { version: 3, description: 'Falha', users: () => { throw new Error('Falha na migração'); } }];
+
+        expect(() => legacy.migrate({ migrations: failing })).to.throw('Falha na migração');
+        expect(legacy.getSchemaVersion()).to.be.null;
+        expect(legacy.getTaskById('t1')).to.not.have.property('version');
+      });
+
+      it('deve mover as revisões gravadas nas tarefas para a coleção revisions', () => {
+        const revision = { id: 'r1', version: 1, actorId: 'u1', timestamp: new Date('2024-01-01T00:00:00Z'), changes: [] };
+        legacy._put('tasks', { id: 't3', title: 'Com histórico', userId: 'u1', version: 1, revisions: [revision] });
+        legacy._setSchemaVersion(9);
+
+        const report = legacy.migrate();
+
+        expect(report.migrations.map(migration => migration.changes)).to.deep.equal([{ users: 0, tasks: 1, revisions: 1 }]);
+        expect(legacy.getTaskById('t3')).to.not.have.property('revisions');
+        expect(legacy.getTaskRevisions('t3')).to.deep.equal([{ ...revision, taskId: 't3' }]);
+        expect(legacy.migrate().migrations).to.be.empty;
+      });
+
+      it('deve recusar versão de schema mais nova que a suportada', () => {
+        legacy.migrate({ migrations: testMigrations });
+
+        expect(() => legacy.migrate({ migrations: testMigrations.slice(0, 1) })).to.throw('mais nova que a suportada');
+      });
+    });
+
+    describe('reset', () => {
+      it('deve restaurar apenas os dados padrão', () => {
+        database.createUser({ name: 'Novo', email: 'novo@test.com', role: 'user' });
+
+        database.reset();
+
+        expect(database.getAllUsers()).to.have.lengthOf(2);
+        expect(database.getUserByEmail('novo@test.com')).to.be.undefined;
+      });
+    });
+  });
+});
+
+describe('SqliteAdapter em arquivo', () => {
+  let directory;
+  let filename;
+
+  const listTables = () => {
+    const db = new BetterSqlite3(filename, { readonly: true });
+    try {
+      return db.prepare("SELECT name FROM sqlite_master WHERE type IN ('table', 'index')").all().map(row => row.name);
+    } finally {
+      db.close();
+    }
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-adapter-'));
+    filename = path.join(directory, 'database.sqlite');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('não deve criar tabelas em um migrate dry-run', () => {
+    const database = new SqliteAdapter({ filename });
+    const report = database.migrate({ dryRun: true });
+    database.close();
+
+    expect(report).to.deep.include({ dryRun: true, fromVersion: LATEST_SCHEMA_VERSION });
+    expect(listTables()).to.be.empty;
+  });
+
+  it('deve preencher os índices de responsável e compartilhamentos em bancos anteriores a eles', () => {
+    const task = { id: 't1', title: 'Antiga', userId: 'u1', assigneeId: 'u2', shares: [{ userId: 'u3', role: 'viewer' }], version: 1 };
+    const db = new BetterSqlite3(filename);
+    db.exec('CREATE TABLE tasks (id TEXT PRIMARY KEY, user_id TEXT, data TEXT NOT NULL)');
+    db.prepare('INSERT INTO tasks (id, user_id, data) VALUES (?, ?, ?)').run(task.id, task.userId, JSON.stringify(task));
+    db.close();
+
+    const database = new SqliteAdapter({ filename });
+    try {
+      expect(database._find('tasks', 'assigneeId', 'u2').map(t => t.id)).to.deep.equal(['t1']);
+      expect(database._find('tasks', 'shares.userId', 'u3').map(t => t.id)).to.deep.equal(['t1']);
+    } finally {
+      database.close();
+    }
+  });
+
+  it('deve criar as tabelas no primeiro acesso fora do dry-run', () => {
+    const database = new SqliteAdapter({ filename });
+    database.migrate({ dryRun: true });
+    database.init();
+    database.close();
+
+    expect(listTables()).to.include.members(['meta', 'users', 'tasks', 'idx_tasks_user_id']);
+  });
+});
@@ -13,6 +13,7 @@ describe('TaskController Unit Tests', () => {
       body: {},
       params: {},
       query: {},
+      headers: {},
       user: {
         id: 'user-id',
         email: 'user@test.com',
@@ -22,7 +23,8 @@ describe('TaskController Unit Tests', () => {
     
     res = {
       status: sinon.stub().returnsThis(),
-      json: sinon.stub().returnsThis()
+      json: sinon.stub().returnsThis(),
+      set: sinon.stub().returnsThis()
     };
     
     next = sinon.stub();
@@ -425,6 +427,52 @@ describe('TaskController Unit Tests', () => {
       expect(responseData.error).to.have.property('code', 'TASK_NOT_FOUND');
     });
 
+    it('deve retornar 412 quando If-Match não corresponde à versão atual', async () => {
+      // Arrange
+      req.params.id = 'task-id';
+      req.body = { title: 'Updated Title' };
+      req.headers['if-match'] = '"1"';
+
+      databaseStub.getTaskById.returns({
+        id: 'task-id',
+        title: 'Original Task',
+        userId: 'user-id',
+        version: 2
+      });
+
+      // Act
+      await taskController.updateTask(req, res);
+
+      // Assert
+      expect(databaseStub.updateTask.called).to.be.false;
+      expect(res.status.calledWith(412)).to.be.true;
+
+      const responseData = res.json.getCall(0).args[0];
+      expect(responseData.error).to.have.property('code', 'VERSION_CONFLICT');
+      expect(responseData.error).to.have.property('currentVersion', 2);
+    });
+
+    it('deve retornar 412 para ETag fraco mesmo com a versão atual', async () => {
+      // Arrange
+      req.params.id = 'task-id';
+      req.body = { title: 'Updated Title' };
+      req.headers['if-match'] = 'W/"2"';
+
+      databaseStub.getTaskById.returns({
+        id: 'task-id',
+        title: 'Original Task',
+        userId: 'user-id',
+        version: 2
+      });
+
+      // Act
+      await taskController.updateTask(req, res);
+
+      // Assert
+      expect(databaseStub.updateTask.called).to.be.false;
+      expect(res.status.calledWith(412)).to.be.true;
+    });
+
     it('deve negar acesso a tarefa de outro usuário', async () => {
       // Arrange
       req.params.id = 'task-id';
@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const { DEFAULT_MAX_FILE_SIZE, DEFAULT_ALLOWED_TYPES, getAttachmentLimits } = require('../../../src/utils/attachments');
+
+describe('Attachments Unit Tests', () => {
+  describe('getAttachmentLimits', () => {
+    it('deve usar os limites padrão sem configuração', () => {
+      expect(getAttachmentLimits({})).to.deep.equal({
+        maxFileSize: DEFAULT_MAX_FILE_SIZE,
+        allowedTypes: DEFAULT_ALLOWED_TYPES
+      });
+    });
+
+    it('deve ler tamanho e tipos das variáveis de ambiente', () => {
+      expect(getAttachmentLimits({ ATTACHMENT_MAX_SIZE: '2048', ATTACHMENT_TYPES: 'image/png, Application/PDF,' })).to.deep.equal({
+        maxFileSize: 2048,
+        allowedTypes: ['image/png', 'application/pdf']
+      });
+    });
+
+    it('deve ignorar tamanhos inválidos', () => {
+      expect(getAttachmentLimits({ ATTACHMENT_MAX_SIZE: 'abc' }).maxFileSize).to.equal(DEFAULT_MAX_FILE_SIZE);
+    });
+  });
+
+  describe('anexos no banco', () => {
+    let database;
+    let task;
+
+    beforeEach(() => {
+      database = new MemoryAdapter().init();
+      const owner = database.getUserByEmail('user@test.com');
+      task = database.createTask({ title: 'Com anexos', priority: 'low', completed: false, userId: owner.id });
+    });
+
+    it('deve guardar os metadados na tarefa sem gerar revisão', () => {
+      expect(task.attachments).to.deep.equal([]);
+
+      const updated = database.addAttachment(task.id, { userId: task.userId, filename: 'nota.txt', mimeType: 'text/plain', size: 5 });
+      expect(updated.attachments).to.have.length(1);
+      expect(updated.attachments[0]).to.include({ filename: 'nota.txt', mimeType: 'text/plain', size: 5, userId: task.userId });
+      expect(database.getTaskRevisions(task.id)).to.have.length(1);
+
+      expect(database.deleteAttachment(task.id, updated.attachments[0].id).attachments).to.deep.equal([]);
+      expect(database.deleteAttachment(task.id, 'inexistente')).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const { bulkRequestSchema, runBulkOperations } = require('../../../src/utils/bulkTasks');
+
+describe('Bulk Tasks Unit Tests', () => {
+  let database;
+  let owner;
+  let other;
+  let task;
+
+  beforeEach(() => {
+    database = new MemoryAdapter().init();
+    owner = database.getUserByEmail('user@test.com');
+    other = database.createUser({ name: 'Outro', email: 'outro@test.com', password: 'x', role: 'user' });
+    task = database.createTask({ title: 'Existente', priority: 'low', completed: false, userId: owner.id });
+  });
+
+  it('deve validar o formato das operações', () => {
+    expect(bulkRequestSchema.validate({ operations: [] }).error).to.exist;
+    expect(bulkRequestSchema.validate({ operations: [{ op: 'create', id: 'x', data: {} }] }).error).to.exist;
+    expect(bulkRequestSchema.validate({ operations: [{ op: 'delete', id: 'x', data: {} }] }).error).to.exist;
+    expect(bulkRequestSchema.validate({ operations: [{ op: 'update', data: {} }] }).error).to.exist;
+    expect(bulkRequestSchema.validate({ operations: new Array(501).fill({ op: 'delete', id: 'x' }) }).error).to.exist;
+    expect(bulkRequestSchema.validate({ operations: [{ op: 'delete', id: 'x' }] }).value.atomic).to.be.false;
+  });
+
+  it('deve aplicar as operações válidas e reportar as inválidas', () => {
+    const outcome = runBulkOperations(database, owner, [
+      { op: 'create', data: { title: 'Nova' } },
+      { op: 'create', data: { priority: 'high' } },
+      { op: 'update', id: task.id, data: { completed: true } },
+      { op: 'delete', id: 'inexistente' }
+    ]);
+
+    expect(outcome).to.include({ applied: true, succeeded: 2, failed: 2 });
+    expect(outcome.results[0].task).to.include({ title: 'Nova', priority: 'medium', userId: owner.id });
+    expect(outcome.results[1].error.code).to.equal('VALIDATION_ERROR');
+    expect(outcome.results[2].task.completed).to.be.true;
+    expect(outcome.results[3]).to.deep.include({ id: 'inexistente', success: false });
+    expect(outcome.results[3].error.code).to.equal('TASK_NOT_FOUND');
+  });
+
+  it('deve aplicar as verificações de acesso e de versão', () => {
+    const outcome = runBulkOperations(database, other, [
+      { op: 'update', id: task.id, data: { title: 'Alheia' } },
+      { op: 'delete', id: task.id }
+    ]);
+    expect(outcome.results.map(result => result.error.code)).to.deep.equal(['ACCESS_DENIED', 'ACCESS_DENIED']);
+
+    const stale = runBulkOperations(database, owner, [{ op: 'delete', id: task.id, expectedVersion: task.version + 1 }]);
+    expect(stale.results[0].error).to.include({ code: 'VERSION_CONFLICT', currentVersion: task.version });
+  });
+
+  it('deve desfazer todo o lote atômico quando uma operação falha', () => {
+    const before = database.getAllTasks().length;
+
+    const outcome = runBulkOperations(database, owner, [
+      { op: 'create', data: { title: 'Desfeita' } },
+      { op: 'update', id: task.id, data: { title: 'Alterada' } },
+      { op: 'update', id: task.id, data: { priority: 'urgente' } }
+    ], { atomic: true });
+
+    expect(outcome).to.include({ applied: false, succeeded: 0, failed: 3 });
+    expect(outcome.results.map(result => result.error.code)).to.deep.equal(['ROLLED_BACK', 'ROLLED_BACK', 'VALIDATION_ERROR']);
+    expect(outcome.results[0]).to.not.have.property('id');
+    expect(database.getAllTasks()).to.have.lengthOf(before);
+    expect(database.getTaskById(task.id).title).to.equal('Existente');
+  });
+
+  it('deve aplicar o lote atômico por completo quando tudo é válido', () => {
+    const outcome = runBulkOperations(database, owner, [
+      { op: 'create', data: { title: 'A' } },
+      { op: 'delete', id: task.id }
+    ], { atomic: true });
+
+    expect(outcome).to.include({ applied: true, succeeded: 2, failed: 0 });
+    expect(database.getTaskById(task.id)).to.be.undefined;
+  });
+});
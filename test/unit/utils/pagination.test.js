@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const { encodeCursor, decodeCursor, hasPaginationParams, parsePaginationQuery, paginate } = require('../../../src/utils/pagination');
+const { TASK_SORT_FIELDS } = require('../../../src/utils/sorting');
+
+describe('Pagination Unit Tests', () => {
+  const at = (minute) => new Date(Date.UTC(2024, 0, 1, 0, minute));
+  const items = ['1', '2', '3', '4', '5'].map(id => ({ id, createdAt: at(Number(id)) }));
+  const ids = (result) => result.items.map(item => item.id);
+  const sort = { criteria: [], fields: TASK_SORT_FIELDS };
+
+  describe('parsePaginationQuery', () => {
+    it('deve converter e validar page e limit', () => {
+      expect(parsePaginationQuery({ page: '2', limit: '5' }).value).to.include({ page: 2, limit: 5 });
+      expect(parsePaginationQuery({ limit: '0' }).error).to.exist;
+      expect(parsePaginationQuery({ page: '-1' }).error).to.exist;
+      expect(parsePaginationQuery({ page: 'abc' }).error).to.exist;
+    });
+
+    it('deve reduzir tamanhos de página acima do máximo', () => {
+      expect(parsePaginationQuery({ limit: '150' }).value).to.include({ limit: 100 });
+      expect(parsePaginationQuery({ first: '101' }).value).to.include({ first: 100 });
+      expect(parsePaginationQuery({ last: '100' }).value).to.include({ last: 100 });
+    });
+
+    it('deve rejeitar combinações de modos e cursores inválidos', () => {
+      expect(parsePaginationQuery({ page: '1', first: '2' }).error).to.exist;
+      expect(parsePaginationQuery({ limit: '5', after: encodeCursor(items[0], []) }).error).to.exist;
+      expect(parsePaginationQuery({ first: '2', last: '2' }).error).to.exist;
+      expect(parsePaginationQuery({ after: 'nao-e-cursor' }).error).to.exist;
+    });
+
+    it('deve ignorar parâmetros que não são de paginação', () => {
+      expect(hasPaginationParams(parsePaginationQuery({ completed: 'true' }).value)).to.be.false;
+      expect(hasPaginationParams(parsePaginationQuery({ first: '1' }).value)).to.be.true;
+    });
+  });
+
+  describe('paginate', () => {
+    it('deve manter o formato do modo por página', () => {
+      const result = paginate(items, { page: 2, limit: 2 }, sort);
+
+      expect(ids(result)).to.deep.equal(['3', '4']);
+      expect(result.pagination).to.deep.equal({ current: 2, total: 3, count: 2, totalItems: 5 });
+      expect(result.pageInfo).to.include({ hasNextPage: true, hasPreviousPage: true });
+      expect(paginate(items, { page: 9, limit: 2 }, sort).items).to.be.empty;
+    });
+
+    it('deve avançar com first/after e voltar com last/before', () => {
+      const first = paginate(items, { first: 2 }, sort);
+      expect(ids(first)).to.deep.equal(['1', '2']);
+      expect(first.pagination).to.be.null;
+      expect(first.pageInfo).to.include({ hasNextPage: true, hasPreviousPage: false });
+
+      const second = paginate(items, { first: 2, after: first.pageInfo.endCursor }, sort);
+      expect(ids(second)).to.deep.equal(['3', '4']);
+
+      const last = paginate(items, { first: 2, after: second.pageInfo.endCursor }, sort);
+      expect(ids(last)).to.deep.equal(['5']);
+      expect(last.pageInfo).to.include({ hasNextPage: false, hasPreviousPage: true });
+
+      const back = paginate(items, { last: 2, before: second.pageInfo.startCursor }, sort);
+      expect(ids(back)).to.deep.equal(['1', '2']);
+      expect(back.edges.map(edge => decodeCursor(edge.cursor).id)).to.deep.equal(['1', '2']);
+    });
+
+    it('não deve deslocar a página seguinte quando registros são adicionados', () => {
+      const first = paginate(items, { first: 2 }, sort);
+      const grown = [{ id: '0', createdAt: at(0) }, ...items, { id: '6', createdAt: at(6) }];
+
+      expect(ids(paginate(grown, { first: 2, after: first.pageInfo.endCursor }, sort))).to.deep.equal(['3', '4']);
+    });
+
+    it('deve continuar da chave do cursor quando o registro sai da lista', () => {
+      const first = paginate(items, { first: 2 }, sort);
+      const remaining = items.filter(item => item.id !== '2');
+
+      expect(ids(paginate(remaining, { first: 2, after: first.pageInfo.endCursor }, sort))).to.deep.equal(['3', '4']);
+      expect(ids(paginate(remaining, { last: 2, before: first.pageInfo.endCursor }, sort))).to.deep.equal(['1']);
+    });
+
+    it('deve continuar pela chave de ordenação mesmo se o registro mudar', () => {
+      const tasks = items.map((item, index) => ({ ...item, priority: ['high', 'high', 'medium', 'low', 'low'][index] }));
+      const byPriority = { criteria: [{ field: 'priority', order: 'desc' }], fields: TASK_SORT_FIELDS };
+
+      const first = paginate(tasks, { first: 2 }, byPriority);
+      expect(ids(first)).to.deep.equal(['1', '2']);
+
+      // O registro do cursor passou para o fim da ordenação
+      const changed = tasks.map(task => (task.id === '2' ? { ...task, priority: 'low' } : task));
+      const ordered = changed.filter(task => task.priority !== 'low').concat(changed.filter(task => task.priority === 'low'));
+      expect(ids(paginate(ordered, { first: 3, after: first.pageInfo.endCursor }, byPriority))).to.deep.equal(['3', '2', '4']);
+    });
+
+    it('deve desempatar registros com a mesma chave pelo id do cursor', () => {
+      const tied = ['a', 'b', 'c'].map(id => ({ id, createdAt: at(0) }));
+
+      const first = paginate(tied, { first: 1 }, sort);
+      expect(ids(paginate(tied, { first: 2, after: first.pageInfo.endCursor }, sort))).to.deep.equal(['b', 'c']);
+    });
+
+    it('deve retornar null para cursor inválido ou de outra ordenação', () => {
+      expect(paginate(items, { after: 'nao-e-cursor' }, sort)).to.be.null;
+
+      const cursor = paginate(items, { first: 1 }, sort).pageInfo.endCursor;
+      const byTitle = { criteria: [{ field: 'title', order: 'asc' }], fields: TASK_SORT_FIELDS };
+      expect(paginate(items, { after: cursor }, byTitle)).to.be.null;
+      expect(paginate(items, { before: cursor }, byTitle)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const {
+  recurrenceSchema,
+  occurrenceRangeSchema,
+  nextOccurrenceDate,
+  buildNextOccurrence,
+  listOccurrences,
+  listUpcomingOccurrences,
+  MAX_OCCURRENCES_PER_TASK,
+  MAX_OCCURRENCES
+} = require('../../../src/utils/recurrence');
+
+const day = (value) => new Date(`${value}T09:00:00.000Z`);
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+describe('Recurrence Unit Tests', () => {
+  describe('recurrenceSchema', () => {
+    it('deve exigir weekdays apenas nas séries semanais', () => {
+      expect(recurrenceSchema.validate({ frequency: 'weekly' }).error).to.exist;
+      expect(recurrenceSchema.validate({ frequency: 'daily', weekdays: [1] }).error).to.exist;
+
+      const { error, value } = recurrenceSchema.validate({ frequency: 'weekly', weekdays: [1, 3] });
+      expect(error).to.be.undefined;
+      expect(value).to.include({ interval: 1, until: null, count: null });
+    });
+  });
+
+  describe('occurrenceRangeSchema', () => {
+    it('deve rejeitar intervalos invertidos ou maiores que o limite', () => {
+      expect(occurrenceRangeSchema.validate({ from: '2024-02-01', to: '2024-01-01' }).error).to.exist;
+      expect(occurrenceRangeSchema.validate({ from: '2024-01-01', to: '2025-06-01' }).error).to.exist;
+      expect(occurrenceRangeSchema.validate({ from: '2024-01-01', to: '2024-12-31' }).error).to.be.undefined;
+    });
+  });
+
+  describe('nextOccurrenceDate', () => {
+    it('deve avançar N dias nas séries diárias', () => {
+      expect(isoDay(nextOccurrenceDate({ frequency: 'daily', interval: 3 }, day('2024-01-01')))).to.equal('2024-01-04');
+    });
+
+    it('deve seguir os dias da semana e pular as semanas fora do intervalo', () => {
+      const weekly = { frequency: 'weekly', interval: 2, weekdays: [1, 3] };
+
+      // 01/01/2024 foi uma segunda-feira
+      expect(isoDay(nextOccurrenceDate(weekly, day('2024-01-01')))).to.equal('2024-01-03');
+      expect(isoDay(nextOccurrenceDate(weekly, day('2024-01-03')))).to.equal('2024-01-15');
+    });
+
+    it('deve limitar o dia do mês sem perder o dia de referência', () => {
+      const monthly = { frequency: 'monthly', interval: 1, monthDay: 31 };
+
+      const february = nextOccurrenceDate(monthly, day('2024-01-31'));
+      expect(isoDay(february)).to.equal('2024-02-29');
+      expect(isoDay(nextOccurrenceDate(monthly, february))).to.equal('2024-03-31');
+    });
+  });
+
+  describe('buildNextOccurrence', () => {
+    const task = {
+      title: 'Backup',
+      priority: 'high',
+      userId: 'user-id',
+      dueDate: day('2024-01-01'),
+      reminderAt: new Date('2024-01-01T08:00:00.000Z'),
+      checklist: [{ id: 'item-1', title: 'Verificar', done: true, createdAt: new Date() }],
+      recurrence: { frequency: 'daily', interval: 1, until: null, count: null, seriesId: 'serie', occurrence: 1, nextTaskId: 'x' }
+    };
+
+    it('deve copiar a tarefa para a próxima data com o checklist pendente', () => {
+      const next = buildNextOccurrence(task);
+
+      expect(isoDay(next.dueDate)).to.equal('2024-01-02');
+      expect(next.reminderAt.toISOString()).to.equal('2024-01-02T08:00:00.000Z');
+      expect(next).to.include({ title: 'Backup', priority: 'high', completed: false, userId: 'user-id' });
+      expect(next.checklist[0]).to.include({ title: 'Verificar', done: false });
+      expect(next.checklist[0].id).to.not.equal('item-1');
+      expect(next.recurrence).to.include({ seriesId: 'serie', occurrence: 2 });
+      expect(next.recurrence).to.not.have.property('nextTaskId');
+    });
+
+    it('deve encerrar a série pelo count ou pelo until', () => {
+      expect(buildNextOccurrence({ ...task, recurrence: { ...task.recurrence, count: 1 } })).to.be.null;
+      expect(buildNextOccurrence({ ...task, recurrence: { ...task.recurrence, until: day('2024-01-01') } })).to.be.null;
+    });
+  });
+
+  describe('listOccurrences', () => {
+    it('deve listar as ocorrências do intervalo respeitando o count', () => {
+      const task = {
+        dueDate: day('2024-01-01'),
+        recurrence: { frequency: 'weekly', interval: 1, weekdays: [1], count: 4, occurrence: 2 }
+      };
+
+      const occurrences = listOccurrences(task, day('2024-01-05'), day('2024-03-01'));
+      expect(occurrences.map(({ date, occurrence }) => [isoDay(date), occurrence])).to.deep.equal([
+        ['2024-01-08', 3],
+        ['2024-01-15', 4]
+      ]);
+    });
+  });
+
+  describe('listOccurrences com from distante', () => {
+    // Percorre a série ocorrência a ocorrência, como referência
+    const walk = (task, from, to) => {
+      const result = [];
+      let date = new Date(task.dueDate);
+      let occurrence = task.recurrence.occurrence;
+      while (date <= to) {
+        if (date >= from) result.push([isoDay(date), occurrence]);
+        date = nextOccurrenceDate(task.recurrence, date);
+        occurrence += 1;
+      }
+      return result;
+    };
+
+    const rules = [
+      { frequency: 'daily', interval: 3 },
+      { frequency: 'weekly', interval: 2, weekdays: [0, 3, 5] },
+      { frequency: 'monthly', interval: 5, monthDay: 31 }
+    ];
+
+    rules.forEach(rule => {
+      it(`deve saltar direto para o intervalo (${rule.frequency})`, () => {
+        const task = { dueDate: day('2024-01-31'), recurrence: { ...rule, occurrence: 1 } };
+        const from = day('2031-07-04');
+        const to = day('2032-03-01');
+
+        const occurrences = listOccurrences(task, from, to).map(({ date, occurrence }) => [isoDay(date), occurrence]);
+        expect(occurrences).to.not.be.empty;
+        expect(occurrences).to.deep.equal(walk(task, from, to));
+      });
+    });
+
+    it('deve limitar as ocorrências por tarefa e na resposta', () => {
+      const tasks = Array.from({ length: 5 }, () => ({
+        dueDate: day('2024-01-01'),
+        recurrence: { frequency: 'daily', interval: 1, occurrence: 1 }
+      }));
+      const from = new Date('9999-01-01T00:00:00.000Z');
+      const to = new Date('9999-12-31T23:59:59.000Z');
+
+      const farTo = new Date(from.getTime() + 1000 * 24 * 60 * 60 * 1000);
+      expect(listOccurrences(tasks[0], from, farTo)).to.have.length(MAX_OCCURRENCES_PER_TASK);
+
+      const { occurrences, truncated } = listUpcomingOccurrences(tasks, from, to);
+      expect(occurrences).to.have.length(MAX_OCCURRENCES);
+      expect(truncated).to.be.true;
+    });
+  });
+
+  describe('conclusão no banco', () => {
+    let database;
+    let task;
+
+    beforeEach(() => {
+      database = new MemoryAdapter().init();
+      const owner = database.getUserByEmail('user@test.com');
+      task = database.createTask({
+        title: 'Relatório mensal',
+        priority: 'medium',
+        completed: false,
+        dueDate: day('2024-01-31'),
+        userId: owner.id,
+        recurrence: { frequency: 'monthly', interval: 1, until: null, count: null }
+      });
+    });
+
+    it('deve iniciar a série na própria tarefa', () => {
+      expect(task.recurrence).to.include({ seriesId: task.id, occurrence: 1, monthDay: 31 });
+    });
+
+    it('deve gerar a próxima ocorrência uma única vez', () => {
+      const completed = database.updateTask(task.id, { completed: true });
+      const next = database.getTaskById(completed.recurrence.nextTaskId);
+
+      expect(isoDay(next.dueDate)).to.equal('2024-02-29');
+      expect(next.recurrence).to.include({ seriesId: task.id, occurrence: 2, monthDay: 31 });
+
+      database.updateTask(task.id, { completed: false });
+      database.updateTask(task.id, { completed: true });
+      expect(database.getAllTasks().filter(item => item.recurrence && item.recurrence.seriesId === task.id)).to.have.length(2);
+    });
+
+    it('não deve gerar a ocorrência se a transação for desfeita', () => {
+      const before = database.getAllTasks().length;
+
+      expect(() => database.transaction(() => {
+        database.updateTask(task.id, { completed: true });
+        throw new Error('falha');
+      })).to.throw('falha');
+
+      expect(database.getAllTasks()).to.have.length(before);
+      expect(database.getTaskById(task.id).recurrence.nextTaskId).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const { TASK_SORT_FIELDS, USER_SORT_FIELDS, parseSortQuery, sortRecords } = require('../../../src/utils/sorting');
+
+describe('Sorting Unit Tests', () => {
+  const tasks = [
+    { id: 'a', title: 'Beta', priority: 'medium', createdAt: new Date('2024-01-02'), dueDate: null },
+    { id: 'b', title: 'alfa', priority: 'high', createdAt: new Date('2024-01-03'), dueDate: new Date('2024-03-01') },
+    { id: 'c', title: 'Ágata', priority: 'low', createdAt: new Date('2024-01-01'), dueDate: new Date('2024-02-01') },
+    { id: 'd', title: 'delta', priority: 'high', createdAt: new Date('2024-01-04') }
+  ];
+
+  const ids = (criteria) => sortRecords(tasks, criteria, TASK_SORT_FIELDS).map(task => task.id);
+
+  describe('parseSortQuery', () => {
+    it('deve aceitar listas separadas por vírgula e parâmetros repetidos', () => {
+      expect(parseSortQuery({ sortBy: 'priority,createdAt', order: 'desc' }, TASK_SORT_FIELDS).value).to.deep.equal([
+        { field: 'priority', order: 'desc' },
+        { field: 'createdAt', order: 'desc' }
+      ]);
+      expect(parseSortQuery({ sortBy: ['title', 'dueDate'], order: 'ASC,desc' }, TASK_SORT_FIELDS).value).to.deep.equal([
+        { field: 'title', order: 'asc' },
+        { field: 'dueDate', order: 'desc' }
+      ]);
+    });
+
+    it('deve manter a ordem original sem parâmetros e usar createdAt para order isolado', () => {
+      expect(parseSortQuery({}, TASK_SORT_FIELDS).value).to.deep.equal([]);
+      expect(parseSortQuery({ order: 'desc' }, USER_SORT_FIELDS).value).to.deep.equal([{ field: 'createdAt', order: 'desc' }]);
+    });
+
+    it('deve rejeitar campos desconhecidos, repetidos e direções em excesso', () => {
+      expect(parseSortQuery({ sortBy: 'password' }, USER_SORT_FIELDS).error).to.exist;
+      expect(parseSortQuery({ sortBy: 'priority' }, USER_SORT_FIELDS).error).to.exist;
+      expect(parseSortQuery({ sortBy: 'title,title' }, TASK_SORT_FIELDS).error).to.exist;
+      expect(parseSortQuery({ sortBy: 'title', order: 'up' }, TASK_SORT_FIELDS).error).to.exist;
+      expect(parseSortQuery({ sortBy: 'title,priority,createdAt', order: 'asc,desc' }, TASK_SORT_FIELDS).error).to.exist;
+    });
+  });
+
+  describe('sortRecords', () => {
+    it('deve usar a ordem semântica de prioridade e desempatar pelos critérios seguintes', () => {
+      expect(ids([{ field: 'priority', order: 'desc' }, { field: 'createdAt', order: 'asc' }])).to.deep.equal(['b', 'd', 'a', 'c']);
+      expect(ids([{ field: 'priority', order: 'asc' }])).to.deep.equal(['c', 'a', 'b', 'd']);
+    });
+
+    it('deve comparar títulos sem diferenciar caixa e acentos', () => {
+      expect(ids([{ field: 'title', order: 'asc' }])).to.deep.equal(['c', 'b', 'a', 'd']);
+    });
+
+    it('deve deixar tarefas sem prazo no fim nas duas direções', () => {
+      expect(ids([{ field: 'dueDate', order: 'asc' }])).to.deep.equal(['c', 'b', 'a', 'd']);
+      expect(ids([{ field: 'dueDate', order: 'desc' }])).to.deep.equal(['b', 'c', 'a', 'd']);
+    });
+
+    it('deve preservar a lista original', () => {
+      expect(sortRecords(tasks, [], TASK_SORT_FIELDS)).to.equal(tasks);
+      ids([{ field: 'createdAt', order: 'desc' }]);
+      expect(tasks.map(task => task.id)).to.deep.equal(['a', 'b', 'c', 'd']);
+    });
+  });
+});
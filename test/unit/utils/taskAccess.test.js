@@ -0,0 +1,32 @@
+const { expect } = require('chai');
+const { getTaskRole, hasTaskRole } = require('../../../src/utils/taskAccess');
+
+describe('Task Access Unit Tests', () => {
+  const task = {
+    userId: 'owner',
+    assigneeId: 'assignee',
+    shares: [
+      { userId: 'viewer', role: 'viewer' },
+      { userId: 'editor', role: 'editor' },
+      { userId: 'assignee', role: 'viewer' }
+    ]
+  };
+
+  it('deve resolver o nível de acesso de cada usuário', () => {
+    expect(getTaskRole(task, { id: 'owner', role: 'user' })).to.equal('owner');
+    expect(getTaskRole(task, { id: 'someone', role: 'admin' })).to.equal('owner');
+    expect(getTaskRole(task, { id: 'assignee' })).to.equal('editor');
+    expect(getTaskRole(task, { id: 'editor' })).to.equal('editor');
+    expect(getTaskRole(task, { id: 'viewer' })).to.equal('viewer');
+    expect(getTaskRole(task, { id: 'outsider' })).to.be.null;
+    expect(getTaskRole({ userId: 'owner' }, { id: 'viewer' })).to.be.null;
+  });
+
+  it('deve comparar níveis de forma hierárquica', () => {
+    expect(hasTaskRole(task, { id: 'editor' }, 'viewer')).to.be.true;
+    expect(hasTaskRole(task, { id: 'editor' }, 'editor')).to.be.true;
+    expect(hasTaskRole(task, { id: 'editor' }, 'owner')).to.be.false;
+    expect(hasTaskRole(task, { id: 'viewer' }, 'editor')).to.be.false;
+    expect(hasTaskRole(task, { id: 'outsider' }, 'viewer')).to.be.false;
+  });
+});
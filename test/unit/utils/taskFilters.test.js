@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const { filterTasks, isOverdue } = require('../../../src/utils/taskFilters');
+
+describe('Task Filters Unit Tests', () => {
+  const now = new Date('2024-06-01T00:00:00.000Z');
+  const tasks = [
+    { id: 'late', priority: 'high', completed: false, dueDate: new Date('2024-05-01T00:00:00.000Z') },
+    { id: 'done', priority: 'low', completed: true, dueDate: new Date('2024-05-15T00:00:00.000Z') },
+    { id: 'next', priority: 'high', completed: false, dueDate: new Date('2024-07-01T00:00:00.000Z') },
+    { id: 'none', priority: 'medium', completed: false }
+  ];
+
+  const ids = (filters) => filterTasks(tasks, filters, now).map(task => task.id);
+
+  it('deve considerar atrasadas apenas tarefas vencidas e pendentes', () => {
+    expect(tasks.map(task => isOverdue(task, now))).to.deep.equal([true, false, false, false]);
+    expect(ids({ overdue: true })).to.deep.equal(['late']);
+    expect(ids({ overdue: false })).to.deep.equal(['done', 'next', 'none']);
+  });
+
+  it('deve aplicar limites de prazo inclusivos e ignorar tarefas sem prazo', () => {
+    expect(ids({ dueBefore: new Date('2024-05-15T00:00:00.000Z') })).to.deep.equal(['late', 'done']);
+    expect(ids({ dueAfter: new Date('2024-05-15T00:00:00.000Z') })).to.deep.equal(['done', 'next']);
+  });
+
+  it('deve combinar filtros de status e prioridade', () => {
+    expect(ids({ completed: false, priority: 'high' })).to.deep.equal(['late', 'next']);
+    expect(ids({})).to.have.lengthOf(4);
+  });
+
+  it('deve filtrar por alguma ou por todas as tags', () => {
+    const tagged = [
+      { id: 'a', tags: ['casa', 'urgente'] },
+      { id: 'b', tags: ['casa'] },
+      { id: 'c' }
+    ];
+
+    expect(filterTasks(tagged, { tags: ['urgente', 'casa'] }).map(task => task.id)).to.deep.equal(['a', 'b']);
+    expect(filterTasks(tagged, { tags: ['urgente', 'casa'], tagMatch: 'all' }).map(task => task.id)).to.deep.equal(['a']);
+  });
+});
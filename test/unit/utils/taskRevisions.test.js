@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const { requestContext, setActor } = require('../../../src/middleware/requestContext');
+const { MAX_REVISIONS, diffTask, getStateAtVersion } = require('../../../src/utils/taskRevisions');
+
+describe('Task Revisions Unit Tests', () => {
+  describe('diffTask', () => {
+    it('deve listar apenas campos rastreados que mudaram', () => {
+      const task = { title: 'A', tags: ['x'], dueDate: new Date('2024-01-01'), comments: [] };
+
+      expect(diffTask(task, {
+        title: 'B',
+        tags: ['x'],
+        dueDate: new Date('2024-01-01'),
+        reminderAt: null,
+        comments: [{ text: 'ignorado' }]
+      })).to.deep.equal([{ field: 'title', from: 'A', to: 'B' }]);
+    });
+  });
+
+  describe('histórico no banco', () => {
+    let database;
+    let task;
+
+    beforeEach(() => {
+      database = new MemoryAdapter().init();
+      const owner = database.getUserByEmail('user@test.com');
+      task = database.createTask({ title: 'Original', priority: 'low', completed: false, userId: owner.id });
+    });
+
+    it('deve registrar a criação e cada alteração com a versão resultante', () => {
+      requestContext({}, {}, () => {
+        setActor({ id: 'editor-id', email: 'editor@test.com', role: 'user' });
+        database.updateTask(task.id, { title: 'Editada', priority: 'high' });
+      });
+      database.addComment(task.id, { userId: task.userId, text: 'não gera revisão' });
+      const updated = database.updateTask(task.id, { completed: true });
+      const revisions = database.getTaskRevisions(task.id);
+
+      expect(updated).to.not.have.property('revisions');
+      expect(revisions.map(revision => revision.version)).to.deep.equal([1, 2, 4]);
+      expect(revisions[1].changes).to.deep.equal([
+        { field: 'title', from: 'Original', to: 'Editada' },
+        { field: 'priority', from: 'low', to: 'high' }
+      ]);
+      expect(revisions[1]).to.include({ taskId: task.id, actorId: 'editor-id' });
+    });
+
+    it('deve reverter para a versão informada gerando uma nova revisão', () => {
+      database.updateTask(task.id, { title: 'Segunda', priority: 'medium' });
+      database.updateTask(task.id, { title: 'Terceira', dueDate: new Date('2030-01-01') });
+
+      expect(getStateAtVersion(database.getTaskById(task.id), database.getTaskRevisions(task.id), 2))
+        .to.include({ title: 'Segunda', priority: 'medium', dueDate: null });
+
+      const reverted = database.revertTask(task.id, 1);
+      expect(reverted).to.include({ title: 'Original', priority: 'low', dueDate: null, version: 4 });
+      expect(database.getTaskRevisions(task.id).pop()).to.include({ version: 4, revertedTo: 1 });
+
+      expect(database.revertTask(task.id, 4).version).to.equal(4);
+      expect(database.revertTask(task.id, 99)).to.be.null;
+      expect(database.revertTask('inexistente', 1)).to.be.null;
+    });
+
+    it('não deve alterar o responsável ao reverter', () => {
+      const other = database.getUserByEmail('admin@test.com');
+      database.updateTask(task.id, { title: 'Segunda', assigneeId: other.id });
+
+      expect(getStateAtVersion(database.getTaskById(task.id), database.getTaskRevisions(task.id), 1)).to.not.have.property('assigneeId');
+
+      const reverted = database.revertTask(task.id, 1);
+      expect(reverted).to.include({ title: 'Original', assigneeId: other.id });
+      expect(database.getTaskRevisions(task.id).pop().changes.map(change => change.field)).to.deep.equal(['title']);
+    });
+
+    it('deve registrar e reverter a recorrência mantendo a posição na série', () => {
+      const recurring = database.createTask({
+        title: 'Diária',
+        dueDate: new Date('2030-01-01T09:00:00Z'),
+        recurrence: { frequency: 'daily', interval: 1 },
+        userId: task.userId
+      });
+      const completed = database.updateTask(recurring.id, { completed: true });
+      const { nextTaskId } = completed.recurrence;
+      database.updateTask(recurring.id, { recurrence: { frequency: 'weekly', interval: 2 } });
+
+      expect(database.getTaskRevisions(recurring.id).pop().changes.map(change => change.field)).to.deep.equal(['recurrence']);
+
+      const reverted = database.revertTask(recurring.id, 2);
+      expect(reverted.recurrence).to.deep.equal({
+        frequency: 'daily',
+        interval: 1,
+        seriesId: recurring.id,
+        occurrence: 1,
+        nextTaskId
+      });
+
+      const tasksBefore = database.getAllTasks().length;
+      database.updateTask(recurring.id, { completed: false });
+      database.updateTask(recurring.id, { completed: true });
+      expect(database.getAllTasks()).to.have.lengthOf(tasksBefore);
+    });
+
+    it('deve manter apenas as revisões mais recentes', () => {
+      for (let i = 0; i < MAX_REVISIONS + 5; i++) {
+        database.updateTask(task.id, { title: `Título ${i}` });
+      }
+
+      const revisions = database.getTaskRevisions(task.id);
+      expect(revisions).to.have.lengthOf(MAX_REVISIONS);
+      expect(revisions[0].version).to.equal(7);
+    });
+
+    it('deve remover as revisões junto com a tarefa no purge', () => {
+      database.updateTask(task.id, { title: 'Segunda' });
+      database.deleteTask(task.id);
+      database.purgeTask(task.id);
+
+      expect(database.getTaskRevisions(task.id)).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const { tokenize, TaskSearchIndex } = require('../../../src/utils/taskSearchIndex');
+
+describe('Task Search Index Unit Tests', () => {
+  let database;
+  let index;
+  let userId;
+
+  const ids = (query) => index.search(query).map(result => result.id);
+
+  beforeEach(() => {
+    database = new MemoryAdapter().init();
+    database.clear();
+    userId = database.createUser({ name: 'Busca', email: 'busca@test.com', password: 'x', role: 'user' }).id;
+    index = new TaskSearchIndex(database);
+  });
+
+  const createTask = (title, description = '') => database.createTask({
+    title, description, priority: 'medium', completed: false, userId
+  });
+
+  it('deve normalizar acentos, caixa e pontuação', () => {
+    expect(tokenize('Relatório MENSAL: revisão (v2)')).to.deep.equal(['relatorio', 'mensal', 'revisao', 'v2']);
+    expect(tokenize('')).to.deep.equal([]);
+  });
+
+  it('deve casar por prefixo e exigir todos os termos', () => {
+    const report = createTask('Relatório mensal', 'Enviar ao financeiro');
+    const budget = createTask('Orçamento anual', 'Revisar relatórios anteriores');
+
+    expect(ids('rel')).to.have.members([report.id, budget.id]);
+    expect(ids('relatorio financ')).to.deep.equal([report.id]);
+    expect(ids('relatorio inexistente')).to.deep.equal([]);
+    expect(ids('  ...  ')).to.deep.equal([]);
+  });
+
+  it('deve priorizar título sobre descrição e termo exato sobre prefixo', () => {
+    const inDescription = createTask('Reunião', 'Preparar o relatório');
+    const inTitle = createTask('Relatório', 'Para a reunião');
+    const byPrefix = createTask('Relatórios', '');
+
+    expect(ids('relatorio')).to.deep.equal([inTitle.id, byPrefix.id, inDescription.id]);
+  });
+
+  it('deve acompanhar criação, edição e exclusão de tarefas', () => {
+    const task = createTask('Comprar café');
+    expect(ids('cafe')).to.deep.equal([task.id]);
+
+    database.updateTask(task.id, { title: 'Comprar chá' });
+    expect(ids('cafe')).to.deep.equal([]);
+    expect(ids('cha')).to.deep.equal([task.id]);
+
+    database.deleteTask(task.id);
+    expect(ids('cha')).to.deep.equal([]);
+
+    database.restoreTask(task.id);
+    expect(ids('cha')).to.deep.equal([task.id]);
+  });
+
+  it('deve se reconstruir após um reset do banco', () => {
+    createTask('Tarefa antiga');
+    expect(ids('antiga')).to.have.lengthOf(1);
+
+    database.clear();
+    userId = database.createUser({ name: 'Busca', email: 'busca@test.com', password: 'x', role: 'user' }).id;
+    const task = createTask('Tarefa nova');
+
+    expect(ids('antiga')).to.deep.equal([]);
+    expect(ids('tarefa')).to.deep.equal([task.id]);
+  });
+});
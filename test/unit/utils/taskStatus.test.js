@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const MemoryAdapter = require('../../../src/config/adapters/memoryAdapter');
+const { DEFAULT_WORKFLOW, validateWorkflow } = require('../../../src/config/workflow');
+const { resolveStatus, applyStatus, checkStatusTransition } = require('../../../src/utils/taskStatus');
+const { filterTasks } = require('../../../src/utils/taskFilters');
+
+describe('Task Status Unit Tests', () => {
+  const workflow = DEFAULT_WORKFLOW;
+
+  describe('validateWorkflow', () => {
+    it('deve aceitar o fluxo padrão', () => {
+      expect(validateWorkflow(DEFAULT_WORKFLOW)).to.deep.equal(DEFAULT_WORKFLOW);
+    });
+
+    it('deve rejeitar estados desconhecidos e estado final igual ao inicial', () => {
+      expect(() => validateWorkflow({ ...DEFAULT_WORKFLOW, transitions: { todo: ['archived'] } }))
+        .to.throw('Estado desconhecido nas transições: archived');
+      expect(() => validateWorkflow({ ...DEFAULT_WORKFLOW, done: 'todo' })).to.throw('Fluxo de status inválido');
+      expect(() => validateWorkflow({ ...DEFAULT_WORKFLOW, initial: 'draft' })).to.throw('Fluxo de status inválido');
+    });
+  });
+
+  describe('resolveStatus', () => {
+    it('deve mapear completed para o estado final ou inicial', () => {
+      expect(resolveStatus(workflow, { status: 'in_progress' }, { completed: true })).to.equal('done');
+      expect(resolveStatus(workflow, { status: 'done' }, { completed: false })).to.equal('todo');
+      expect(resolveStatus(workflow, { status: 'review' }, { completed: false })).to.equal('review');
+    });
+
+    it('deve dar precedência a uma mudança explícita de status', () => {
+      expect(resolveStatus(workflow, { status: 'todo' }, { status: 'in_progress', completed: true })).to.equal('in_progress');
+    });
+
+    it('deve derivar o status de tarefas anteriores ao fluxo', () => {
+      expect(resolveStatus(workflow, { completed: true }, {})).to.equal('done');
+      expect(applyStatus(workflow, {}, { title: 'Nova' })).to.deep.equal({ title: 'Nova', status: 'todo', completed: false });
+    });
+  });
+
+  describe('checkStatusTransition', () => {
+    it('deve permitir apenas as transições do fluxo', () => {
+      expect(checkStatusTransition(workflow, { status: 'todo' }, { status: 'in_progress' })).to.be.null;
+      expect(checkStatusTransition(workflow, { status: 'review' }, { status: 'review' })).to.be.null;
+
+      expect(checkStatusTransition(workflow, { status: 'todo' }, { status: 'review' })).to.deep.equal({
+        message: 'Transição de status não permitida: todo -> review',
+        from: 'todo',
+        to: 'review',
+        allowed: ['in_progress', 'blocked', 'done']
+      });
+    });
+
+    it('deve validar também a conclusão por completed', () => {
+      expect(checkStatusTransition(workflow, { status: 'todo' }, { completed: true })).to.be.null;
+      expect(checkStatusTransition(workflow, { status: 'blocked' }, { completed: true })).to.include({ to: 'done' });
+    });
+  });
+
+  describe('filterTasks', () => {
+    it('deve filtrar por qualquer um dos status informados', () => {
+      const tasks = [{ id: '1', status: 'todo' }, { id: '2', status: 'review' }, { id: '3', status: 'done' }];
+
+      expect(filterTasks(tasks, { status: ['todo', 'review'] }).map(task => task.id)).to.deep.equal(['1', '2']);
+    });
+  });
+
+  describe('status no banco', () => {
+    let database;
+    let userId;
+
+    beforeEach(() => {
+      database = new MemoryAdapter().init();
+      userId = database.getUserByEmail('user@test.com').id;
+    });
+
+    it('deve manter completed derivado do status', () => {
+      const task = database.createTask({ title: 'Fluxo', completed: false, userId });
+      expect(task).to.include({ status: 'todo', completed: false });
+
+      expect(database.updateTask(task.id, { status: 'review' })).to.include({ status: 'review', completed: false });
+      expect(database.updateTask(task.id, { status: 'done' })).to.include({ status: 'done', completed: true });
+      expect(database.updateTask(task.id, { completed: false })).to.include({ status: 'todo', completed: false });
+    });
+
+    it('deve restaurar o status ao reverter', () => {
+      const task = database.createTask({ title: 'Fluxo', status: 'in_progress', userId });
+      database.updateTask(task.id, { status: 'done' });
+
+      expect(database.revertTask(task.id, 1)).to.include({ status: 'in_progress', completed: false });
+    });
+  });
+});